@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+const AuditEventSchema = new mongoose.Schema({
+
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true
+  },
+
+  // Position in this document's chain, starting at 0
+  sequence: {
+    type: Number,
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: [
+      'upload',
+      'view',
+      'sign',
+      'verify',
+      'diff_viewed',
+      'download',
+      'envelope_created',
+      'link_issued',
+      'link_revoked',
+      'email_sent',
+      'expiry_changed',
+      'voided',
+      'expired',
+      'template_applied',
+      'shared',
+      'unshared'
+    ],
+    required: true
+  },
+
+  actor: { type: String, default: null },
+  ipAddress: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  details: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+
+  // SHA-256 of the previous event (zeros for the first event)
+  previousHash: {
+    type: String,
+    required: true
+  },
+
+  // SHA-256 over this event's content and previousHash
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  versionKey: false,
+  // Keep empty objects in details so stored events hash exactly as recorded
+  minimize: false
+});
+
+// One event per position: concurrent appends collide instead of forking the chain
+AuditEventSchema.index({ documentId: 1, sequence: 1 }, { unique: true });
+
+// Append-only: existing events can never be changed or removed through the model
+AuditEventSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Audit events are append-only'));
+  }
+  next();
+});
+
+AuditEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function (next) {
+    next(new Error('Audit events are append-only'));
+  }
+);
+
+const AuditEvent = mongoose.model('AuditEvent', AuditEventSchema);
+
+export default AuditEvent;
@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+
+// One bulk run: a field layout filled once per dataset row, each row its own signed Document
+const BatchSchema = new mongoose.Schema({
+
+  // Account that started the batch; it owns every generated document
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+
+  // Organization workspace it ran in; generated documents belong to it too
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null,
+    index: true
+  },
+
+  // Where the PDF and field layout came from (one of the two)
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Template',
+    default: null
+  },
+  sourceDocumentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    default: null
+  },
+
+  // PDF every row is signed on, copied from the source when the batch is created
+  originalPdfHash: { type: String, required: true },
+  originalPdfKey: { type: String, required: true },
+  metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  // Field layout; values on it are constants shared by every row
+  fields: { type: mongoose.Schema.Types.Mixed, default: [] },
+
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+
+  // Queue job running the batch
+  jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', default: null },
+
+  // Signing options applied to every row
+  options: {
+    outputMode: { type: String, default: 'flatten' },
+    auditCertificate: { type: Boolean, default: false },
+    digitalSignature: { type: Boolean, default: false },
+    signerName: { type: String, default: null }
+  },
+
+  // Field key → dataset column
+  mapping: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  total: { type: Number, required: true },
+  processed: { type: Number, default: 0 },
+  succeeded: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+
+  rows: [{
+    _id: false,
+    index: { type: Number, required: true },
+    // Dataset row, column → value
+    values: { type: mongoose.Schema.Types.Mixed, default: {} },
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed'],
+      default: 'pending'
+    },
+    documentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Document', default: null },
+    signedPdfHash: { type: String, default: null },
+    signedPdfKey: { type: String, default: null },
+    error: { type: String, default: null }
+  }],
+
+  // Set when the whole run could not continue
+  error: { type: String, default: null },
+
+  startedAt: { type: Date, default: null },
+  completedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+const Batch = mongoose.model('Batch', BatchSchema);
+
+export default Batch;
@@ -1,7 +1,113 @@
 import mongoose from 'mongoose';
 
+// Lifecycle moves a document may make; completed, voided and expired are final
+const STATUS_TRANSITIONS = {
+  draft: ['sent', 'completed', 'voided', 'expired'],
+  sent: ['partially_signed', 'completed', 'voided', 'expired'],
+  partially_signed: ['completed', 'voided', 'expired'],
+  completed: [],
+  voided: [],
+  expired: []
+};
+
+const DOCUMENT_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+// How a text or date field's value is drawn (null: Helvetica at the field's default size)
+export const FieldStyleSchema = new mongoose.Schema({
+  // Standard 14 family, unless an uploaded font is chosen
+  fontFamily: {
+    type: String,
+    enum: ['Helvetica', 'Times', 'Courier', 'Symbol', 'ZapfDingbats'],
+    default: 'Helvetica'
+  },
+  fontId: { type: mongoose.Schema.Types.ObjectId, ref: 'Font', default: null },
+  // Points; null keeps the field's default size
+  fontSize: { type: Number, default: null },
+  // Largest size at which the value fits the box (overrides fontSize)
+  autoFit: { type: Boolean, default: false },
+  color: { type: String, default: '#000000' },
+  bold: { type: Boolean, default: false },
+  italic: { type: Boolean, default: false },
+  align: {
+    type: String,
+    enum: ['left', 'center', 'right'],
+    default: 'left'
+  },
+  multiline: { type: Boolean, default: false }
+}, { _id: false });
+
+// A field placed on the PDF; also the shape of each version's field snapshot
+const FieldSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['signature', 'text', 'image', 'date', 'radio'],
+    required: true
+  },
+  page: { type: Number, default: 0, min: 0 },
+  x: { type: Number, required: true },     
+  y: { type: Number, required: true }, 
+  width: { type: Number, required: true }, 
+  height: { type: Number, required: true }, 
+  value: { type: String },
+  options: [String],
+  label: { type: String, default: null },
+  required: { type: Boolean, default: false },
+  // Envelope role that must fill this field (null for single-signer documents)
+  signerRole: { type: String, default: null },
+  // Name of the source PDF's AcroForm field this field was imported from
+  formFieldName: { type: String, default: null },
+  style: { type: FieldStyleSchema, default: null },
+  // Evidence captured when the field was filled
+  filledBy: { type: String, default: null },
+  filledAt: { type: Date, default: null },
+  ipAddress: { type: String, default: null },
+  userAgent: { type: String, default: null }
+});
+
+// Parsed layout of a signed file: the baseline tamper reports compare against (utils/tamperUtils.js)
+const PdfStructureSchema = new mongoose.Schema({
+  fileSize: Number,
+  // %%EOF markers; each incremental update appends one
+  revisions: Number,
+  pageCount: Number,
+  pages: [{
+    _id: false,
+    // SHA-256 of the decoded content streams, and of the XObjects (images, forms) they draw
+    contentHash: String,
+    xObjectHash: String,
+    annotations: [{ _id: false, subtype: String, rect: [Number] }]
+  }],
+  javaScriptActions: Number,
+  metadata: {
+    info: [{ _id: false, key: String, value: String }],
+    xmpHash: { type: String, default: null }
+  }
+}, { _id: false });
+
 const DocumentSchema = new mongoose.Schema({
   
+  // Account that uploaded (or generated) the document
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  
+  // Organization workspace it belongs to; members' roles then decide access (null = personal)
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null,
+    index: true
+  },
+  
+  // Accounts the owner has shared a personal document with; they may view, verify and sign it
+  sharedWith: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    index: true
+  },
+  
   originalPdfHash: {
     type: String,
     required: true,
@@ -11,38 +117,120 @@ const DocumentSchema = new mongoose.Schema({
   
   signedPdfHash: {
     type: String,
-    default: null
+    default: null,
+    index: true
   },
   
-  originalPdfUrl: {
+  // Storage object keys (see utils/storageUtils.js), never public paths
+  originalPdfKey: {
     type: String,
     required: true
   },
   
-  signedPdfUrl: {
+  signedPdfKey: {
     type: String,
     default: null
   },
   
-  fields: [{
-    type: {
+  // Every signing pass, oldest first; signedPdfHash/signedPdfKey point at the last one.
+  // Entries are only ever appended (addVersion), so each keeps the file and fields it was made from
+  versions: [{
+    _id: false,
+    number: { type: Number, required: true },
+    signedPdfHash: { type: String, required: true },
+    signedPdfKey: { type: String, required: true },
+    // 'sign-pdf' (single signer), 'signer' (one envelope signer) or 'batch'
+    source: {
       type: String,
-      enum: ['signature', 'text', 'image', 'date', 'radio'],
+      enum: ['sign-pdf', 'signer', 'batch'],
       required: true
     },
-    x: { type: Number, required: true },     
-    y: { type: Number, required: true }, 
-    width: { type: Number, required: true }, 
-    height: { type: Number, required: true }, 
-    value: { type: String }  
+    signedBy: { type: String, default: null },
+    signerId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    digitallySigned: { type: Boolean, default: false },
+    outputMode: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now },
+    // All fields as they stood when this version was produced
+    fields: [FieldSchema],
+    structure: { type: PdfStructureSchema, default: null }
   }],
   
+  fields: [FieldSchema],
   
-  metadata: {
-    pdfDimensions: {
-      width: Number,   
-      height: Number   
+  // Envelope recipients; empty for single-signer documents
+  signers: [{
+    name: { type: String, required: true },
+    email: { type: String, default: null },
+    role: { type: String, required: true },
+    order: { type: Number, default: 0 },
+    status: {
+      type: String,
+      enum: ['pending', 'signed'],
+      default: 'pending'
     },
+    signedAt: { type: Date, default: null },
+    signedPdfHash: { type: String, default: null },
+    signedPdfKey: { type: String, default: null },
+    // Signing link: looked up by the SHA-256 of the token; the token itself is only kept
+    // encrypted, so reminders can resend the same link (see utils/envelopeUtils.js)
+    tokenHash: { type: String, default: null },
+    tokenSealed: { type: String, default: null },
+    tokenExpiresAt: { type: Date, default: null },
+    tokenRevokedAt: { type: Date, default: null },
+    // Emailed invitation: a fresh link, then reminders with the same one (see utils/notificationUtils.js)
+    invitation: {
+      requestedAt: { type: Date, default: null },
+      sentAt: { type: Date, default: null },
+      lastSentAt: { type: Date, default: null },
+      linkTtlHours: { type: Number, default: null },
+      remindEveryHours: { type: Number, default: null },
+      reminderCount: { type: Number, default: 0 }
+    }
+  }],
+  
+  signingOrder: {
+    type: String,
+    enum: ['sequential', 'parallel'],
+    default: 'sequential'
+  },
+  
+  // Lifecycle state; only changed through transitionTo()
+  status: {
+    type: String,
+    enum: DOCUMENT_STATUSES,
+    default: 'draft'
+  },
+  
+  statusChangedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Documents still unsigned at this time become 'expired' (null = never)
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  
+  voidedAt: { type: Date, default: null },
+  voidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  voidReason: { type: String, default: null },
+  
+  
+  metadata: {
+    // Displayed size and rotation of each page, plus its CropBox in user space
+    pages: [{
+      _id: false,
+      width: Number,
+      height: Number,
+      rotation: { type: Number, default: 0 },
+      box: {
+        x: Number,
+        y: Number,
+        width: Number,
+        height: Number
+      }
+    }],
     pageCount: {
       type: Number,
       default: 1
@@ -59,13 +247,186 @@ const DocumentSchema = new mongoose.Schema({
   signedAt: {
     type: Date,
     default: null
+  },
+  
+  // Bulk run that produced this document, if any
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    default: null,
+    index: true
+  },
+  
+  // True when the signed PDF carries a PAdES digital signature
+  digitallySigned: {
+    type: Boolean,
+    default: false
   }
 }, {
-  timestamps: true 
+  timestamps: true,
+  // Concurrent incremental signings must not overwrite each other's version
+  optimisticConcurrency: true
 });
 
+/**
+ * Whether a signer may sign now
+ * Sequential envelopes wait for every signer with a lower order
+ * 
+ * @param {Object} signer - Signer subdocument
+ * @returns {boolean} - True if it is this signer's turn
+ */
+DocumentSchema.methods.isSignerTurn = function (signer) {
+  if (signer.status !== 'pending') return false;
+  if (this.signingOrder === 'parallel') return true;
+  
+  return this.signers.every(other =>
+    other.order >= signer.order || other.status === 'signed'
+  );
+};
+
+/**
+ * Overall envelope progress derived from signer statuses
+ * 
+ * @returns {string|null} - 'pending', 'in_progress', 'completed' or null without signers
+ */
+DocumentSchema.methods.getEnvelopeStatus = function () {
+  if (this.signers.length === 0) return null;
+  
+  const signedCount = this.signers.filter(signer => signer.status === 'signed').length;
+  if (signedCount === this.signers.length) return 'completed';
+  return signedCount > 0 ? 'in_progress' : 'pending';
+};
+
+/**
+ * Whether the lifecycle allows moving to a status
+ * Staying in the current status always counts as allowed.
+ * 
+ * @param {string} status - Target status
+ * @returns {boolean} - True if the move is allowed
+ */
+DocumentSchema.methods.canTransitionTo = function (status) {
+  return this.status === status || STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+/**
+ * Move to a new lifecycle status (the caller saves)
+ * 
+ * @param {string} status - Target status
+ * @throws {Error} - If the move is not allowed
+ */
+DocumentSchema.methods.transitionTo = function (status) {
+  if (this.status === status) return;
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot change document status from ${this.status} to ${status}`);
+  }
+  this.status = status;
+  this.statusChangedAt = new Date();
+};
+
+/**
+ * Whether the document is still open and its expiry date has passed
+ * 
+ * @returns {boolean} - True if it should be (or already is being) expired
+ */
+DocumentSchema.methods.isPastExpiry = function () {
+  return Boolean(this.expiresAt) && this.expiresAt <= new Date() && this.canTransitionTo('expired');
+};
+
+/**
+ * Record a signing pass as the next version and make it the current signed PDF (the caller saves)
+ * 
+ * @param {Object} version - { signedPdfHash, signedPdfKey, source, signedBy, signerId, digitallySigned, outputMode, fields, structure, createdAt }
+ * @returns {Object} - The new version subdocument
+ */
+DocumentSchema.methods.addVersion = function (version) {
+  this.versions.push({ ...version, number: this.versions.length + 1 });
+  this.signedPdfHash = version.signedPdfHash;
+  this.signedPdfKey = version.signedPdfKey;
+  return this.versions[this.versions.length - 1];
+};
+
+/**
+ * Find a version by its number
+ * 
+ * @param {number} number - Version number, starting at 1
+ * @returns {Object|null} - Version subdocument or null
+ */
+DocumentSchema.methods.getVersion = function (number) {
+  return this.versions.find(version => version.number === number) || null;
+};
+
+/**
+ * Status implied by a record stored before lifecycle states existed
+ * Envelopes follow their signers; other documents are completed once signed and draft otherwise.
+ *
+ * @param {Object} record - Document as stored
+ * @returns {string} - Lifecycle status
+ */
+export function deriveLegacyStatus(record) {
+  const signers = record.signers || [];
+  if (signers.length === 0) {
+    return record.signedPdfKey || record.signedPdfHash ? 'completed' : 'draft';
+  }
+
+  const signedCount = signers.filter(signer => signer.status === 'signed').length;
+  if (signedCount === signers.length) return 'completed';
+  return signedCount > 0 ? 'partially_signed' : 'sent';
+}
+
+// Legacy records would otherwise load with the 'draft' default and could be signed again
+DocumentSchema.pre('init', function (record) {
+  if (record.status == null) {
+    record.status = deriveLegacyStatus(record);
+  }
+});
+
+// Versions are immutable: entries can be appended, never changed or removed through the model.
+// Each document remembers its versions as loaded (or last saved) and save() checks them against that.
+const snapshotVersions = (document) => document.versions.map(version => JSON.stringify(version.toObject()));
+
+DocumentSchema.post('init', function () {
+  this.$locals.savedVersions = snapshotVersions(this);
+});
+
+DocumentSchema.pre('save', function (next) {
+  const saved = this.$locals.savedVersions;
+  if (!this.isNew && saved) {
+    const current = snapshotVersions(this);
+    if (current.length < saved.length || saved.some((version, index) => version !== current[index])) {
+      return next(new Error('Document versions are append-only'));
+    }
+  }
+  next();
+});
+
+DocumentSchema.post('save', function () {
+  this.$locals.savedVersions = snapshotVersions(this);
+});
+
+DocumentSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  function (next) {
+    // Only $push may touch versions; replacing a whole document would rewrite them
+    const update = this.getUpdate() || {};
+    const touchesVersions = /replace/i.test(this.op) || Object.entries(update).some(([key, value]) => {
+      if (key === '$push') return false;
+      const paths = key.startsWith('$') ? Object.keys(value || {}) : [key];
+      return paths.some(path => path === 'versions' || path.startsWith('versions.'));
+    });
+    if (touchesVersions) {
+      return next(new Error('Document versions are append-only'));
+    }
+    next();
+  }
+);
+
 DocumentSchema.index({ originalPdfHash: 1 });
 DocumentSchema.index({ createdAt: -1 });
+DocumentSchema.index({ 'signers.tokenHash': 1 });
+DocumentSchema.index({ 'signers.signedPdfHash': 1 });
+DocumentSchema.index({ 'versions.signedPdfHash': 1 });
+DocumentSchema.index({ 'signers.invitation.requestedAt': 1 });
+DocumentSchema.index({ status: 1, expiresAt: 1 });
 
 const Document = mongoose.model('Document', DocumentSchema);
 
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// A TTF/OTF font uploaded for text and date fields; each face (bold, italic) is its own upload
+const FontSchema = new mongoose.Schema({
+
+  // Personal fonts belong to the account that uploaded them (null for organization fonts)
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+
+  // Organization fonts are available to every member
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null,
+    index: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Shown in the font picker, e.g. "Roboto Bold"
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Read from the font file
+  familyName: { type: String, default: null },
+  postscriptName: { type: String, default: null },
+
+  format: {
+    type: String,
+    enum: ['ttf', 'otf'],
+    required: true
+  },
+
+  fileName: { type: String, required: true },
+  fontKey: { type: String, required: true },
+  fontHash: { type: String, required: true },
+  size: { type: Number, required: true }
+}, {
+  timestamps: true
+});
+
+const Font = mongoose.model('Font', FontSchema);
+
+export default Font;
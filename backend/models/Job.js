@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// Status of background work; the payload itself travels through the queue
+const JobSchema = new mongoose.Schema({
+
+  // Account that submitted the job
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+
+  type: {
+    type: String,
+    enum: ['sign-pdf', 'batch'],
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued',
+    index: true
+  },
+
+  // Queue driver the job was submitted to ('memory' or 'redis')
+  driver: {
+    type: String,
+    required: true
+  },
+
+  // 0-100
+  progress: {
+    type: Number,
+    default: 0
+  },
+
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    default: null
+  },
+
+  result: { type: mongoose.Schema.Types.Mixed, default: null },
+  error: { type: String, default: null },
+
+  startedAt: { type: Date, default: null },
+  completedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+const Job = mongoose.model('Job', JobSchema);
+
+export default Job;
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// Workspace shared by a team; members' roles decide what they may do (see utils/permissionUtils.js)
+const OrganizationSchema = new mongoose.Schema({
+
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  members: [{
+    _id: false,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['admin', 'sender', 'signer', 'auditor', 'viewer'],
+      required: true
+    },
+    addedAt: { type: Date, default: Date.now }
+  }],
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+OrganizationSchema.index({ 'members.userId': 1 });
+
+/**
+ * Role of a user in this organization
+ *
+ * @param {ObjectId|string} userId - User to look up
+ * @returns {string|null} - Role, or null for non-members
+ */
+OrganizationSchema.methods.getMemberRole = function (userId) {
+  const member = this.members.find(m => m.userId.equals(userId));
+  return member ? member.role : null;
+};
+
+const Organization = mongoose.model('Organization', OrganizationSchema);
+
+export default Organization;
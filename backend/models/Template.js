@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+import { FieldStyleSchema } from './Document.js';
+
+// Saving a template under an existing name adds a new version; old versions stay usable
+const TemplateSchema = new mongoose.Schema({
+
+  // Personal templates are private to the account that saved them (null for organization templates)
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+
+  // Organization templates are shared by every member allowed to manage templates
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null,
+    index: true
+  },
+
+  // Account that saved this version
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  description: {
+    type: String,
+    default: null
+  },
+
+  // The layout only fits this exact file
+  originalPdfHash: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Storage object key of the PDF, shared with the source document
+  originalPdfKey: {
+    type: String,
+    required: true
+  },
+
+  // Document the template was saved from
+  sourceDocumentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    default: null
+  },
+
+  // Field layout without values
+  fields: [{
+    type: {
+      type: String,
+      enum: ['signature', 'text', 'image', 'date', 'radio'],
+      required: true
+    },
+    page: { type: Number, default: 0, min: 0 },
+    x: { type: Number, required: true },
+    y: { type: Number, required: true },
+    width: { type: Number, required: true },
+    height: { type: Number, required: true },
+    options: [String],
+    label: { type: String, default: null },
+    required: { type: Boolean, default: false },
+    signerRole: { type: String, default: null },
+    formFieldName: { type: String, default: null },
+    style: { type: FieldStyleSchema, default: null }
+  }],
+
+  metadata: {
+    pages: [{
+      _id: false,
+      width: Number,
+      height: Number,
+      rotation: { type: Number, default: 0 },
+      box: {
+        x: Number,
+        y: Number,
+        width: Number,
+        height: Number
+      }
+    }],
+    pageCount: {
+      type: Number,
+      default: 1
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Concurrent saves of the same name collide instead of sharing a version number;
+// names are per workspace, so two users or organizations can both have a "NDA" template
+TemplateSchema.index({ organizationId: 1, ownerId: 1, name: 1, version: -1 }, { unique: true });
+
+const Template = mongoose.model('Template', TemplateSchema);
+
+export default Template;
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// Account that owns documents, templates and batches
+const UserSchema = new mongoose.Schema({
+
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+
+  name: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  // scrypt: "<salt hex>:<key hex>" (see utils/authUtils.js)
+  passwordHash: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+const User = mongoose.model('User', UserSchema);
+
+export default User;
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+// An endpoint that is told about document events in one workspace
+const WebhookSchema = new mongoose.Schema({
+
+  // Personal webhooks hear about their account's documents (null for organization webhooks)
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+
+  // Organization webhooks hear about every document in the organization
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null,
+    index: true
+  },
+
+  url: {
+    type: String,
+    required: true
+  },
+
+  // Subscribed event names (WEBHOOK_EVENTS in utils/webhookUtils.js); empty = every event
+  events: {
+    type: [String],
+    default: []
+  },
+
+  description: {
+    type: String,
+    default: null
+  },
+
+  // HMAC key for the X-Webhook-Signature header; shown to the client once
+  secret: {
+    type: String,
+    required: true
+  },
+
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Whether this webhook wants an event
+ *
+ * @param {string} event - e.g. 'document.signed'
+ * @returns {boolean} - True when subscribed
+ */
+WebhookSchema.methods.isSubscribedTo = function (event) {
+  return this.events.length === 0 || this.events.includes(event);
+};
+
+const Webhook = mongoose.model('Webhook', WebhookSchema);
+
+export default Webhook;
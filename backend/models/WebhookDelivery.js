@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+// One event sent (or to be sent) to one webhook, with every attempt made
+const WebhookDeliverySchema = new mongoose.Schema({
+
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true,
+    index: true
+  },
+
+  event: {
+    type: String,
+    required: true
+  },
+
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    default: null
+  },
+
+  // Exact JSON body that is signed and posted
+  payload: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+
+  // When the dispatcher may (re)try; pushed ahead while an attempt is in flight
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  attempts: [{
+    _id: false,
+    attemptedAt: { type: Date, required: true },
+    // Only the status is kept: response bodies are never read
+    responseStatus: { type: Number, default: null },
+    error: { type: String, default: null },
+    durationMs: { type: Number, default: null }
+  }],
+
+  deliveredAt: { type: Date, default: null },
+
+  // Set on copies made by a replay
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// The dispatcher's query
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ documentId: 1, event: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
+
+export default WebhookDelivery;
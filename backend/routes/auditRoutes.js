@@ -0,0 +1,53 @@
+import express from 'express';
+import AuditEvent from '../models/AuditEvent.js';
+import { verifyAuditChain } from '../utils/auditUtils.js';
+import { requireAuth } from '../utils/authUtils.js';
+import { loadDocumentFor } from '../utils/permissionUtils.js';
+
+const router = express.Router();
+
+
+router.get('/document/:id/audit', requireAuth, async (req, res) => {
+  try {
+    const { document, status, error } = await loadDocumentFor(req, req.params.id, 'audit:read');
+    if (!document) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    const events = await AuditEvent.find({ documentId: document._id })
+      .sort({ sequence: 1 })
+      .lean();
+
+    const chain = verifyAuditChain(events);
+    if (!chain.valid) {
+      console.warn(`⚠️  Broken audit chain on ${document._id} at event ${chain.brokenAt}: ${chain.reason}`);
+    }
+
+    res.json({
+      success: true,
+      documentId: document._id,
+      chain,
+      events: events.map(event => ({
+        sequence: event.sequence,
+        type: event.type,
+        actor: event.actor,
+        ipAddress: event.ipAddress,
+        userAgent: event.userAgent,
+        details: event.details,
+        occurredAt: event.occurredAt,
+        previousHash: event.previousHash,
+        hash: event.hash
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,112 @@
+import express from 'express';
+import User from '../models/User.js';
+import {
+  hashPassword,
+  verifyPassword,
+  issueToken,
+  serializeUser,
+  requireAuth
+} from '../utils/authUtils.js';
+
+const router = express.Router();
+
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+
+router.post('/auth/register', async (req, res) => {
+  try {
+    const { email, password, name } = req.body;
+
+    // Validation
+    if (!email || !EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid email is required'
+      });
+    }
+
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    let user;
+    try {
+      user = await User.create({
+        email,
+        name: name || null,
+        passwordHash: await hashPassword(password)
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: 'An account with this email already exists'
+        });
+      }
+      throw error;
+    }
+
+    console.log(`👤 User registered: ${user.email}`);
+
+    res.status(201).json({
+      success: true,
+      token: issueToken(user),
+      user: serializeUser(user)
+    });
+  } catch (error) {
+    console.error('❌ Register error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.post('/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and password are required'
+      });
+    }
+
+    // Same answer for unknown emails and wrong passwords
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    res.json({
+      success: true,
+      token: issueToken(user),
+      user: serializeUser(user)
+    });
+  } catch (error) {
+    console.error('❌ Login error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.get('/auth/me', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    user: serializeUser(req.user)
+  });
+});
+
+export default router;
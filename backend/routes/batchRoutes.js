@@ -0,0 +1,368 @@
+import express from 'express';
+import multer from 'multer';
+import archiver from 'archiver';
+import Batch from '../models/Batch.js';
+import Template from '../models/Template.js';
+import { validateFieldCoordinates, getFieldPage } from '../utils/pdfUtils.js';
+import { validateFieldStyles } from '../utils/fontUtils.js';
+import { isDigitalSigningConfigured } from '../utils/signatureUtils.js';
+import { OUTPUT_MODES } from '../utils/signingUtils.js';
+import { enqueueJob } from '../utils/jobQueue.js';
+import { getObjectStream } from '../utils/storageUtils.js';
+import { requireAuth } from '../utils/authUtils.js';
+import { requirePermission, workspaceFilter, loadDocumentFor } from '../utils/permissionUtils.js';
+import {
+  MAX_BATCH_ROWS,
+  parseDataset,
+  getFieldKey,
+  resolveMapping
+} from '../utils/batchUtils.js';
+
+const router = express.Router();
+
+// Datasets are parsed in memory and stored on the batch
+const datasetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|json)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV or JSON datasets are allowed'));
+    }
+  }
+});
+
+/**
+ * Read a body value that is JSON in multipart requests and already parsed in JSON requests
+ *
+ * @param {*} value - Raw body value
+ * @returns {*} - Parsed value, or undefined when absent
+ */
+function parseBodyValue(value) {
+  if (typeof value !== 'string') return value;
+  if (value === '') return undefined;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Shape a batch for API responses
+ *
+ * @param {Batch} batch - Batch document
+ * @returns {Object} - Progress summary and row results
+ */
+function serializeBatch(batch) {
+  return {
+    id: batch._id,
+    status: batch.status,
+    jobId: batch.jobId,
+    templateId: batch.templateId,
+    sourceDocumentId: batch.sourceDocumentId,
+    options: batch.options,
+    mapping: batch.mapping,
+    total: batch.total,
+    processed: batch.processed,
+    succeeded: batch.succeeded,
+    failed: batch.failed,
+    progress: batch.total ? Math.round((batch.processed / batch.total) * 100) : 0,
+    error: batch.error,
+    startedAt: batch.startedAt,
+    completedAt: batch.completedAt,
+    rows: batch.rows.map(row => ({
+      index: row.index,
+      status: row.status,
+      documentId: row.documentId,
+      signedPdfHash: row.signedPdfHash,
+      error: row.error
+    }))
+  };
+}
+
+/**
+ * Quote a value for the results manifest
+ *
+ * @param {*} value - Cell value
+ * @returns {string} - CSV cell
+ */
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Add one file to a ZIP and wait until it has been written
+ * Keeps a single stored object open at a time, however many rows a batch has.
+ *
+ * @param {Archiver} archive - ZIP being streamed
+ * @param {Readable} source - File contents
+ * @param {string} name - Entry name
+ * @returns {Promise<void>}
+ */
+function appendAndWait(archive, source, name) {
+  return new Promise((resolve, reject) => {
+    const onEntry = () => {
+      archive.off('error', onError);
+      resolve();
+    };
+    const onError = (error) => {
+      archive.off('entry', onEntry);
+      reject(error);
+    };
+    archive.once('entry', onEntry);
+    archive.once('error', onError);
+    archive.append(source, { name });
+  });
+}
+
+
+router.post('/batches', requireAuth, requirePermission('batch:run'), datasetUpload.single('data'), async (req, res) => {
+  try {
+    const {
+      templateId,
+      documentId,
+      csv,
+      signerName = null,
+      outputMode = 'flatten'
+    } = req.body;
+    const mapping = parseBodyValue(req.body.mapping) || {};
+    const values = parseBodyValue(req.body.values) || {};
+    const auditCertificate = parseBodyValue(req.body.auditCertificate) === true;
+    const digitalSignature = parseBodyValue(req.body.digitalSignature) === true;
+
+    // Validation
+    if (!templateId === !documentId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide either templateId or documentId'
+      });
+    }
+
+    if (!OUTPUT_MODES.includes(outputMode)) {
+      return res.status(400).json({
+        success: false,
+        error: `outputMode must be one of: ${OUTPUT_MODES.join(', ')}`
+      });
+    }
+
+    if (digitalSignature && !isDigitalSigningConfigured()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Digital signing is not configured on this server'
+      });
+    }
+
+    // Dataset: uploaded file, inline CSV or a JSON array of rows
+    let rows;
+    try {
+      if (req.file) {
+        rows = parseDataset(req.file.buffer, /\.json$/i.test(req.file.originalname) ? 'json' : 'csv');
+      } else if (csv) {
+        rows = parseDataset(csv, 'csv');
+      } else if (req.body.rows) {
+        rows = parseDataset(JSON.stringify(parseBodyValue(req.body.rows)), 'json');
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Could not parse dataset: ${error.message}`
+      });
+    }
+
+    if (!rows || rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dataset has no rows'
+      });
+    }
+    if (rows.length > MAX_BATCH_ROWS) {
+      return res.status(400).json({
+        success: false,
+        error: `Dataset has ${rows.length} rows; the limit is ${MAX_BATCH_ROWS}`
+      });
+    }
+
+    // Source PDF and layout
+    let source;
+    let fields;
+    if (templateId) {
+      source = await Template.findOne({ _id: templateId, ...workspaceFilter(req) });
+      fields = source?.fields.map(field => field.toObject());
+    } else {
+      ({ document: source } = await loadDocumentFor(req, documentId, 'document:read', { inWorkspace: true }));
+      fields = parseBodyValue(req.body.fields) || source?.fields.map(field => field.toObject());
+    }
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: templateId ? 'Template not found' : 'Document not found'
+      });
+    }
+
+    if (!Array.isArray(fields) || fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Source has no fields'
+      });
+    }
+
+    const pageCount = source.metadata?.pageCount || 1;
+    for (const field of fields) {
+      if (!validateFieldCoordinates(field)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid coordinates for field: ${field.type}`
+        });
+      }
+      if (getFieldPage(field) >= pageCount) {
+        return res.status(400).json({
+          success: false,
+          error: `Field page ${getFieldPage(field) + 1} is out of range (PDF has ${pageCount} page(s))`
+        });
+      }
+    }
+
+    const styleError = await validateFieldStyles(fields, req);
+    if (styleError) {
+      return res.status(400).json({
+        success: false,
+        error: styleError
+      });
+    }
+
+    // Constant values (e.g. the sender's signature) go on the layout itself
+    // Evidence from an earlier signing of the source document is dropped
+    const layout = fields.map(({ _id, value, filledBy, filledAt, ipAddress, userAgent, ...field }, index) => ({
+      ...field,
+      value: values[getFieldKey(field, index)] ?? value ?? undefined
+    }));
+
+    const resolvedMapping = resolveMapping(layout, Object.keys(rows[0]), mapping);
+    if (Object.keys(resolvedMapping).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No dataset column matches a field; name columns after field labels or pass a mapping',
+        fieldKeys: layout.map((field, index) => getFieldKey(field, index)),
+        columns: Object.keys(rows[0])
+      });
+    }
+
+    const batch = await Batch.create({
+      ownerId: req.user._id,
+      organizationId: req.organization?._id ?? null,
+      templateId: templateId || null,
+      sourceDocumentId: documentId || null,
+      originalPdfHash: source.originalPdfHash,
+      originalPdfKey: source.originalPdfKey,
+      metadata: source.toObject().metadata,
+      fields: layout,
+      // Rows are filled in the name of the logged-in user unless another signer is given
+      options: { outputMode, auditCertificate, digitalSignature, signerName: signerName || req.user.name || req.user.email },
+      mapping: resolvedMapping,
+      total: rows.length,
+      rows: rows.map((row, index) => ({ index, values: row }))
+    });
+
+    console.log(`📦 Batch created: ${batch._id} (${rows.length} rows, ${Object.keys(resolvedMapping).length} mapped field(s))`);
+
+    // Rows are signed by the job worker; clients poll GET /batches/:id
+    const job = await enqueueJob('batch', { batchId: String(batch._id) }, { ownerId: req.user._id });
+    batch.jobId = job._id;
+    await batch.save();
+
+    res.status(202).json({
+      success: true,
+      batch: serializeBatch(batch)
+    });
+  } catch (error) {
+    console.error('❌ Batch create error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.get('/batches/:id', requireAuth, requirePermission('batch:run'), async (req, res) => {
+  try {
+    const batch = await Batch.findOne({ _id: req.params.id, ...workspaceFilter(req) }).select('-rows.values -fields');
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      batch: serializeBatch(batch)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.get('/batches/:id/download', requireAuth, requirePermission('batch:run'), async (req, res) => {
+  try {
+    const batch = await Batch.findOne({ _id: req.params.id, ...workspaceFilter(req) }).select('-rows.values -fields');
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
+    }
+
+    if (batch.status === 'pending' || batch.status === 'processing') {
+      return res.status(409).json({
+        success: false,
+        error: `Batch is still ${batch.status} (${batch.processed}/${batch.total})`
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="batch-${batch._id}.zip"`);
+
+    const archive = archiver('zip');
+    archive.on('error', (error) => {
+      console.error('❌ Batch ZIP error:', error);
+      res.destroy(error);
+    });
+    archive.pipe(res);
+
+    // One PDF per signed row, plus a manifest covering every row
+    const manifest = [['row', 'status', 'file', 'documentId', 'signedPdfHash', 'error'].join(',')];
+    for (const row of batch.rows) {
+      const rowNumber = String(row.index + 1).padStart(4, '0');
+      const fileName = row.status === 'completed' ? `row-${rowNumber}.pdf` : '';
+      if (fileName) {
+        await appendAndWait(archive, await getObjectStream(row.signedPdfKey), fileName);
+      }
+      manifest.push([row.index + 1, row.status, fileName, row.documentId, row.signedPdfHash, row.error].map(csvCell).join(','));
+    }
+    archive.append(manifest.join('\n') + '\n', { name: 'results.csv' });
+
+    await archive.finalize();
+  } catch (error) {
+    console.error('❌ Batch download error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
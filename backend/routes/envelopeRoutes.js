@@ -0,0 +1,450 @@
+import express from 'express';
+import { validateFieldCoordinates, getFieldPage } from '../utils/pdfUtils.js';
+import { validateFieldStyles } from '../utils/fontUtils.js';
+import { recordAuditEvent } from '../utils/auditUtils.js';
+import { getDownloadUrl } from '../utils/storageUtils.js';
+import { requireAuth } from '../utils/authUtils.js';
+import { loadDocumentFor } from '../utils/permissionUtils.js';
+import { DEFAULT_LINK_TTL_HOURS, MAX_LINK_TTL_HOURS, issueSigningLink } from '../utils/envelopeUtils.js';
+import { sendDueInvitations } from '../utils/notificationUtils.js';
+import { getSigningBlock } from '../utils/lifecycleUtils.js';
+
+const router = express.Router();
+
+/**
+ * Shape an envelope for API responses
+ *
+ * @param {Document} document - Document with signers
+ * @returns {Promise<Object>} - Envelope summary
+ */
+async function serializeEnvelope(document) {
+  return {
+    documentId: document._id,
+    signingOrder: document.signingOrder,
+    status: document.getEnvelopeStatus(),
+    documentStatus: document.status,
+    expiresAt: document.expiresAt,
+    signedPdfUrl: await getDownloadUrl(document.signedPdfKey),
+    signedPdfHash: document.signedPdfHash,
+    signers: document.signers.map(signer => ({
+      id: signer._id,
+      name: signer.name,
+      email: signer.email,
+      role: signer.role,
+      order: signer.order,
+      status: signer.status,
+      canSignNow: document.isSignerTurn(signer),
+      signedAt: signer.signedAt,
+      signedPdfHash: signer.signedPdfHash,
+      link: signer.tokenHash ? {
+        expiresAt: signer.tokenExpiresAt,
+        revoked: Boolean(signer.tokenRevokedAt)
+      } : null,
+      invitation: signer.invitation?.requestedAt ? {
+        requestedAt: signer.invitation.requestedAt,
+        sentAt: signer.invitation.sentAt,
+        lastSentAt: signer.invitation.lastSentAt,
+        remindEveryHours: signer.invitation.remindEveryHours,
+        reminderCount: signer.invitation.reminderCount
+      } : null,
+      fieldCount: document.fields.filter(field => field.signerRole === signer.role).length
+    }))
+  };
+}
+
+
+router.post('/document/:id/envelope', requireAuth, async (req, res) => {
+  try {
+    const { signers, fields, signingOrder = 'sequential' } = req.body;
+
+    // Validation
+    if (!Array.isArray(signers) || signers.length === 0 || !Array.isArray(fields) || fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing signers or fields'
+      });
+    }
+
+    if (!['sequential', 'parallel'].includes(signingOrder)) {
+      return res.status(400).json({
+        success: false,
+        error: 'signingOrder must be "sequential" or "parallel"'
+      });
+    }
+
+    const roles = signers.map(signer => signer.role);
+    if (signers.some(signer => !signer.name || !signer.role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Every signer needs a name and a role'
+      });
+    }
+    if (new Set(roles).size !== roles.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Signer roles must be unique'
+      });
+    }
+
+    for (const field of fields) {
+      if (!validateFieldCoordinates(field)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid coordinates for field: ${field.type}`
+        });
+      }
+      if (!roles.includes(field.signerRole)) {
+        return res.status(400).json({
+          success: false,
+          error: `Field ${field.type} is not assigned to a known signer role`
+        });
+      }
+    }
+
+    // A signer without fields could never sign, and would hold up everyone after them
+    const idleRole = roles.find(role => !fields.some(field => field.signerRole === role));
+    if (idleRole) {
+      return res.status(400).json({
+        success: false,
+        error: `No fields are assigned to role: ${idleRole}`
+      });
+    }
+
+    const styleError = await validateFieldStyles(fields, req);
+    if (styleError) {
+      return res.status(400).json({
+        success: false,
+        error: styleError
+      });
+    }
+
+    const { document, status, error } = await loadDocumentFor(req, req.params.id, 'document:send');
+    if (!document) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    const blocked = getSigningBlock(document);
+    if (blocked) {
+      return res.status(blocked.status).json({
+        success: false,
+        error: blocked.error
+      });
+    }
+
+    // An envelope can only be (re)configured before anyone has signed
+    if (document.signedPdfKey || !document.canTransitionTo('sent')) {
+      return res.status(409).json({
+        success: false,
+        error: 'Document has already been signed'
+      });
+    }
+
+    const pageCount = document.metadata?.pageCount || 1;
+    const outOfRange = fields.find(field => getFieldPage(field) >= pageCount);
+    if (outOfRange) {
+      return res.status(400).json({
+        success: false,
+        error: `Field page ${getFieldPage(outOfRange) + 1} is out of range (PDF has ${pageCount} page(s))`
+      });
+    }
+
+    document.transitionTo('sent');
+    document.signingOrder = signingOrder;
+    document.signers = signers.map((signer, index) => ({
+      name: signer.name,
+      email: signer.email || null,
+      role: signer.role,
+      order: Number.isInteger(signer.order) ? signer.order : index
+    }));
+    // Values are filled in by the signers themselves
+    document.fields = fields.map(field => ({
+      type: field.type,
+      page: getFieldPage(field),
+      x: field.x,
+      y: field.y,
+      width: field.width,
+      height: field.height,
+      options: field.options || undefined,
+      label: field.label || null,
+      required: Boolean(field.required),
+      signerRole: field.signerRole,
+      formFieldName: field.formFieldName || null,
+      style: field.style || null
+    }));
+    await document.save();
+
+    await recordAuditEvent({
+      documentId: document._id,
+      type: 'envelope_created',
+      req,
+      details: {
+        signingOrder,
+        signers: document.signers.map(s => ({ role: s.role, name: s.name, email: s.email })),
+        fieldCount: document.fields.length
+      }
+    });
+
+    console.log(`✉️  Envelope created: ${document._id}`);
+    console.log(`   Signers: ${document.signers.map(s => `${s.role} (${s.name})`).join(', ')}`);
+    console.log(`   Order: ${signingOrder}`);
+
+    res.json({
+      success: true,
+      envelope: await serializeEnvelope(document),
+      fields: document.fields
+    });
+
+  } catch (error) {
+    console.error('❌ Envelope error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.get('/document/:id/signers', requireAuth, async (req, res) => {
+  try {
+    const { document, status, error } = await loadDocumentFor(req, req.params.id, 'document:read');
+    if (!document) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    res.json({
+      success: true,
+      envelope: await serializeEnvelope(document)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.post('/document/:id/signers/:signerId/link', requireAuth, async (req, res) => {
+  try {
+    const expiresInHours = Number(req.body.expiresInHours) || DEFAULT_LINK_TTL_HOURS;
+    if (expiresInHours <= 0 || expiresInHours > MAX_LINK_TTL_HOURS) {
+      return res.status(400).json({
+        success: false,
+        error: `expiresInHours must be between 0 and ${MAX_LINK_TTL_HOURS}`
+      });
+    }
+
+    const { document, status, error } = await loadDocumentFor(req, req.params.id, 'document:send');
+    if (!document) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    const signer = document.signers.id(req.params.signerId);
+    if (!signer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Signer not found'
+      });
+    }
+
+    if (signer.status === 'signed') {
+      return res.status(409).json({
+        success: false,
+        error: 'Signer has already signed this document'
+      });
+    }
+
+    // No new links once the document is voided or expired
+    const blocked = getSigningBlock(document);
+    if (blocked) {
+      return res.status(blocked.status).json({
+        success: false,
+        error: blocked.error
+      });
+    }
+
+    // A new link replaces any previous one for this signer
+    const { token, url } = issueSigningLink(signer, expiresInHours);
+    await document.save();
+
+    await recordAuditEvent({
+      documentId: document._id,
+      type: 'link_issued',
+      req,
+      details: { signerId: signer._id, role: signer.role, expiresAt: signer.tokenExpiresAt }
+    });
+
+    console.log(`🔗 Signing link issued: ${signer.role} on ${document._id}`);
+    console.log(`   Expires: ${signer.tokenExpiresAt.toISOString()}`);
+
+    res.json({
+      success: true,
+      signerId: signer._id,
+      token,
+      url,
+      expiresAt: signer.tokenExpiresAt
+    });
+  } catch (error) {
+    console.error('❌ Signing link error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.post('/document/:id/signers/:signerId/invite', requireAuth, async (req, res) => {
+  try {
+    const expiresInHours = Number(req.body.expiresInHours) || DEFAULT_LINK_TTL_HOURS;
+    if (expiresInHours <= 0 || expiresInHours > MAX_LINK_TTL_HOURS) {
+      return res.status(400).json({
+        success: false,
+        error: `expiresInHours must be between 0 and ${MAX_LINK_TTL_HOURS}`
+      });
+    }
+
+    // Optional; without it only the invitation is sent
+    const remindEveryHours = req.body.remindEveryHours == null ? null : Number(req.body.remindEveryHours);
+    if (remindEveryHours !== null && !(remindEveryHours >= 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'remindEveryHours must be at least 1'
+      });
+    }
+
+    const { document, status, error } = await loadDocumentFor(req, req.params.id, 'document:send');
+    if (!document) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    const signer = document.signers.id(req.params.signerId);
+    if (!signer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Signer not found'
+      });
+    }
+
+    if (signer.status === 'signed') {
+      return res.status(409).json({
+        success: false,
+        error: 'Signer has already signed this document'
+      });
+    }
+
+    // No new links once the document is voided or expired
+    const blocked = getSigningBlock(document);
+    if (blocked) {
+      return res.status(blocked.status).json({
+        success: false,
+        error: blocked.error
+      });
+    }
+
+    if (!signer.email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Signer has no email address'
+      });
+    }
+
+    // Inviting again starts over with a new invitation email
+    signer.invitation = {
+      requestedAt: new Date(),
+      sentAt: null,
+      lastSentAt: null,
+      linkTtlHours: expiresInHours,
+      remindEveryHours,
+      reminderCount: 0
+    };
+    await document.save();
+
+    // Sent now if it is their turn, otherwise as soon as the earlier signers are done
+    const results = await sendDueInvitations(document, { req });
+    const result = results.find(r => r.signerId.equals(signer._id));
+    if (result?.error) {
+      return res.status(502).json({
+        success: false,
+        error: `Could not send the invitation: ${result.error}`
+      });
+    }
+
+    console.log(`📧 Invitation ${result ? 'sent' : 'scheduled'}: ${signer.role} on ${document._id}`);
+
+    res.json({
+      success: true,
+      signerId: signer._id,
+      sent: Boolean(result),
+      waitingForEarlierSigners: !document.isSignerTurn(signer),
+      envelope: await serializeEnvelope(document)
+    });
+  } catch (error) {
+    console.error('❌ Invitation error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.delete('/document/:id/signers/:signerId/link', requireAuth, async (req, res) => {
+  try {
+    const { document, status, error } = await loadDocumentFor(req, req.params.id, 'document:send');
+    if (!document) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    const signer = document.signers.id(req.params.signerId);
+    if (!signer || !signer.tokenHash) {
+      return res.status(404).json({
+        success: false,
+        error: 'No signing link for this signer'
+      });
+    }
+
+    // Revoking also stops any emailed invitation from sending new links
+    signer.tokenRevokedAt = new Date();
+    signer.tokenSealed = null;
+    signer.invitation.requestedAt = null;
+    await document.save();
+
+    await recordAuditEvent({
+      documentId: document._id,
+      type: 'link_revoked',
+      req,
+      details: { signerId: signer._id, role: signer.role }
+    });
+
+    console.log(`🚫 Signing link revoked: ${signer.role} on ${document._id}`);
+
+    res.json({
+      success: true,
+      signerId: signer._id,
+      revokedAt: signer.tokenRevokedAt
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
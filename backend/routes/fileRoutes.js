@@ -0,0 +1,42 @@
+import express from 'express';
+import path from 'path';
+import { getObjectStream, getContentType, verifyDownloadUrl } from '../utils/storageUtils.js';
+
+const router = express.Router();
+
+
+// Target of local-storage download URLs; the signed query string is the authorization
+router.get('/files', async (req, res) => {
+  try {
+    const { key, expires, signature } = req.query;
+    if (!verifyDownloadUrl(key, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        error: 'File link is invalid or has expired'
+      });
+    }
+
+    let stream;
+    try {
+      stream = await getObjectStream(key);
+    } catch {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found'
+      });
+    }
+
+    res.setHeader('Content-Type', getContentType(key));
+    res.setHeader('Content-Disposition', `inline; filename="${path.posix.basename(key)}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    stream.on('error', (error) => res.destroy(error));
+    stream.pipe(res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,152 @@
+import express from 'express';
+import multer from 'multer';
+import fontkit from '@pdf-lib/fontkit';
+import path from 'path';
+import Font from '../models/Font.js';
+import { calculateHash } from '../utils/hashUtils.js';
+import { requireAuth } from '../utils/authUtils.js';
+import { requirePermission, workspaceFilter } from '../utils/permissionUtils.js';
+import { createObjectKey, putObject, deleteObject, getDownloadUrl } from '../utils/storageUtils.js';
+
+const router = express.Router();
+
+const FONT_FORMATS = ['ttf', 'otf'];
+
+// Fonts are small; anything this large is not one
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: parseInt(process.env.MAX_FONT_SIZE) || 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (FONT_FORMATS.includes(path.extname(file.originalname).slice(1).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only TTF and OTF fonts are allowed'));
+    }
+  }
+});
+
+/**
+ * Shape a font for API responses
+ * The file URL lets the editor preview fields in the font itself.
+ *
+ * @param {Font} font - Font document
+ * @returns {Promise<Object>} - Font summary
+ */
+async function serializeFont(font) {
+  return {
+    id: font._id,
+    name: font.name,
+    familyName: font.familyName,
+    format: font.format,
+    size: font.size,
+    url: await getDownloadUrl(font.fontKey),
+    createdAt: font.createdAt
+  };
+}
+
+
+router.post('/fonts', requireAuth, requirePermission('font:manage'), upload.single('font'), async (req, res) => {
+  let fontKey = null;
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No font file uploaded'
+      });
+    }
+
+    // The extension only got it past multer; fontkit has to be able to read it
+    let parsed;
+    try {
+      parsed = fontkit.create(req.file.buffer);
+    } catch {
+      parsed = null;
+    }
+    if (!parsed?.postscriptName) {
+      return res.status(400).json({
+        success: false,
+        error: 'File is not a readable TrueType or OpenType font'
+      });
+    }
+
+    const format = path.extname(req.file.originalname).slice(1).toLowerCase();
+    fontKey = createObjectKey('fonts', null, format);
+    await putObject(fontKey, req.file.buffer);
+
+    // Organization fonts belong to the organization, not to whoever uploaded them
+    const font = await Font.create({
+      ownerId: req.organization ? null : req.user._id,
+      organizationId: req.organization?._id ?? null,
+      createdBy: req.user._id,
+      name: req.body.name?.trim() || parsed.fullName || parsed.postscriptName,
+      familyName: parsed.familyName || null,
+      postscriptName: parsed.postscriptName,
+      format,
+      fileName: req.file.originalname,
+      fontKey,
+      fontHash: calculateHash(req.file.buffer),
+      size: req.file.size
+    });
+
+    console.log(`🔤 Font uploaded: ${font.name}`);
+
+    res.status(201).json({
+      success: true,
+      font: await serializeFont(font)
+    });
+  } catch (error) {
+    console.error('❌ Font upload error:', error);
+    if (fontKey) {
+      await deleteObject(fontKey).catch(() => {});
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.get('/fonts', requireAuth, async (req, res) => {
+  try {
+    const fonts = await Font.find(workspaceFilter(req)).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      fonts: await Promise.all(fonts.map(serializeFont))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.delete('/fonts/:id', requireAuth, requirePermission('font:manage'), async (req, res) => {
+  try {
+    const font = await Font.findOneAndDelete({ _id: req.params.id, ...workspaceFilter(req) });
+    if (!font) {
+      return res.status(404).json({
+        success: false,
+        error: 'Font not found'
+      });
+    }
+
+    // Fields still naming it fall back to their standard family when burned
+    await deleteObject(font.fontKey);
+
+    console.log(`🔤 Font removed: ${font.name}`);
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
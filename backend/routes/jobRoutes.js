@@ -0,0 +1,45 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Job from '../models/Job.js';
+import { requireAuth } from '../utils/authUtils.js';
+
+const router = express.Router();
+
+
+router.get('/jobs/:id', requireAuth, async (req, res) => {
+  try {
+    const job = mongoose.isValidObjectId(req.params.id)
+      ? await Job.findOne({ _id: req.params.id, ownerId: req.user._id })
+      : null;
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job: {
+        id: job._id,
+        type: job.type,
+        status: job.status,
+        progress: job.progress,
+        documentId: job.documentId,
+        result: job.result,
+        downloadUrl: job.status === 'completed' ? job.result?.downloadUrl || null : null,
+        error: job.error,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,170 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { recordAuditEvent } from '../utils/auditUtils.js';
+import { emitWebhookEvent } from '../utils/webhookUtils.js';
+import { requireAuth } from '../utils/authUtils.js';
+import { loadDocumentFor } from '../utils/permissionUtils.js';
+import { OPEN_STATUSES } from '../utils/lifecycleUtils.js';
+
+const router = express.Router();
+
+// Longest void reason kept on the document
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Shape a document's lifecycle state for API responses
+ *
+ * @param {Document} document - Document
+ * @returns {Object} - Status, expiry and void details
+ */
+function serializeLifecycle(document) {
+  return {
+    documentId: document._id,
+    status: document.status,
+    statusChangedAt: document.statusChangedAt,
+    expiresAt: document.expiresAt,
+    voidedAt: document.voidedAt,
+    voidedBy: document.voidedBy,
+    voidReason: document.voidReason
+  };
+}
+
+
+router.post('/document/:id/void', requireAuth, async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing reason'
+      });
+    }
+    if (reason.length > MAX_REASON_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `reason must be at most ${MAX_REASON_LENGTH} characters`
+      });
+    }
+
+    const { document, status, error } = await loadDocumentFor(req, req.params.id, 'document:send');
+    if (!document) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    if (!OPEN_STATUSES.includes(document.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `A ${document.status} document cannot be voided`
+      });
+    }
+
+    // Outstanding signing links stop working with the status; pending emails are cancelled too
+    const previousStatus = document.status;
+    document.transitionTo('voided');
+    document.voidedAt = new Date();
+    document.voidedBy = req.user._id;
+    document.voidReason = reason;
+    for (const signer of document.signers) {
+      if (signer.status === 'pending') signer.invitation.requestedAt = null;
+    }
+    await document.save();
+
+    await recordAuditEvent({
+      documentId: document._id,
+      type: 'voided',
+      req,
+      details: { reason, previousStatus }
+    });
+    await emitWebhookEvent(document, 'document.voided', {
+      reason,
+      previousStatus,
+      voidedBy: req.user.email
+    });
+
+    console.log(`🚫 Document voided: ${document._id} (was ${previousStatus})`);
+
+    res.json({
+      success: true,
+      document: serializeLifecycle(document)
+    });
+  } catch (error) {
+    // Signed, voided or expired by someone else since it was loaded
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({
+        success: false,
+        error: 'Document changed; reload and retry'
+      });
+    }
+
+    console.error('❌ Void error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.put('/document/:id/expiry', requireAuth, async (req, res) => {
+  try {
+    // null removes the expiry date
+    const { expiresAt = null } = req.body;
+    const expiryDate = expiresAt === null ? null : new Date(expiresAt);
+    if (expiryDate && (Number.isNaN(expiryDate.getTime()) || expiryDate <= new Date())) {
+      return res.status(400).json({
+        success: false,
+        error: 'expiresAt must be a date in the future, or null'
+      });
+    }
+
+    const { document, status, error } = await loadDocumentFor(req, req.params.id, 'document:send');
+    if (!document) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    // Only open documents can still expire; an overdue one is left to the sweeper
+    if (!OPEN_STATUSES.includes(document.status) || document.isPastExpiry()) {
+      return res.status(409).json({
+        success: false,
+        error: `The expiry date of a ${document.isPastExpiry() ? 'expired' : document.status} document cannot change`
+      });
+    }
+
+    const previousExpiresAt = document.expiresAt;
+    document.expiresAt = expiryDate;
+    await document.save();
+
+    await recordAuditEvent({
+      documentId: document._id,
+      type: 'expiry_changed',
+      req,
+      details: { expiresAt: expiryDate, previousExpiresAt }
+    });
+
+    res.json({
+      success: true,
+      document: serializeLifecycle(document)
+    });
+  } catch (error) {
+    // Signed, voided or expired by someone else since it was loaded
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({
+        success: false,
+        error: 'Document changed; reload and retry'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
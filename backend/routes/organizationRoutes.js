@@ -0,0 +1,286 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+import User from '../models/User.js';
+import { requireAuth, serializeUser } from '../utils/authUtils.js';
+import { ROLES, hasPermission } from '../utils/permissionUtils.js';
+
+const router = express.Router();
+
+/**
+ * Load an organization the current user belongs to
+ * Non-members get 404 so organization IDs cannot be probed.
+ *
+ * @param {Request} req - Authenticated request
+ * @param {string} permission - Permission the action needs (null = any member)
+ * @returns {Promise<Object>} - { organization, role } or { status, error }
+ */
+async function loadOrganization(req, permission = null) {
+  const organization = mongoose.isValidObjectId(req.params.id)
+    ? await Organization.findById(req.params.id)
+    : null;
+  const role = organization?.getMemberRole(req.user._id);
+  if (!role) {
+    return { status: 404, error: 'Organization not found' };
+  }
+
+  if (permission && !hasPermission(role, permission)) {
+    return { status: 403, error: `Your role (${role}) does not allow ${permission}` };
+  }
+
+  return { organization, role };
+}
+
+/**
+ * Shape an organization for API responses
+ *
+ * @param {Organization} organization - Organization document
+ * @param {string} role - Current user's role in it
+ * @returns {Promise<Object>} - Organization with its members
+ */
+async function serializeOrganization(organization, role) {
+  const users = await User.find({ _id: { $in: organization.members.map(m => m.userId) } })
+    .select('email name');
+  const usersById = new Map(users.map(user => [String(user._id), user]));
+
+  return {
+    id: organization._id,
+    name: organization.name,
+    role,
+    createdAt: organization.createdAt,
+    members: organization.members.map(member => ({
+      ...serializeUser(usersById.get(String(member.userId)) || { _id: member.userId }),
+      role: member.role,
+      addedAt: member.addedAt
+    }))
+  };
+}
+
+
+router.post('/organizations', requireAuth, async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name?.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing name'
+      });
+    }
+
+    // The creator is its first admin
+    const organization = await Organization.create({
+      name: name.trim(),
+      members: [{ userId: req.user._id, role: 'admin' }],
+      createdBy: req.user._id
+    });
+
+    console.log(`🏢 Organization created: ${organization.name} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      organization: await serializeOrganization(organization, 'admin')
+    });
+  } catch (error) {
+    console.error('❌ Organization create error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.get('/organizations', requireAuth, async (req, res) => {
+  try {
+    const organizations = await Organization.find({ 'members.userId': req.user._id })
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      organizations: organizations.map(organization => ({
+        id: organization._id,
+        name: organization.name,
+        role: organization.getMemberRole(req.user._id),
+        memberCount: organization.members.length
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.get('/organizations/:id', requireAuth, async (req, res) => {
+  try {
+    const { organization, role, status, error } = await loadOrganization(req);
+    if (!organization) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    res.json({
+      success: true,
+      organization: await serializeOrganization(organization, role)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.post('/organizations/:id/members', requireAuth, async (req, res) => {
+  try {
+    const { email, role: memberRole } = req.body;
+    if (!email || !ROLES.includes(memberRole)) {
+      return res.status(400).json({
+        success: false,
+        error: `Missing email or role (one of: ${ROLES.join(', ')})`
+      });
+    }
+
+    const { organization, role, status, error } = await loadOrganization(req, 'member:manage');
+    if (!organization) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'No account uses this email'
+      });
+    }
+
+    if (organization.getMemberRole(user._id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Already a member; change their role instead'
+      });
+    }
+
+    organization.members.push({ userId: user._id, role: memberRole });
+    await organization.save();
+
+    console.log(`🏢 ${user.email} added to ${organization.name} as ${memberRole}`);
+
+    res.status(201).json({
+      success: true,
+      organization: await serializeOrganization(organization, role)
+    });
+  } catch (error) {
+    console.error('❌ Add member error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.patch('/organizations/:id/members/:userId', requireAuth, async (req, res) => {
+  try {
+    const { role: memberRole } = req.body;
+    if (!ROLES.includes(memberRole)) {
+      return res.status(400).json({
+        success: false,
+        error: `role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const { organization, status, error } = await loadOrganization(req, 'member:manage');
+    if (!organization) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    const member = organization.members.find(m => String(m.userId) === req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    // An organization without admins could never change its members again
+    const adminCount = organization.members.filter(m => m.role === 'admin').length;
+    if (member.role === 'admin' && memberRole !== 'admin' && adminCount === 1) {
+      return res.status(409).json({
+        success: false,
+        error: 'The last admin cannot be demoted'
+      });
+    }
+
+    member.role = memberRole;
+    await organization.save();
+
+    res.json({
+      success: true,
+      // Admins may change their own role too
+      organization: await serializeOrganization(organization, organization.getMemberRole(req.user._id))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.delete('/organizations/:id/members/:userId', requireAuth, async (req, res) => {
+  try {
+    // Anyone may leave; removing others takes member:manage
+    const leaving = req.params.userId === String(req.user._id);
+    const { organization, role, status, error } = await loadOrganization(req, leaving ? null : 'member:manage');
+    if (!organization) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    const member = organization.members.find(m => String(m.userId) === req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    const adminCount = organization.members.filter(m => m.role === 'admin').length;
+    if (member.role === 'admin' && adminCount === 1) {
+      return res.status(409).json({
+        success: false,
+        error: 'The last admin cannot be removed'
+      });
+    }
+
+    organization.members = organization.members.filter(m => m !== member);
+    await organization.save();
+
+    res.json({
+      success: true,
+      organization: leaving ? null : await serializeOrganization(organization, role)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
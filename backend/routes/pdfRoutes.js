@@ -1,53 +1,76 @@
 import express from 'express';
 import multer from 'multer';
-import { PDFDocument, rgb } from 'pdf-lib';
-import fs from 'fs/promises';
+import mongoose from 'mongoose';
+import { PDFDocument } from 'pdf-lib';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import Document from '../models/Document.js';
+import User from '../models/User.js';
 import { calculateHash } from '../utils/hashUtils.js';
 import { 
-  convertCoordinates, 
-  calculateAspectRatioDimensions, 
-  base64FromDataURL,
-  validateFieldCoordinates 
+  getPageBox,
+  validateFieldCoordinates,
+  getFieldPage,
+  readDocumentId
 } from '../utils/pdfUtils.js';
+import { validateFieldStyles } from '../utils/fontUtils.js';
+import { readFormFields } from '../utils/formUtils.js';
+import { isDigitalSigningConfigured } from '../utils/signatureUtils.js';
+import { signDocument, OUTPUT_MODES } from '../utils/signingUtils.js';
+import { recordAuditEvent } from '../utils/auditUtils.js';
+import { enqueueJob } from '../utils/jobQueue.js';
+import { emitWebhookEvent } from '../utils/webhookUtils.js';
+import { getSigningBlock } from '../utils/lifecycleUtils.js';
+import { serializeVersion, verifyStoredPdf, versionReference } from '../utils/versionUtils.js';
+import { buildTamperReport } from '../utils/tamperUtils.js';
+import { requireAuth, documentAccessFilter, serializeUser } from '../utils/authUtils.js';
+import { requirePermission, loadDocumentFor } from '../utils/permissionUtils.js';
+import {
+  createObjectKey,
+  putObject,
+  getObject,
+  getObjectStream,
+  getDownloadUrl
+} from '../utils/storageUtils.js';
 
 const router = express.Router();
 
-// Get __dirname in ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const uploadLimits = {
+  fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 
+};
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../uploads');
-    await fs.mkdir(uploadDir, { recursive: true });
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
-    cb(null, `${uniqueSuffix}-${file.originalname}`);
+const pdfFileFilter = (req, file, cb) => {
+  if (file.mimetype === 'application/pdf') {
+    cb(null, true);
+  } else {
+    cb(new Error('Only PDF files are allowed'));
   }
-});
+};
 
+// Uploads are checked in memory and only then handed to the storage backend;
+// files dropped for verification are only hashed, never stored
 const upload = multer({
-  storage,
-  limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 
-  },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
-      cb(null, true);
-    } else {
-      cb(new Error('Only PDF files are allowed'));
-    }
-  }
+  storage: multer.memoryStorage(),
+  limits: uploadLimits,
+  fileFilter: pdfFileFilter
 });
 
+// Tampered copies dropped on /verify-upload notify the owner's webhooks at most this often per document
+const UPLOAD_ALERT_INTERVAL_MS = (parseInt(process.env.VERIFY_UPLOAD_ALERT_MINUTES, 10) || 60) * 60 * 1000;
+
+/**
+ * Accounts a document is shared with, for API responses
+ *
+ * @param {Document} document - Document with sharedWith IDs
+ * @returns {Promise<Array<Object>>} - [{ id, email, name }]
+ */
+async function listSharedUsers(document) {
+  if (document.sharedWith.length === 0) return [];
+  const users = await User.find({ _id: { $in: document.sharedWith } }).select('email name');
+  return users.map(serializeUser);
+}
 
-router.post('/upload-pdf', upload.single('pdf'), async (req, res) => {
+
+router.post('/upload-pdf', requireAuth, requirePermission('document:create'), upload.single('pdf'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ 
@@ -56,39 +79,77 @@ router.post('/upload-pdf', upload.single('pdf'), async (req, res) => {
       });
     }
 
-    const pdfPath = req.file.path;
-    const pdfBuffer = await fs.readFile(pdfPath);
-    
+    const pdfBuffer = req.file.buffer;
     const pdfHash = calculateHash(pdfBuffer);
     
-    // Load PDF to get dimensions
+    // Load PDF to get the visible size and rotation of every page
     const pdfDoc = await PDFDocument.load(pdfBuffer);
-    const firstPage = pdfDoc.getPages()[0];
-    const { width, height } = firstPage.getSize();
-    const pageCount = pdfDoc.getPageCount();
+    const pages = pdfDoc.getPages().map(page => {
+      const box = getPageBox(page);
+      return {
+        width: box.displayWidth,
+        height: box.displayHeight,
+        rotation: box.rotation,
+        box: { x: box.x, y: box.y, width: box.width, height: box.height }
+      };
+    });
+    const pageCount = pages.length;
+    
+    // Existing AcroForm fields become editor fields that fill the original widgets
+    let formFields = [];
+    try {
+      formFields = readFormFields(pdfDoc);
+    } catch (error) {
+      console.log(`   ⊘ Could not read form fields: ${error.message}`);
+    }
+    
+    const originalPdfKey = createObjectKey('originals');
+    await putObject(originalPdfKey, pdfBuffer);
     
     const document = new Document({
+      ownerId: req.user._id,
+      organizationId: req.organization?._id ?? null,
       originalPdfHash: pdfHash,
-      originalPdfUrl: `/uploads/${req.file.filename}`,
+      originalPdfKey,
       metadata: {
-        pdfDimensions: { width, height },
+        pages,
         pageCount
       }
     });
     
     await document.save();
     
-    console.log(`✅ PDF uploaded: ${req.file.filename}`);
+    await recordAuditEvent({
+      documentId: document._id,
+      type: 'upload',
+      req,
+      details: { fileName: req.file.originalname, hash: pdfHash, pageCount, formFieldCount: formFields.length }
+    });
+    
+    await emitWebhookEvent(document, 'document.uploaded', {
+      fileName: req.file.originalname,
+      originalPdfHash: pdfHash,
+      pageCount,
+      uploadedBy: req.user.email
+    });
+    
+    console.log(`✅ PDF uploaded: ${req.file.originalname} → ${originalPdfKey}`);
     console.log(`   Hash: ${pdfHash}`);
-    console.log(`   Dimensions: ${width} x ${height}`);
+    pages.forEach((page, index) => {
+      console.log(`   Page ${index + 1}: ${page.width} x ${page.height} (rotation ${page.rotation}°)`);
+    });
+    if (formFields.length > 0) {
+      console.log(`   Form fields imported: ${formFields.length}`);
+    }
     
     res.json({
       success: true,
       documentId: document._id,
-      pdfUrl: `/uploads/${req.file.filename}`,
+      pdfUrl: await getDownloadUrl(originalPdfKey),
       hash: pdfHash,
-      dimensions: { width, height },
-      pageCount
+      pages,
+      pageCount,
+      formFields
     });
     
   } catch (error) {
@@ -101,9 +162,17 @@ router.post('/upload-pdf', upload.single('pdf'), async (req, res) => {
 });
 
 
-router.post('/sign-pdf', async (req, res) => {
+router.post('/sign-pdf', requireAuth, async (req, res) => {
   try {
-    const { documentId, fields } = req.body;
+    const {
+      documentId,
+      fields,
+      signer,
+      digitalSignature = false,
+      auditCertificate = false,
+      outputMode = 'flatten',
+      async: runAsync = false
+    } = req.body;
     
     // Validation
     if (!documentId || !fields || fields.length === 0) {
@@ -113,6 +182,20 @@ router.post('/sign-pdf', async (req, res) => {
       });
     }
     
+    if (!OUTPUT_MODES.includes(outputMode)) {
+      return res.status(400).json({
+        success: false,
+        error: `outputMode must be one of: ${OUTPUT_MODES.join(', ')}`
+      });
+    }
+    
+    if (digitalSignature && !isDigitalSigningConfigured()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Digital signing is not configured on this server'
+      });
+    }
+    
     // Validate all field coordinates
     for (const field of fields) {
       if (!validateFieldCoordinates(field)) {
@@ -122,182 +205,93 @@ router.post('/sign-pdf', async (req, res) => {
         });
       }
     }
+
+    const styleError = await validateFieldStyles(fields, req);
+    if (styleError) {
+      return res.status(400).json({
+        success: false,
+        error: styleError
+      });
+    }
+    
+    // Fillable output leaves required fields for the PDF reader to enforce
+    const missingField = outputMode === 'flatten' && fields.find(field => field.required && !field.value);
+    if (missingField) {
+      return res.status(400).json({
+        success: false,
+        error: `Required field is empty: ${missingField.label || missingField.type}`
+      });
+    }
     
     // Retrieve document from database
-    const document = await Document.findById(documentId);
+    const { document, status, error } = await loadDocumentFor(req, documentId, 'document:sign');
     if (!document) {
-      return res.status(404).json({ 
+      return res.status(status).json({
         success: false,
-        error: 'Document not found' 
+        error
       });
     }
     
-    // Load original PDF
-    const originalPdfPath = path.join(__dirname, '..', document.originalPdfUrl);
-    const pdfBuffer = await fs.readFile(originalPdfPath);
-    const pdfDoc = await PDFDocument.load(pdfBuffer);
-    const firstPage = pdfDoc.getPages()[0];
-    const { width: pdfWidth, height: pdfHeight } = firstPage.getSize();
-    
-    console.log(`\n📄 Processing PDF: ${documentId}`);
-    console.log(`   Dimensions: ${pdfWidth} x ${pdfHeight} points`);
-    console.log(`   Fields to process: ${fields.length}`);
+    // Envelope documents are filled signer by signer
+    if (document.signers.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Document has signers; each signer signs through their signing link'
+      });
+    }
     
-    // Process each field
-    for (const field of fields) {
-      // Skip empty optional fields
-      if (!field.value && field.type !== 'radio') {
-        console.log(`   ⊘ Skipping empty ${field.type} field`);
-        continue;
-      }
-      
-      
-      const coords = convertCoordinates(field, pdfWidth, pdfHeight);
-      
-      console.log(`   ✓ Processing ${field.type} field:`);
-      console.log(`     Input: x=${field.x.toFixed(1)}%, y=${field.y.toFixed(1)}%`);
-      console.log(`     Output: x=${coords.x.toFixed(1)}pt, y=${coords.y.toFixed(1)}pt`);
-      
-      // Handle different field types
-      if (field.type === 'signature' || field.type === 'image') {
-        // Handle signature/image fields
-        try {
-          const base64Data = base64FromDataURL(field.value);
-          const imageBytes = Buffer.from(base64Data, 'base64');
-          
-          let embeddedImage;
-          try {
-            // Try PNG first
-            embeddedImage = await pdfDoc.embedPng(imageBytes);
-          } catch {
-            try {
-              // Fallback to JPG
-              embeddedImage = await pdfDoc.embedJpg(imageBytes);
-            } catch (error) {
-              console.error(`     ✗ Failed to embed image: ${error.message}`);
-              continue;
-            }
-          }
-          
-          // Get original image dimensions
-          const { width: imgWidth, height: imgHeight } = embeddedImage.scale(1);
-          
-          // Calculate dimensions maintaining aspect ratio
-          const dimensions = calculateAspectRatioDimensions(
-            imgWidth,
-            imgHeight,
-            coords.width,
-            coords.height
-          );
-          
-          console.log(`     Aspect ratio: ${imgWidth}x${imgHeight} → ${dimensions.width.toFixed(1)}x${dimensions.height.toFixed(1)}`);
-          
-          // Draw image on PDF
-          firstPage.drawImage(embeddedImage, {
-            x: coords.x + dimensions.offsetX,
-            y: coords.y + dimensions.offsetY,
-            width: dimensions.width,
-            height: dimensions.height
-          });
-        } catch (error) {
-          console.error(`     ✗ Error processing image: ${error.message}`);
-        }
-        
-      } else if (field.type === 'text') {
-        const textValue = field.value || 'Text Field';
-        const fontSize = Math.min(coords.height * 0.6, 12);
-        
-        firstPage.drawText(textValue, {
-          x: coords.x + 4,
-          y: coords.y + (coords.height / 2) - (fontSize / 3),
-          size: fontSize,
-          color: rgb(0, 0, 0),
-          maxWidth: coords.width - 8
-        });
-        
-        console.log(`     Text: "${textValue}"`);
-        
-      } else if (field.type === 'date') {
-        const dateValue = field.value || new Date().toISOString().split('T')[0];
-        const fontSize = Math.min(coords.height * 0.6, 10);
-        
-        firstPage.drawText(dateValue, {
-          x: coords.x + 4,
-          y: coords.y + (coords.height / 2) - (fontSize / 3),
-          size: fontSize,
-          color: rgb(0, 0, 0)
-        });
-        
-        console.log(`     Date: ${dateValue}`);
-        
-      } else if (field.type === 'radio') {
-        
-        const radioOptions = field.options || ['Option 1', 'Option 2', 'Option 3'];
-        const selectedValue = field.value || 'option1';
-        
-        const valueIndex = parseInt(selectedValue.replace('option', '')) - 1;
-        const displayText = radioOptions[valueIndex] || radioOptions[0];
-        
-        const fontSize = Math.min(coords.height * 0.5, 10);
-        const circleRadius = Math.min(coords.height, coords.width) * 0.15;
-        const circleX = coords.x + circleRadius + 4;
-        const circleY = coords.y + (coords.height / 2);
-        
-       
-        firstPage.drawCircle({
-          x: circleX,
-          y: circleY,
-          size: circleRadius,
-          borderColor: rgb(0, 0, 0),
-          borderWidth: 1.5
-        });
-        
-        if (field.value) {
-          firstPage.drawCircle({
-            x: circleX,
-            y: circleY,
-            size: circleRadius * 0.35, 
-            color: rgb(0, 0, 0)
-          });
-        }
-        
-        // Draw label text
-        firstPage.drawText(displayText, {
-          x: coords.x + circleRadius * 2 + 10,
-          y: coords.y + (coords.height / 2) - (fontSize / 3),
-          size: fontSize,
-          color: rgb(0, 0, 0),
-          maxWidth: coords.width - circleRadius * 2 - 15
-        });
-        
-        console.log(`     Radio: ${displayText} (${selectedValue})`);
-      }
+    // Signing once completes the document; voided and expired ones can no longer be signed
+    const blocked = getSigningBlock(document);
+    if (blocked) {
+      return res.status(blocked.status).json({
+        success: false,
+        error: blocked.error
+      });
     }
     
-    // Save the modified PDF
-    const signedPdfBytes = await pdfDoc.save();
-    const signedPdfHash = calculateHash(Buffer.from(signedPdfBytes));
+    // Every field must point at a page that exists in this PDF
+    const pageCount = document.metadata?.pageCount;
+    const outOfRange = pageCount && fields.find(field => getFieldPage(field) >= pageCount);
+    if (outOfRange) {
+      return res.status(400).json({
+        success: false,
+        error: `Field page ${getFieldPage(outOfRange) + 1} is out of range (PDF has ${pageCount} page(s))`
+      });
+    }
     
-    // Save signed PDF to disk
-    const signedPdfFilename = `signed-${Date.now()}.pdf`;
-    const signedPdfPath = path.join(__dirname, '../uploads', signedPdfFilename);
-    await fs.writeFile(signedPdfPath, signedPdfBytes);
+    const signOptions = { outputMode, auditCertificate, digitalSignature };
+    // Fields are filled by the logged-in user unless the caller names someone else
+    const signedBy = signer || { name: req.user.name, email: req.user.email };
     
-    // Update document in database
-    document.signedPdfHash = signedPdfHash;
-    document.signedPdfUrl = `/uploads/${signedPdfFilename}`;
-    document.signedAt = new Date();
-    document.fields = fields;
-    await document.save();
+    // Queued: the worker signs it; clients poll GET /jobs/:id
+    if (runAsync) {
+      const job = await enqueueJob('sign-pdf', {
+        documentId,
+        fields,
+        signer: signedBy,
+        options: signOptions,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent') || null
+      }, { documentId, ownerId: req.user._id });
+      
+      return res.status(202).json({
+        success: true,
+        jobId: job._id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job._id}`
+      });
+    }
     
-    console.log(`\n✅ PDF signed successfully!`);
-    console.log(`   Original hash: ${document.originalPdfHash}`);
-    console.log(`   Signed hash: ${signedPdfHash}`);
-    console.log(`   File: ${signedPdfFilename}\n`);
+    const { signedPdfBytes, signedPdfKey } = await signDocument(document, fields, {
+      ...signOptions,
+      signer: signedBy,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent') || null
+    });
     
     // Send file directly for download
     res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${signedPdfFilename}"`);
+    res.setHeader('Content-Disposition', `attachment; filename="${path.posix.basename(signedPdfKey)}"`);
     res.send(Buffer.from(signedPdfBytes));
     
   } catch (error) {
@@ -310,28 +304,50 @@ router.post('/sign-pdf', async (req, res) => {
 });
 
 
-router.get('/document/:id', async (req, res) => {
+router.get('/document/:id', requireAuth, async (req, res) => {
   try {
-    const document = await Document.findById(req.params.id);
+    const { document, role, status, error } = await loadDocumentFor(req, req.params.id, 'document:read');
     if (!document) {
-      return res.status(404).json({ 
+      return res.status(status).json({
         success: false,
-        error: 'Document not found' 
+        error
       });
     }
     
+    await recordAuditEvent({ documentId: document._id, type: 'view', req });
+    await emitWebhookEvent(document, 'document.viewed', { viewer: req.user.email });
+    
     res.json({
       success: true,
       document: {
         id: document._id,
         originalPdfHash: document.originalPdfHash,
         signedPdfHash: document.signedPdfHash,
-        originalPdfUrl: document.originalPdfUrl,
-        signedPdfUrl: document.signedPdfUrl,
+        originalPdfUrl: await getDownloadUrl(document.originalPdfKey),
+        signedPdfUrl: await getDownloadUrl(document.signedPdfKey),
         createdAt: document.createdAt,
         signedAt: document.signedAt,
+        digitallySigned: document.digitallySigned,
         fields: document.fields,
-        metadata: document.metadata
+        // Link credentials stay server-side, even hashed or encrypted
+        signers: document.signers.map(signer => {
+          const { tokenHash, tokenSealed, ...rest } = signer.toObject();
+          return rest;
+        }),
+        versions: document.versions.map(version => serializeVersion(version)),
+        signingOrder: document.signingOrder,
+        envelopeStatus: document.getEnvelopeStatus(),
+        status: document.status,
+        statusChangedAt: document.statusChangedAt,
+        expiresAt: document.expiresAt,
+        voidedAt: document.voidedAt,
+        voidReason: document.voidReason,
+        metadata: document.metadata,
+        ownerId: document.ownerId,
+        organizationId: document.organizationId,
+        isOwner: Boolean(document.ownerId?.equals(req.user._id)),
+        role,
+        sharedWith: await listSharedUsers(document)
       }
     });
   } catch (error) {
@@ -343,50 +359,377 @@ router.get('/document/:id', async (req, res) => {
 });
 
 
-router.get('/verify/:id', async (req, res) => {
+router.post('/document/:id/share', requireAuth, async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing email'
+      });
+    }
+    
+    // Only the owner decides who else sees a personal document
+    const { document, status, error } = await loadDocumentFor(req, req.params.id, 'document:send');
+    if (!document) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+    
+    if (document.organizationId) {
+      return res.status(409).json({
+        success: false,
+        error: 'Organization documents are shared through membership roles'
+      });
+    }
+    
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'No account uses this email'
+      });
+    }
+    
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You already own this document'
+      });
+    }
+    
+    if (!document.sharedWith.some(id => id.equals(user._id))) {
+      document.sharedWith.push(user._id);
+      await document.save();
+      
+      await recordAuditEvent({
+        documentId: document._id,
+        type: 'shared',
+        req,
+        details: { userId: user._id, email: user.email }
+      });
+    }
+    
+    res.json({
+      success: true,
+      sharedWith: await listSharedUsers(document)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.delete('/document/:id/share/:userId', requireAuth, async (req, res) => {
   try {
-    const document = await Document.findById(req.params.id);
+    const { document, status, error } = await loadDocumentFor(req, req.params.id, 'document:send');
     if (!document) {
-      return res.status(404).json({ 
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+    
+    if (document.organizationId) {
+      return res.status(409).json({
         success: false,
-        error: 'Document not found' 
+        error: 'Organization documents are shared through membership roles'
       });
     }
     
-    // Verify original PDF hash
-    const originalPdfPath = path.join(__dirname, '..', document.originalPdfUrl);
-    const originalBuffer = await fs.readFile(originalPdfPath);
-    const calculatedOriginalHash = calculateHash(originalBuffer);
+    const before = document.sharedWith.length;
+    document.sharedWith = document.sharedWith.filter(id => String(id) !== req.params.userId);
+    if (document.sharedWith.length !== before) {
+      await document.save();
+      
+      await recordAuditEvent({
+        documentId: document._id,
+        type: 'unshared',
+        req,
+        details: { userId: req.params.userId }
+      });
+    }
     
-    let calculatedSignedHash = null;
-    let signedVerified = null;
+    res.json({
+      success: true,
+      sharedWith: await listSharedUsers(document)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.get('/verify/:id', requireAuth, async (req, res) => {
+  try {
+    const { document, status, error } = await loadDocumentFor(req, req.params.id, 'document:verify');
+    if (!document) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
     
-    if (document.signedPdfUrl) {
-      const signedPdfPath = path.join(__dirname, '..', document.signedPdfUrl);
-      const signedBuffer = await fs.readFile(signedPdfPath);
-      calculatedSignedHash = calculateHash(signedBuffer);
-      signedVerified = calculatedSignedHash === document.signedPdfHash;
+    // Re-hash the original and every signed version; the last version is the current signed PDF
+    const originalPdf = await verifyStoredPdf(document.originalPdfKey, document.originalPdfHash);
+    const versions = [];
+    for (const version of document.versions) {
+      versions.push({
+        number: version.number,
+        source: version.source,
+        signedBy: version.signedBy,
+        createdAt: version.createdAt,
+        ...await verifyStoredPdf(version.signedPdfKey, version.signedPdfHash, [versionReference(version)])
+      });
     }
     
-    const originalVerified = calculatedOriginalHash === document.originalPdfHash;
+    // Documents signed before versions were kept only have their latest signed PDF
+    const signedPdf = document.signedPdfKey
+      ? versions.at(-1) ?? await verifyStoredPdf(document.signedPdfKey, document.signedPdfHash)
+      : null;
+    
+    const originalVerified = originalPdf.verified;
+    const signedVerified = signedPdf ? signedPdf.verified : null;
+    const failedVersions = versions.filter(version => !version.verified).map(version => version.number);
+    const verified = originalVerified && signedVerified !== false && failedVersions.length === 0;
+    
+    // What the tamper reports found, across every file that failed
+    const tamperFindings = [...new Set(
+      [originalPdf, signedPdf, ...versions]
+        .flatMap(result => result?.tamperReport?.findings || [])
+        .map(finding => finding.type)
+    )];
+    
+    await recordAuditEvent({
+      documentId: document._id,
+      type: 'verify',
+      req,
+      details: {
+        verified,
+        originalVerified,
+        signedVerified,
+        versionCount: versions.length,
+        failedVersions,
+        tamperFindings
+      }
+    });
+    
+    // A stored file no longer matching its hash means storage was tampered with
+    if (!verified) {
+      await emitWebhookEvent(document, 'document.verification_failed', {
+        source: 'stored',
+        originalVerified,
+        signedVerified,
+        failedVersions,
+        tamperFindings
+      });
+    }
     
     res.json({
       success: true,
       verification: {
-        originalPdf: {
-          storedHash: document.originalPdfHash,
-          calculatedHash: calculatedOriginalHash,
-          verified: originalVerified,
-          status: originalVerified ? '✅ VERIFIED' : '❌ TAMPERED'
+        verified,
+        originalPdf,
+        signedPdf: signedPdf && {
+          storedHash: signedPdf.storedHash,
+          calculatedHash: signedPdf.calculatedHash,
+          verified: signedPdf.verified,
+          status: signedPdf.status,
+          tamperReport: signedPdf.tamperReport
         },
-        signedPdf: document.signedPdfHash ? {
-          storedHash: document.signedPdfHash,
-          calculatedHash: calculatedSignedHash,
-          verified: signedVerified,
-          status: signedVerified ? '✅ VERIFIED' : '❌ TAMPERED'
+        versions
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+
+// Open to anyone holding the file: the PDF itself is the credential, and only
+// hashes, signers and signing dates of the matching document are revealed
+router.post('/verify-upload', upload.single('pdf'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'No PDF file uploaded' 
+      });
+    }
+    
+    const uploadedHash = calculateHash(req.file.buffer);
+    
+    // A file is either an original, a final signed PDF, or an earlier signed version
+    const document = await Document.findOne({
+      $or: [
+        { originalPdfHash: uploadedHash },
+        { signedPdfHash: uploadedHash },
+        { 'versions.signedPdfHash': uploadedHash },
+        { 'signers.signedPdfHash': uploadedHash }
+      ]
+    });
+    
+    let match = null;
+    if (document) {
+      const signedVersion = document.versions.find(v => v.signedPdfHash === uploadedHash);
+      const signerVersion = document.signers.find(s => s.signedPdfHash === uploadedHash);
+      if (document.originalPdfHash === uploadedHash) {
+        match = { version: 'original' };
+      } else if (document.signedPdfHash === uploadedHash) {
+        match = { version: 'signed', number: signedVersion?.number ?? null, signedAt: document.signedAt };
+      } else if (signerVersion) {
+        match = {
+          version: 'signer',
+          number: signedVersion?.number ?? null,
+          signer: { name: signerVersion.name, role: signerVersion.role },
+          signedAt: signerVersion.signedAt
+        };
+      } else {
+        match = { version: 'earlier', number: signedVersion.number, signedAt: signedVersion.createdAt };
+      }
+    }
+    
+    // No hash match: a PDF we produced that has since been modified still carries our document ID
+    let claimedDocument = null;
+    if (!document) {
+      try {
+        const pdfDoc = await PDFDocument.load(req.file.buffer, { ignoreEncryption: true, updateMetadata: false });
+        const claimedId = readDocumentId(pdfDoc);
+        if (claimedId && mongoose.isValidObjectId(claimedId)) {
+          claimedDocument = await Document.findById(claimedId);
+        }
+      } catch (error) {
+        console.log(`   ⊘ Could not parse uploaded PDF: ${error.message}`);
+      }
+    }
+    
+    const status = document ? 'VERIFIED' : claimedDocument ? 'TAMPERED' : 'UNKNOWN';
+    const relatedDocument = document || claimedDocument;
+    
+    // Say what changed, against whichever recorded file the upload was made from
+    let tamperReport = null;
+    if (status === 'TAMPERED') {
+      const report = await buildTamperReport(req.file.buffer, [
+        { number: null, hash: claimedDocument.originalPdfHash, structure: null },
+        ...claimedDocument.versions.map(versionReference)
+      ]);
+      // Recorded metadata values stay private: only the uploader's own file is described
+      tamperReport = {
+        reference: report.reference,
+        appendedBytes: report.appendedBytes,
+        findings: report.findings.map(finding => (finding.type === 'metadata_changed'
+          ? { type: finding.type, key: finding.key, message: finding.message }
+          : finding))
+      };
+    }
+    
+    if (relatedDocument) {
+      await recordAuditEvent({
+        documentId: relatedDocument._id,
+        type: 'verify',
+        req,
+        details: {
+          source: 'upload',
+          verified: status === 'VERIFIED',
+          status,
+          uploadedHash,
+          version: match?.version || null,
+          versionNumber: match?.number ?? null,
+          ...(tamperReport && { tamperFindings: [...new Set(tamperReport.findings.map(finding => finding.type))] })
+        }
+      });
+    }
+    
+    // Anyone can upload, so the owner hears about tampered copies at most once per window
+    if (status === 'TAMPERED') {
+      await emitWebhookEvent(claimedDocument, 'document.verification_failed', {
+        source: 'upload',
+        fileName: req.file.originalname,
+        uploadedHash
+      }, { minIntervalMs: UPLOAD_ALERT_INTERVAL_MS });
+    }
+    
+    console.log(`🔍 Verification upload: ${req.file.originalname}`);
+    console.log(`   Hash: ${uploadedHash}`);
+    console.log(`   Result: ${status}${relatedDocument ? ` (${relatedDocument._id})` : ''}`);
+    
+    res.json({
+      success: true,
+      verification: {
+        fileName: req.file.originalname,
+        hash: uploadedHash,
+        status,
+        verified: status === 'VERIFIED',
+        match,
+        tamperReport,
+        document: relatedDocument ? {
+          id: relatedDocument._id,
+          originalPdfHash: relatedDocument.originalPdfHash,
+          signedPdfHash: relatedDocument.signedPdfHash,
+          createdAt: relatedDocument.createdAt,
+          signedAt: relatedDocument.signedAt
         } : null
       }
     });
+  } catch (error) {
+    console.error('❌ Verify upload error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+
+router.get('/document/:id/download', requireAuth, async (req, res) => {
+  try {
+    const { version = 'signed' } = req.query;
+    if (!['original', 'signed'].includes(version)) {
+      return res.status(400).json({
+        success: false,
+        error: 'version must be "original" or "signed"'
+      });
+    }
+    
+    const { document, status, error } = await loadDocumentFor(req, req.params.id, 'document:read');
+    if (!document) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+    
+    const pdfKey = version === 'signed' ? document.signedPdfKey : document.originalPdfKey;
+    if (!pdfKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document has not been signed yet'
+      });
+    }
+    
+    await recordAuditEvent({
+      documentId: document._id,
+      type: 'download',
+      req,
+      details: { version, hash: version === 'signed' ? document.signedPdfHash : document.originalPdfHash }
+    });
+    
+    const stream = await getObjectStream(pdfKey);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${path.posix.basename(pdfKey)}"`);
+    stream.on('error', (error) => res.destroy(error));
+    stream.pipe(res);
   } catch (error) {
     res.status(500).json({ 
       success: false,
@@ -396,12 +739,29 @@ router.get('/verify/:id', async (req, res) => {
 });
 
 
-router.get('/documents', async (req, res) => {
+router.get('/documents', requireAuth, async (req, res) => {
   try {
-    const documents = await Document.find()
+    // The active workspace's documents; personally, also those shared with the user
+    const filter = req.organization
+      ? { organizationId: req.organization._id }
+      : { organizationId: null, ...documentAccessFilter(req.user) };
+    
+    // ?status=sent narrows the list to one lifecycle state
+    if (req.query.status) {
+      const statuses = Document.schema.path('status').enumValues;
+      if (!statuses.includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of: ${statuses.join(', ')}`
+        });
+      }
+      filter.status = req.query.status;
+    }
+    
+    const documents = await Document.find(filter)
       .sort({ createdAt: -1 })
       .limit(50)
-      .select('-__v');
+      .select('-__v -versions.fields -versions.structure -signers.tokenHash -signers.tokenSealed');
     
     res.json({
       success: true,
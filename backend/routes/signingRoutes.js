@@ -0,0 +1,320 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { PDFDocument } from 'pdf-lib';
+import path from 'path';
+import Document from '../models/Document.js';
+import Font from '../models/Font.js';
+import { calculateHash } from '../utils/hashUtils.js';
+import { renderFields } from '../utils/renderUtils.js';
+import { fillFormFields } from '../utils/formUtils.js';
+import { stampDocumentId } from '../utils/pdfUtils.js';
+import { recordAuditEvent } from '../utils/auditUtils.js';
+import { emitWebhookEvent } from '../utils/webhookUtils.js';
+import { getSigningBlock } from '../utils/lifecycleUtils.js';
+import { analyzePdfStructure } from '../utils/tamperUtils.js';
+import { sendDueInvitations, sendCompletionNotice } from '../utils/notificationUtils.js';
+import { createObjectKey, putObject, getObject, deleteObject, getDownloadUrl } from '../utils/storageUtils.js';
+
+const router = express.Router();
+
+/**
+ * Resolve a signing token to its document and signer
+ *
+ * TOKEN RULES:
+ * - Only the SHA-256 of a token is stored, so lookups hash the raw token
+ * - Revoked, expired and already-used tokens are refused
+ * - So is every token of a voided, expired or completed document
+ *
+ * @param {string} token - Raw token from the signing URL
+ * @returns {Promise<Object>} - { document, signer } or { status, error }
+ */
+async function resolveSigningToken(token) {
+  const tokenHash = calculateHash(token);
+  const document = await Document.findOne({ 'signers.tokenHash': tokenHash });
+  const signer = document?.signers.find(s => s.tokenHash === tokenHash);
+
+  if (!signer) {
+    return { status: 404, error: 'Invalid signing link' };
+  }
+
+  // Links die with their document: voided or expired envelopes can't be signed
+  const blocked = getSigningBlock(document);
+  if (blocked) {
+    return { status: 410, error: blocked.error };
+  }
+  if (signer.tokenRevokedAt) {
+    return { status: 410, error: 'This signing link has been revoked' };
+  }
+  if (signer.status === 'signed') {
+    return { status: 410, error: 'This signing link has already been used' };
+  }
+  if (signer.tokenExpiresAt && signer.tokenExpiresAt < new Date()) {
+    return { status: 410, error: 'This signing link has expired' };
+  }
+
+  return { document, signer };
+}
+
+/**
+ * Fields a signer may fill, without positions they could tamper with
+ *
+ * @param {Document} document - Envelope document
+ * @param {Object} signer - Signer subdocument
+ * @returns {Array<Object>} - Assigned field subdocuments
+ */
+function getAssignedFields(document, signer) {
+  return document.fields.filter(field => field.signerRole === signer.role);
+}
+
+
+router.get('/signing/:token', async (req, res) => {
+  try {
+    const { document, signer, status, error } = await resolveSigningToken(req.params.token);
+    if (!document) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    await recordAuditEvent({
+      documentId: document._id,
+      type: 'view',
+      req,
+      actor: signer.name,
+      details: { signerId: signer._id, role: signer.role }
+    });
+    await emitWebhookEvent(document, 'document.viewed', {
+      viewer: signer.email || signer.name,
+      signerId: signer._id,
+      role: signer.role
+    });
+
+    // Uploaded fonts of the assigned fields, so the recipient's preview matches the burned text
+    const fields = getAssignedFields(document, signer);
+    const fontIds = [...new Set(fields.map(field => field.style?.fontId).filter(Boolean).map(String))];
+    const fonts = fontIds.length > 0 ? await Font.find({ _id: { $in: fontIds } }) : [];
+
+    // Recipients see the latest version, including earlier signers' fields
+    res.json({
+      success: true,
+      documentId: document._id,
+      pdfUrl: await getDownloadUrl(document.signedPdfKey || document.originalPdfKey),
+      pages: document.metadata?.pages,
+      pageCount: document.metadata?.pageCount,
+      signer: {
+        id: signer._id,
+        name: signer.name,
+        role: signer.role,
+        canSignNow: document.isSignerTurn(signer)
+      },
+      expiresAt: signer.tokenExpiresAt,
+      fonts: await Promise.all(fonts.map(async font => ({
+        id: font._id,
+        name: font.name,
+        url: await getDownloadUrl(font.fontKey)
+      }))),
+      fields: fields.map(field => ({
+        id: field._id,
+        type: field.type,
+        page: field.page,
+        x: field.x,
+        y: field.y,
+        width: field.width,
+        height: field.height,
+        options: field.options,
+        label: field.label,
+        required: field.required,
+        style: field.style,
+        value: field.value
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.post('/signing/:token', async (req, res) => {
+  let signedPdfKey = null;
+
+  try {
+    const { fields = [] } = req.body;
+
+    // Each entry is { id, value } with a string value, or null to leave the field as it is
+    if (!Array.isArray(fields)) {
+      return res.status(400).json({
+        success: false,
+        error: 'fields must be an array'
+      });
+    }
+    const malformed = fields.some(field =>
+      !field || typeof field !== 'object' || (field.value != null && typeof field.value !== 'string')
+    );
+    if (malformed) {
+      return res.status(400).json({
+        success: false,
+        error: 'Every field must be an object with a string value'
+      });
+    }
+
+    const { document, signer, status, error } = await resolveSigningToken(req.params.token);
+    if (!document) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    if (!document.isSignerTurn(signer)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Waiting for earlier signers to complete'
+      });
+    }
+
+    // Signers only supply values; positions and types come from the envelope
+    const submittedValues = new Map(
+      fields.map(field => [String(field.id), field.value])
+    );
+    const assignedFields = getAssignedFields(document, signer);
+    if (assignedFields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `No fields are assigned to role: ${signer.role}`
+      });
+    }
+
+    const missingField = assignedFields.find(field =>
+      field.required && !submittedValues.get(String(field._id)) && !field.value
+    );
+    if (missingField) {
+      return res.status(400).json({
+        success: false,
+        error: `Required field is empty: ${missingField.label || missingField.type}`
+      });
+    }
+
+    const signedAt = new Date();
+    for (const field of assignedFields) {
+      if (submittedValues.has(String(field._id))) {
+        field.value = submittedValues.get(String(field._id));
+      }
+      field.filledBy = signer.email ? `${signer.name} <${signer.email}>` : signer.name;
+      field.filledAt = signedAt;
+      field.ipAddress = req.ip;
+      field.userAgent = req.get('user-agent') || null;
+    }
+
+    // Burn onto the latest signed version so earlier signatures are kept
+    const sourcePdfKey = document.signedPdfKey || document.originalPdfKey;
+    const pdfBuffer = await getObject(sourcePdfKey);
+    const pdfDoc = await PDFDocument.load(pdfBuffer);
+
+    console.log(`\n📄 Processing envelope: ${document._id}`);
+    console.log(`   Signer: ${signer.name} (${signer.role})`);
+    console.log(`   Based on: ${sourcePdfKey}`);
+    console.log(`   Fields to process: ${assignedFields.length}`);
+
+    // Imported form fields are filled in place; the rest are burned in
+    const remainingFields = await fillFormFields(pdfDoc, assignedFields.map(field => field.toObject()));
+    await renderFields(pdfDoc, remainingFields);
+    stampDocumentId(pdfDoc, document._id);
+
+    const signedPdfBytes = await pdfDoc.save();
+    const signedPdfHash = calculateHash(Buffer.from(signedPdfBytes));
+    const structure = await analyzePdfStructure(signedPdfBytes);
+
+    signedPdfKey = createObjectKey('signed', document._id);
+    await putObject(signedPdfKey, signedPdfBytes);
+
+    // Signing completes the signer, which also spends their link
+    const previousSignedPdfHash = document.signedPdfHash;
+    signer.status = 'signed';
+    signer.signedAt = signedAt;
+    signer.signedPdfHash = signedPdfHash;
+    signer.signedPdfKey = signedPdfKey;
+    const version = document.addVersion({
+      signedPdfHash,
+      signedPdfKey,
+      source: 'signer',
+      signedBy: signer.name,
+      signerId: signer._id,
+      fields: document.fields.map(field => field.toObject()),
+      structure,
+      createdAt: signedAt
+    });
+    if (document.getEnvelopeStatus() === 'completed') {
+      document.signedAt = signedAt;
+      document.transitionTo('completed');
+    } else {
+      document.transitionTo('partially_signed');
+    }
+    await document.save();
+
+    await recordAuditEvent({
+      documentId: document._id,
+      type: 'sign',
+      req,
+      actor: signer.name,
+      details: {
+        signerId: signer._id,
+        role: signer.role,
+        signedPdfHash,
+        previousSignedPdfHash,
+        version: version.number,
+        fieldCount: assignedFields.length,
+        envelopeStatus: document.getEnvelopeStatus()
+      }
+    });
+
+    await emitWebhookEvent(document, 'document.signed', {
+      signedPdfHash,
+      signedAt,
+      version: version.number,
+      signer: signer.email || signer.name,
+      signerId: signer._id,
+      role: signer.role,
+      envelopeStatus: document.getEnvelopeStatus()
+    });
+
+    // Emails go out in the background so the signer gets their PDF right away:
+    // the next signers' invitations, or the completion notice with the final PDF
+    if (document.getEnvelopeStatus() === 'completed') {
+      sendCompletionNotice(document, signedPdfBytes);
+    } else {
+      sendDueInvitations(document).catch(error => {
+        console.error(`❌ Could not send invitations for ${document._id}:`, error.message);
+      });
+    }
+
+    console.log(`\n✅ Signer ${signer.role} signed successfully!`);
+    console.log(`   Envelope status: ${document.getEnvelopeStatus()}`);
+    console.log(`   Signed hash: ${signedPdfHash}\n`);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${path.posix.basename(signedPdfKey)}"`);
+    res.send(Buffer.from(signedPdfBytes));
+
+  } catch (error) {
+    // Another signer saved a newer version first; drop ours so they can retry on top of it
+    if (error instanceof mongoose.Error.VersionError) {
+      if (signedPdfKey) await deleteObject(signedPdfKey).catch(() => {});
+      return res.status(409).json({
+        success: false,
+        error: 'Document was signed by someone else at the same time, please retry'
+      });
+    }
+
+    console.error('❌ Signing error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,353 @@
+import express from 'express';
+import Document from '../models/Document.js';
+import Template from '../models/Template.js';
+import { calculateHash } from '../utils/hashUtils.js';
+import { validateFieldCoordinates, getFieldPage } from '../utils/pdfUtils.js';
+import { validateFieldStyles } from '../utils/fontUtils.js';
+import { recordAuditEvent } from '../utils/auditUtils.js';
+import { getObject, getDownloadUrl } from '../utils/storageUtils.js';
+import { requireAuth } from '../utils/authUtils.js';
+import {
+  hasPermission,
+  getWorkspaceRole,
+  requirePermission,
+  workspaceFilter,
+  loadDocumentFor
+} from '../utils/permissionUtils.js';
+
+const router = express.Router();
+
+// Concurrent saves race for the next version number; retry this many times
+const MAX_VERSION_ATTEMPTS = 5;
+
+/**
+ * Shape a template for API responses
+ *
+ * @param {Template} template - Template document
+ * @param {boolean} withFields - Include the field layout
+ * @returns {Object} - Template summary
+ */
+function serializeTemplate(template, withFields = false) {
+  return {
+    id: template._id,
+    name: template.name,
+    version: template.version,
+    description: template.description,
+    originalPdfHash: template.originalPdfHash,
+    pageCount: template.metadata?.pageCount,
+    fieldCount: template.fields.length,
+    createdAt: template.createdAt,
+    ...(withFields && {
+      pages: template.metadata?.pages,
+      fields: template.fields.map(field => ({
+        type: field.type,
+        page: field.page,
+        x: field.x,
+        y: field.y,
+        width: field.width,
+        height: field.height,
+        options: field.options,
+        label: field.label,
+        required: field.required,
+        signerRole: field.signerRole,
+        formFieldName: field.formFieldName,
+        style: field.style
+      }))
+    })
+  };
+}
+
+
+router.post('/templates', requireAuth, requirePermission('template:manage'), async (req, res) => {
+  try {
+    const { documentId, name, description = null, fields } = req.body;
+
+    // Validation
+    if (!documentId || !name?.trim() || !Array.isArray(fields) || fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing documentId, name or fields'
+      });
+    }
+
+    for (const field of fields) {
+      if (!validateFieldCoordinates(field)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid coordinates for field: ${field.type}`
+        });
+      }
+    }
+
+    const styleError = await validateFieldStyles(fields, req);
+    if (styleError) {
+      return res.status(400).json({
+        success: false,
+        error: styleError
+      });
+    }
+
+    const { document, status, error } = await loadDocumentFor(req, documentId, 'document:read', { inWorkspace: true });
+    if (!document) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    const pageCount = document.metadata?.pageCount || 1;
+    const outOfRange = fields.find(field => getFieldPage(field) >= pageCount);
+    if (outOfRange) {
+      return res.status(400).json({
+        success: false,
+        error: `Field page ${getFieldPage(outOfRange) + 1} is out of range (PDF has ${pageCount} page(s))`
+      });
+    }
+
+    // Layout only: values belong to each signing session
+    const templateFields = fields.map(field => ({
+      type: field.type,
+      page: getFieldPage(field),
+      x: field.x,
+      y: field.y,
+      width: field.width,
+      height: field.height,
+      options: field.options || undefined,
+      label: field.label || null,
+      required: Boolean(field.required),
+      signerRole: field.signerRole || null,
+      formFieldName: field.formFieldName || null,
+      style: field.style || null
+    }));
+
+    let template;
+    for (let attempt = 1; attempt <= MAX_VERSION_ATTEMPTS; attempt++) {
+      const latest = await Template.findOne({ ...workspaceFilter(req), name: name.trim() })
+        .sort({ version: -1 })
+        .select('version')
+        .lean();
+
+      try {
+        // Organization templates belong to the organization, not to whoever saved them
+        template = await Template.create({
+          ownerId: req.organization ? null : req.user._id,
+          organizationId: req.organization?._id ?? null,
+          createdBy: req.user._id,
+          name: name.trim(),
+          version: latest ? latest.version + 1 : 1,
+          description,
+          originalPdfHash: document.originalPdfHash,
+          originalPdfKey: document.originalPdfKey,
+          sourceDocumentId: document._id,
+          fields: templateFields,
+          metadata: document.metadata
+        });
+        break;
+      } catch (error) {
+        // Someone else saved this version first; read the latest again
+        if (error.code !== 11000 || attempt === MAX_VERSION_ATTEMPTS) throw error;
+      }
+    }
+
+    console.log(`📐 Template saved: ${template.name} v${template.version} (${templateFields.length} fields)`);
+
+    res.status(201).json({
+      success: true,
+      template: serializeTemplate(template, true)
+    });
+  } catch (error) {
+    console.error('❌ Template save error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.get('/templates', requireAuth, requirePermission('template:manage'), async (req, res) => {
+  try {
+    const filter = workspaceFilter(req);
+    // ?hash= narrows the list to templates made for one PDF
+    if (req.query.hash) filter.originalPdfHash = req.query.hash;
+    const templates = await Template.find(filter)
+      .sort({ name: 1, version: -1 });
+
+    // Latest version of each name, plus how many versions exist
+    const latestByName = new Map();
+    for (const template of templates) {
+      const entry = latestByName.get(template.name);
+      if (entry) {
+        entry.versionCount++;
+      } else {
+        latestByName.set(template.name, { ...serializeTemplate(template), versionCount: 1 });
+      }
+    }
+
+    res.json({
+      success: true,
+      count: latestByName.size,
+      templates: [...latestByName.values()]
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.get('/templates/:id', requireAuth, requirePermission('template:manage'), async (req, res) => {
+  try {
+    const template = await Template.findOne({ _id: req.params.id, ...workspaceFilter(req) });
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      template: {
+        ...serializeTemplate(template, true),
+        pdfUrl: await getDownloadUrl(template.originalPdfKey)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.get('/templates/:id/versions', requireAuth, requirePermission('template:manage'), async (req, res) => {
+  try {
+    const template = await Template.findOne({ _id: req.params.id, ...workspaceFilter(req) }).select('name');
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    const versions = await Template.find({ ...workspaceFilter(req), name: template.name })
+      .sort({ version: -1 });
+
+    res.json({
+      success: true,
+      name: template.name,
+      versions: versions.map(version => serializeTemplate(version))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.post('/templates/:id/documents', requireAuth, requirePermission('template:manage'), async (req, res) => {
+  try {
+    const { documentId } = req.body;
+
+    const template = await Template.findOne({ _id: req.params.id, ...workspaceFilter(req) });
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    let document;
+    if (documentId) {
+      // Apply the layout to a PDF that was already uploaded
+      const access = await loadDocumentFor(req, documentId, 'document:send');
+      if (!access.document) {
+        return res.status(access.status).json({
+          success: false,
+          error: access.error
+        });
+      }
+      document = access.document;
+      if (document.originalPdfHash !== template.originalPdfHash) {
+        return res.status(409).json({
+          success: false,
+          error: 'Template was saved for a different PDF (hash mismatch)'
+        });
+      }
+      if (document.status !== 'draft' || document.signedPdfKey || document.signers.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Document has already been signed or sent'
+        });
+      }
+    } else {
+      // New session on the template's own PDF; make sure the file is still the one it was saved for
+      const role = getWorkspaceRole(req);
+      if (!hasPermission(role, 'document:create')) {
+        return res.status(403).json({
+          success: false,
+          error: `Your role (${role}) does not allow document:create`
+        });
+      }
+
+      const pdfBuffer = await getObject(template.originalPdfKey);
+      if (calculateHash(pdfBuffer) !== template.originalPdfHash) {
+        return res.status(409).json({
+          success: false,
+          error: 'Template PDF no longer matches its recorded hash'
+        });
+      }
+
+      document = new Document({
+        ownerId: req.user._id,
+        organizationId: req.organization?._id ?? null,
+        originalPdfHash: template.originalPdfHash,
+        originalPdfKey: template.originalPdfKey,
+        metadata: template.metadata
+      });
+    }
+
+    document.fields = template.fields.map(field => field.toObject());
+    await document.save();
+
+    await recordAuditEvent({
+      documentId: document._id,
+      type: 'template_applied',
+      req,
+      details: {
+        templateId: template._id,
+        name: template.name,
+        version: template.version,
+        newDocument: !documentId
+      }
+    });
+
+    console.log(`📐 Template ${template.name} v${template.version} → document ${document._id}`);
+
+    const { fields, pages } = serializeTemplate(template, true);
+    res.status(documentId ? 200 : 201).json({
+      success: true,
+      documentId: document._id,
+      pdfUrl: await getDownloadUrl(document.originalPdfKey),
+      hash: document.originalPdfHash,
+      pages,
+      pageCount: document.metadata?.pageCount,
+      fields,
+      template: serializeTemplate(template)
+    });
+  } catch (error) {
+    console.error('❌ Template apply error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,262 @@
+import express from 'express';
+import path from 'path';
+import { recordAuditEvent } from '../utils/auditUtils.js';
+import { emitWebhookEvent } from '../utils/webhookUtils.js';
+import { getObject, getObjectStream, getDownloadUrl } from '../utils/storageUtils.js';
+import { requireAuth } from '../utils/authUtils.js';
+import { loadDocumentFor } from '../utils/permissionUtils.js';
+import { serializeVersion, verifyStoredPdf, versionReference } from '../utils/versionUtils.js';
+import { diffPdfPage } from '../utils/diffUtils.js';
+
+const router = express.Router();
+
+// Rasterization scale for visual diffs (pixels per PDF point)
+const DEFAULT_DIFF_SCALE = 1.5;
+const MAX_DIFF_SCALE = 3;
+
+/**
+ * Load a document and one of its signed versions for a request
+ *
+ * @param {Object} req - Express request (:id and :number params)
+ * @param {string} permission - Permission the caller needs on the document
+ * @returns {Promise<Object>} - { document, version } or { status, error }
+ */
+async function loadVersionFor(req, permission) {
+  const number = Number(req.params.number);
+  if (!Number.isInteger(number) || number < 1) {
+    return { status: 400, error: 'Version number must be a positive integer' };
+  }
+
+  const { document, status, error } = await loadDocumentFor(req, req.params.id, permission);
+  if (!document) return { status, error };
+
+  const version = document.getVersion(number);
+  if (!version) {
+    return { status: 404, error: `Document has no version ${number}` };
+  }
+
+  return { document, version };
+}
+
+
+router.get('/document/:id/versions', requireAuth, async (req, res) => {
+  try {
+    const { document, status, error } = await loadDocumentFor(req, req.params.id, 'document:read');
+    if (!document) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    res.json({
+      success: true,
+      documentId: document._id,
+      originalPdfHash: document.originalPdfHash,
+      count: document.versions.length,
+      versions: document.versions.map(version => serializeVersion(version))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.get('/document/:id/versions/:number', requireAuth, async (req, res) => {
+  try {
+    const { document, version, status, error } = await loadVersionFor(req, 'document:read');
+    if (!version) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    res.json({
+      success: true,
+      documentId: document._id,
+      version: {
+        ...serializeVersion(version, true),
+        pdfUrl: await getDownloadUrl(version.signedPdfKey),
+        current: version.number === document.versions.length
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.get('/document/:id/versions/:number/download', requireAuth, async (req, res) => {
+  try {
+    const { document, version, status, error } = await loadVersionFor(req, 'document:read');
+    if (!version) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    await recordAuditEvent({
+      documentId: document._id,
+      type: 'download',
+      req,
+      details: { version: version.number, hash: version.signedPdfHash }
+    });
+
+    const stream = await getObjectStream(version.signedPdfKey);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${path.posix.basename(version.signedPdfKey)}"`);
+    stream.on('error', (error) => res.destroy(error));
+    stream.pipe(res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.get('/document/:id/versions/:number/verify', requireAuth, async (req, res) => {
+  try {
+    const { document, version, status, error } = await loadVersionFor(req, 'document:verify');
+    if (!version) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    const result = await verifyStoredPdf(version.signedPdfKey, version.signedPdfHash, [versionReference(version)]);
+
+    await recordAuditEvent({
+      documentId: document._id,
+      type: 'verify',
+      req,
+      details: {
+        version: version.number,
+        verified: result.verified,
+        tamperFindings: [...new Set((result.tamperReport?.findings || []).map(finding => finding.type))]
+      }
+    });
+
+    if (!result.verified) {
+      await emitWebhookEvent(document, 'document.verification_failed', {
+        source: 'stored',
+        version: version.number
+      });
+    }
+
+    res.json({
+      success: true,
+      documentId: document._id,
+      verification: {
+        version: version.number,
+        ...result
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.get('/document/:id/versions/:number/diff', requireAuth, async (req, res) => {
+  try {
+    const page = req.query.page === undefined ? 0 : Number(req.query.page);
+    if (!Number.isInteger(page) || page < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'page must be a zero-based page index'
+      });
+    }
+
+    const scale = req.query.scale === undefined ? DEFAULT_DIFF_SCALE : Number(req.query.scale);
+    if (!(scale >= 0.5 && scale <= MAX_DIFF_SCALE)) {
+      return res.status(400).json({
+        success: false,
+        error: `scale must be between 0.5 and ${MAX_DIFF_SCALE}`
+      });
+    }
+
+    const { document, version, status, error } = await loadVersionFor(req, 'document:verify');
+    if (!version) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    // The version's own field snapshot says where the engine was allowed to draw
+    const fields = version.fields
+      .filter(field => field.page === page)
+      .map(field => ({
+        id: field._id,
+        type: field.type,
+        label: field.label,
+        signerRole: field.signerRole,
+        x: field.x,
+        y: field.y,
+        width: field.width,
+        height: field.height
+      }));
+
+    const diff = await diffPdfPage(
+      await getObject(document.originalPdfKey),
+      await getObject(version.signedPdfKey),
+      page,
+      { scale, fields }
+    );
+    if (diff.error) {
+      return res.status(400).json({
+        success: false,
+        error: diff.error,
+        pageCount: diff.pageCount
+      });
+    }
+
+    // Viewing a diff is not a verification: it gets its own event type
+    await recordAuditEvent({
+      documentId: document._id,
+      type: 'diff_viewed',
+      req,
+      details: {
+        version: version.number,
+        page,
+        changedPixels: diff.changedPixels,
+        suspicious: diff.suspicious
+      }
+    });
+
+    console.log(`🔬 Diff: ${document._id} v${version.number} page ${page + 1}`);
+    console.log(`   Regions: ${diff.regions.length}${diff.suspicious ? ' (suspicious changes outside fields)' : ''}`);
+
+    res.json({
+      success: true,
+      documentId: document._id,
+      version: version.number,
+      page,
+      fields,
+      // diff.scale: the scale actually rendered, lower than asked for on very large pages
+      ...diff
+    });
+  } catch (error) {
+    console.error('❌ Diff error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,284 @@
+import express from 'express';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { requireAuth } from '../utils/authUtils.js';
+import { requirePermission, workspaceFilter } from '../utils/permissionUtils.js';
+import {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  checkWebhookHost,
+  replayWebhookDelivery
+} from '../utils/webhookUtils.js';
+
+const router = express.Router();
+
+// Deliveries returned per page of the log
+const DELIVERY_PAGE_SIZE = 50;
+
+/**
+ * Check a webhook URL and event list from a request body
+ *
+ * @param {string} url - Endpoint URL
+ * @param {Array<string>} events - Event names (empty = all)
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateWebhookInput(url, events) {
+  if (url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return 'url must be an absolute http(s) URL';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return 'url must be an absolute http(s) URL';
+    }
+  }
+
+  if (events !== undefined) {
+    if (!Array.isArray(events)) {
+      return 'events must be an array';
+    }
+    const unknown = events.find(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown) {
+      return `Unknown event: ${unknown} (one of: ${WEBHOOK_EVENTS.join(', ')})`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Shape a webhook for API responses
+ * The secret is only ever returned when the webhook is created.
+ *
+ * @param {Webhook} webhook - Webhook document
+ * @param {boolean} withSecret - Include the signing secret
+ * @returns {Object} - Webhook summary
+ */
+function serializeWebhook(webhook, withSecret = false) {
+  return {
+    id: webhook._id,
+    url: webhook.url,
+    events: webhook.events.length > 0 ? webhook.events : WEBHOOK_EVENTS,
+    description: webhook.description,
+    active: webhook.active,
+    createdAt: webhook.createdAt,
+    ...(withSecret && { secret: webhook.secret })
+  };
+}
+
+/**
+ * Shape a delivery log entry for API responses
+ *
+ * @param {WebhookDelivery} delivery - Delivery document
+ * @returns {Object} - Delivery with its parsed payload and attempts
+ */
+function serializeDelivery(delivery) {
+  return {
+    id: delivery._id,
+    event: delivery.event,
+    documentId: delivery.documentId,
+    status: delivery.status,
+    payload: JSON.parse(delivery.payload),
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+    deliveredAt: delivery.deliveredAt,
+    replayOf: delivery.replayOf,
+    createdAt: delivery.createdAt
+  };
+}
+
+
+router.post('/webhooks', requireAuth, requirePermission('webhook:manage'), async (req, res) => {
+  try {
+    const { url, events = [], description = null } = req.body;
+
+    const invalid = url ? validateWebhookInput(url, events) || await checkWebhookHost(url) : 'Missing url';
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    // Organization webhooks belong to the organization, not to whoever registered them
+    const webhook = await Webhook.create({
+      ownerId: req.organization ? null : req.user._id,
+      organizationId: req.organization?._id ?? null,
+      url,
+      events: [...new Set(events)],
+      description,
+      secret: generateWebhookSecret(),
+      createdBy: req.user._id
+    });
+
+    console.log(`🪝 Webhook registered: ${webhook.url}`);
+
+    res.status(201).json({
+      success: true,
+      webhook: serializeWebhook(webhook, true)
+    });
+  } catch (error) {
+    console.error('❌ Webhook create error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.get('/webhooks', requireAuth, requirePermission('webhook:manage'), async (req, res) => {
+  try {
+    const webhooks = await Webhook.find(workspaceFilter(req)).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      events: WEBHOOK_EVENTS,
+      webhooks: webhooks.map(webhook => serializeWebhook(webhook))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.patch('/webhooks/:id', requireAuth, requirePermission('webhook:manage'), async (req, res) => {
+  try {
+    const { url, events, description, active } = req.body;
+
+    const invalid = validateWebhookInput(url, events) || (url !== undefined && await checkWebhookHost(url));
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    const webhook = await Webhook.findOne({ _id: req.params.id, ...workspaceFilter(req) });
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    if (url !== undefined) webhook.url = url;
+    if (events !== undefined) webhook.events = [...new Set(events)];
+    if (description !== undefined) webhook.description = description;
+    if (active !== undefined) webhook.active = Boolean(active);
+    await webhook.save();
+
+    res.json({
+      success: true,
+      webhook: serializeWebhook(webhook)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.delete('/webhooks/:id', requireAuth, requirePermission('webhook:manage'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findOneAndDelete({ _id: req.params.id, ...workspaceFilter(req) });
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    // Its log goes with it; nothing is left to retry
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+
+    console.log(`🪝 Webhook removed: ${webhook.url}`);
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.get('/webhooks/:id/deliveries', requireAuth, requirePermission('webhook:manage'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findOne({ _id: req.params.id, ...workspaceFilter(req) }).select('_id');
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    // ?status=failed narrows the log to deliveries worth replaying
+    const filter = { webhookId: webhook._id };
+    if (req.query.status) filter.status = String(req.query.status);
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(DELIVERY_PAGE_SIZE);
+
+    res.json({
+      success: true,
+      count: deliveries.length,
+      deliveries: deliveries.map(serializeDelivery)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+router.post('/webhooks/:id/deliveries/:deliveryId/replay', requireAuth, requirePermission('webhook:manage'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findOne({ _id: req.params.id, ...workspaceFilter(req) });
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhookId: webhook._id });
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
+
+    if (!webhook.active) {
+      return res.status(409).json({
+        success: false,
+        error: 'Webhook is disabled; enable it before replaying'
+      });
+    }
+
+    const replay = await replayWebhookDelivery(delivery);
+
+    res.status(202).json({
+      success: true,
+      delivery: serializeDelivery(replay)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
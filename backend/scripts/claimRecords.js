@@ -0,0 +1,40 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Document from '../models/Document.js';
+import Template from '../models/Template.js';
+import Batch from '../models/Batch.js';
+
+/**
+ * Give records created before accounts existed to one user
+ *
+ * Usage: npm run claim:records -- <email>
+ * Documents, templates and batches without an owner or organization are otherwise invisible to everyone.
+ */
+
+const email = process.argv[2];
+if (!email) {
+  console.error('Usage: npm run claim:records -- <email>');
+  process.exit(1);
+}
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/signature_engine';
+
+await mongoose.connect(MONGODB_URI);
+
+const user = await User.findOne({ email: email.toLowerCase().trim() });
+if (!user) {
+  console.error(`❌ No account uses ${email}; register it first`);
+  await mongoose.disconnect();
+  process.exit(1);
+}
+
+for (const Model of [Document, Template, Batch]) {
+  const { modifiedCount } = await Model.updateMany(
+    { ownerId: null, organizationId: null },
+    { ownerId: user._id }
+  );
+  console.log(`   ${Model.collection.name}: ${modifiedCount} record(s) assigned to ${user.email}`);
+}
+
+await mongoose.disconnect();
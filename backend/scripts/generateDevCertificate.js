@@ -0,0 +1,50 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import forge from 'node-forge';
+
+/**
+ * Generate a self-signed PKCS#12 certificate for local digital-signature testing
+ *
+ * Usage: npm run cert:dev [-- <passphrase>]
+ * Then set SIGNING_P12_PATH=certs/dev-signing.p12 (and SIGNING_P12_PASSPHRASE)
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const passphrase = process.argv[2] || '';
+const outputPath = path.join(__dirname, '../certs/dev-signing.p12');
+
+const { pki } = forge;
+const keys = pki.rsa.generateKeyPair(2048);
+const cert = pki.createCertificate();
+
+cert.publicKey = keys.publicKey;
+cert.serialNumber = `01${forge.util.bytesToHex(forge.random.getBytesSync(8))}`;
+cert.validity.notBefore = new Date();
+cert.validity.notAfter = new Date();
+cert.validity.notAfter.setFullYear(cert.validity.notBefore.getFullYear() + 2);
+
+const attrs = [
+  { name: 'commonName', value: 'Signature Injection Engine (Development)' },
+  { name: 'organizationName', value: 'Signature Injection Engine' },
+  { name: 'countryName', value: 'US' }
+];
+cert.setSubject(attrs);
+cert.setIssuer(attrs);
+cert.setExtensions([
+  { name: 'basicConstraints', cA: false },
+  { name: 'keyUsage', digitalSignature: true, nonRepudiation: true },
+  { name: 'subjectKeyIdentifier' }
+]);
+cert.sign(keys.privateKey, forge.md.sha256.create());
+
+const p12Asn1 = forge.pkcs12.toPkcs12Asn1(keys.privateKey, [cert], passphrase, { algorithm: '3des' });
+const p12Der = forge.asn1.toDer(p12Asn1).getBytes();
+
+await fs.mkdir(path.dirname(outputPath), { recursive: true });
+await fs.writeFile(outputPath, Buffer.from(p12Der, 'binary'));
+
+console.log(`✅ Development certificate written to ${outputPath}`);
+console.log('   Set SIGNING_P12_PATH to this file to enable digital signatures');
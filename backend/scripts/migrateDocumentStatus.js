@@ -0,0 +1,26 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { backfillDocumentStatuses } from '../utils/lifecycleUtils.js';
+
+/**
+ * Give documents created before lifecycle states their status
+ *
+ * Usage: npm run migrate:status
+ * The server also does this on startup. Envelopes get sent, partially_signed or completed from
+ * their signers; other documents are completed once signed and draft otherwise. Records that
+ * already have a status are left alone.
+ */
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/signature_engine';
+
+await mongoose.connect(MONGODB_URI);
+console.log('✅ MongoDB Connected');
+
+const counts = await backfillDocumentStatuses();
+
+for (const [status, count] of Object.entries(counts)) {
+  console.log(`   ${status}: ${count} document(s)`);
+}
+console.log(`   ${Object.values(counts).reduce((sum, count) => sum + count, 0)} document(s) migrated`);
+
+await mongoose.disconnect();
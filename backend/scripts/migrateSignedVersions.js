@@ -0,0 +1,73 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+
+/**
+ * Build the version history of documents signed before versions were kept
+ *
+ * Usage: npm run migrate:versions
+ * Envelopes get one version per signer, in signing order, each with the fields filled by then;
+ * other signed documents get their current signed PDF as version 1. Files replaced by re-signing
+ * before this change are gone and cannot be listed.
+ */
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/signature_engine';
+
+/**
+ * Versions implied by a raw document record
+ *
+ * @param {Object} record - Document as stored
+ * @returns {Array<Object>} - Version entries, oldest first
+ */
+function deriveVersions(record) {
+  const fields = record.fields || [];
+  const signed = (record.signers || [])
+    .filter(signer => signer.status === 'signed' && signer.signedPdfKey)
+    .sort((a, b) => a.signedAt - b.signedAt);
+
+  if (signed.length > 0) {
+    return signed.map((signer, index) => ({
+      number: index + 1,
+      signedPdfHash: signer.signedPdfHash,
+      signedPdfKey: signer.signedPdfKey,
+      source: 'signer',
+      signedBy: signer.name,
+      signerId: signer._id,
+      digitallySigned: false,
+      outputMode: null,
+      createdAt: signer.signedAt,
+      fields: fields.filter(field => field.filledAt && field.filledAt <= signer.signedAt)
+    }));
+  }
+
+  return [{
+    number: 1,
+    signedPdfHash: record.signedPdfHash,
+    signedPdfKey: record.signedPdfKey,
+    source: record.batchId ? 'batch' : 'sign-pdf',
+    signedBy: fields.find(field => field.filledBy)?.filledBy ?? null,
+    signerId: null,
+    digitallySigned: Boolean(record.digitallySigned),
+    outputMode: null,
+    createdAt: record.signedAt || record.updatedAt,
+    fields
+  }];
+}
+
+await mongoose.connect(MONGODB_URI);
+console.log('✅ MongoDB Connected');
+
+const documents = mongoose.connection.collection('documents');
+let migrated = 0;
+
+const cursor = documents.find({
+  signedPdfKey: { $ne: null },
+  $or: [{ versions: { $exists: false } }, { versions: { $size: 0 } }]
+});
+for await (const record of cursor) {
+  await documents.updateOne({ _id: record._id }, { $set: { versions: deriveVersions(record) } });
+  migrated++;
+}
+
+console.log(`   documents: ${migrated} record(s) migrated`);
+
+await mongoose.disconnect();
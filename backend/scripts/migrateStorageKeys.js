@@ -0,0 +1,57 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+
+/**
+ * Move records written before the storage layer from public paths to object keys
+ *
+ * Usage: npm run migrate:storage
+ * '/uploads/<file>' becomes the key '<file>', which the local driver finds in the same folder.
+ * With STORAGE_DRIVER=s3, copy backend/uploads to the bucket root as well.
+ */
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/signature_engine';
+
+// Path fields per collection, including the ones inside arrays of subdocuments
+const MIGRATIONS = [
+  { collection: 'documents', fields: ['originalPdfUrl', 'signedPdfUrl'], arrays: { signers: 'signedPdfUrl' } },
+  { collection: 'templates', fields: ['originalPdfUrl'], arrays: {} },
+  { collection: 'batches', fields: ['originalPdfUrl'], arrays: { rows: 'signedPdfUrl' } }
+];
+
+const toKeyField = (field) => field.replace(/Url$/, 'Key');
+const toKey = (url) => (url ? url.replace(/^\/uploads\//, '') : null);
+
+await mongoose.connect(MONGODB_URI);
+console.log('✅ MongoDB Connected');
+
+for (const { collection, fields, arrays } of MIGRATIONS) {
+  const records = mongoose.connection.collection(collection);
+  const cursor = records.find({ $or: fields.map(field => ({ [field]: { $exists: true } })) });
+
+  let migrated = 0;
+  for await (const record of cursor) {
+    const $set = {};
+    const $unset = {};
+
+    for (const field of fields) {
+      if (field in record) {
+        $set[toKeyField(field)] = toKey(record[field]);
+        $unset[field] = '';
+      }
+    }
+
+    for (const [arrayName, field] of Object.entries(arrays)) {
+      if (!Array.isArray(record[arrayName])) continue;
+      $set[arrayName] = record[arrayName].map(({ [field]: url, ...item }) => (
+        url === undefined ? item : { ...item, [toKeyField(field)]: toKey(url) }
+      ));
+    }
+
+    await records.updateOne({ _id: record._id }, { $set, $unset });
+    migrated++;
+  }
+
+  console.log(`   ${collection}: ${migrated} record(s) migrated`);
+}
+
+await mongoose.disconnect();
@@ -0,0 +1,37 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { getQueueDriverName, startJobWorker, stopJobWorker } from '../utils/jobQueue.js';
+import '../utils/jobHandlers.js';
+
+/**
+ * Standalone job worker for the Redis queue driver
+ *
+ * Usage: JOB_QUEUE_DRIVER=redis npm run worker
+ * Run the API server with JOB_WORKER=off to leave all jobs to these workers.
+ */
+
+if (getQueueDriverName() !== 'redis') {
+  console.error('❌ Standalone workers need JOB_QUEUE_DRIVER=redis; the memory queue only lives inside the server');
+  process.exit(1);
+}
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/signature_engine';
+
+try {
+  await mongoose.connect(MONGODB_URI);
+  console.log('✅ MongoDB Connected');
+} catch (err) {
+  console.error('❌ MongoDB Connection Error:', err.message);
+  process.exit(1);
+}
+
+await startJobWorker();
+
+const shutdown = async () => {
+  console.log('👋 Stopping job worker');
+  await stopJobWorker();
+  await mongoose.disconnect();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
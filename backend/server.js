@@ -1,17 +1,30 @@
+// Load environment variables before any module reads its configuration
+import 'dotenv/config';
 import express from 'express';
 import mongoose from 'mongoose';
 import cors from 'cors';
-import dotenv from 'dotenv';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import pdfRoutes from './routes/pdfRoutes.js';
-
-// Load environment variables
-dotenv.config();
-
-// Get __dirname in ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import envelopeRoutes from './routes/envelopeRoutes.js';
+import signingRoutes from './routes/signingRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
+import templateRoutes from './routes/templateRoutes.js';
+import batchRoutes from './routes/batchRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
+import fileRoutes from './routes/fileRoutes.js';
+import authRoutes from './routes/authRoutes.js';
+import organizationRoutes from './routes/organizationRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import lifecycleRoutes from './routes/lifecycleRoutes.js';
+import versionRoutes from './routes/versionRoutes.js';
+import fontRoutes from './routes/fontRoutes.js';
+import { startJobWorker, getQueueDriverName } from './utils/jobQueue.js';
+import './utils/jobHandlers.js';
+import { startWebhookDispatcher } from './utils/webhookUtils.js';
+import { startInvitationScheduler } from './utils/notificationUtils.js';
+import { startExpirySweeper, backfillDocumentStatuses } from './utils/lifecycleUtils.js';
+import { getMailTransportName } from './utils/mailUtils.js';
+import { getStorageDriverName } from './utils/storageUtils.js';
+import { describeFallbackFonts } from './utils/fontUtils.js';
 
 // Initialize Express app
 const app = express();
@@ -30,12 +43,10 @@ app.use(cors({
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Serve static files (uploaded PDFs)
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
-// Request logging middleware
+// Request logging middleware; signing tokens in the path are bearer credentials and stay out of the log
 app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+  const loggedPath = req.path.replace(/^\/api\/signing\/[^/]+/, '/api/signing/:token');
+  console.log(`${new Date().toISOString()} - ${req.method} ${loggedPath}`);
   next();
 });
 
@@ -49,10 +60,31 @@ mongoose.connect(MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => {
+.then(async () => {
   console.log('✅ MongoDB Connected');
   console.log(`   Database: ${mongoose.connection.name}`);
   console.log(`   Host: ${mongoose.connection.host}`);
+
+  // Documents from before lifecycle states get a status before the sweeper queries by it
+  const backfilled = await backfillDocumentStatuses()
+    .catch(error => console.error('❌ Status backfill error:', error.message));
+  const backfilledCount = Object.values(backfilled || {}).reduce((sum, count) => sum + count, 0);
+  if (backfilledCount > 0) {
+    console.log(`🗂️  Status given to ${backfilledCount} document(s) from before lifecycle states`);
+  }
+
+  startWebhookDispatcher();
+  startInvitationScheduler();
+  startExpirySweeper();
+
+  // JOB_WORKER=off leaves queued jobs to standalone workers (Redis driver only)
+  if (process.env.JOB_WORKER === 'off') {
+    if (getQueueDriverName() === 'memory') {
+      console.warn('⚠️  JOB_WORKER=off with the memory queue: queued jobs will never run');
+    }
+    return;
+  }
+  return startJobWorker();
 })
 .catch(err => {
   console.error('❌ MongoDB Connection Error:', err.message);
@@ -64,7 +96,20 @@ mongoose.connect(MONGODB_URI, {
 // ============================================
 
 // API routes
+app.use('/api', authRoutes);
+app.use('/api', organizationRoutes);
 app.use('/api', pdfRoutes);
+app.use('/api', envelopeRoutes);
+app.use('/api', lifecycleRoutes);
+app.use('/api', versionRoutes);
+app.use('/api', signingRoutes);
+app.use('/api', auditRoutes);
+app.use('/api', templateRoutes);
+app.use('/api', batchRoutes);
+app.use('/api', jobRoutes);
+app.use('/api', webhookRoutes);
+app.use('/api', fontRoutes);
+app.use('/api', fileRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -82,11 +127,58 @@ app.get('/', (req, res) => {
     message: 'Signature Injection Engine API',
     version: '1.0.0',
     endpoints: {
+      'POST /api/auth/register': 'Create an account (returns a bearer token)',
+      'POST /api/auth/login': 'Log in (returns a bearer token)',
+      'GET /api/auth/me': 'Current account',
+      'POST /api/organizations': 'Create an organization (you become its admin)',
+      'GET /api/organizations': 'Organizations you belong to, with your role',
+      'GET /api/organizations/:id': 'Organization members and roles',
+      'POST /api/organizations/:id/members': 'Add a member with a role (admins)',
+      'PATCH /api/organizations/:id/members/:userId': 'Change a member role (admins)',
+      'DELETE /api/organizations/:id/members/:userId': 'Remove a member or leave',
       'POST /api/upload-pdf': 'Upload a PDF file',
-      'POST /api/sign-pdf': 'Generate signed PDF',
+      'POST /api/sign-pdf': 'Generate signed PDF (async: true to queue a job)',
       'GET /api/document/:id': 'Get document info',
-      'GET /api/verify/:id': 'Verify document integrity',
-      'GET /api/documents': 'List all documents',
+      'GET /api/verify/:id': 'Verify document integrity, per signed version',
+      'POST /api/verify-upload': 'Identify an uploaded PDF by its hash',
+      'GET /api/document/:id/download': 'Download original or signed PDF',
+      'GET /api/document/:id/versions': 'List signed versions',
+      'GET /api/document/:id/versions/:number': 'Get a signed version with its field snapshot',
+      'GET /api/document/:id/versions/:number/download': 'Download a signed version',
+      'GET /api/document/:id/versions/:number/verify': 'Verify a signed version',
+      'GET /api/document/:id/versions/:number/diff': 'Visual diff of a page against the original (?page=&scale=)',
+      'GET /api/document/:id/audit': 'Hash-chained audit log',
+      'GET /api/documents': 'List documents in the active workspace (X-Organization-Id header, ?status= to filter)',
+      'POST /api/document/:id/share': 'Share a document with another account',
+      'DELETE /api/document/:id/share/:userId': 'Stop sharing a document',
+      'POST /api/document/:id/envelope': 'Assign signers and fields',
+      'GET /api/document/:id/signers': 'Get signer status',
+      'POST /api/document/:id/signers/:signerId/link': 'Issue a signing link',
+      'DELETE /api/document/:id/signers/:signerId/link': 'Revoke a signing link',
+      'POST /api/document/:id/signers/:signerId/invite': 'Email a signing invitation, with optional reminders',
+      'POST /api/document/:id/void': 'Void (cancel) an unfinished document with a reason',
+      'PUT /api/document/:id/expiry': 'Set or clear the date an unsigned document expires',
+      'GET /api/signing/:token': 'Recipient view of assigned fields',
+      'POST /api/signing/:token': 'Recipient signs assigned fields',
+      'POST /api/templates': 'Save a field layout as a template (new version per name)',
+      'GET /api/templates': 'List templates (latest versions, ?hash= to filter)',
+      'GET /api/templates/:id': 'Get a template version with its fields',
+      'GET /api/templates/:id/versions': 'List all versions of a template',
+      'POST /api/templates/:id/documents': 'Start a signing session from a template',
+      'POST /api/batches': 'Sign one copy per CSV/JSON row',
+      'GET /api/batches/:id': 'Batch progress and row results',
+      'GET /api/batches/:id/download': 'ZIP of signed PDFs plus results.csv',
+      'GET /api/jobs/:id': 'Status, progress and result of a queued job',
+      'POST /api/webhooks': 'Register a webhook (returns its signing secret once)',
+      'GET /api/webhooks': 'List webhooks',
+      'PATCH /api/webhooks/:id': 'Change URL, events or enable/disable a webhook',
+      'DELETE /api/webhooks/:id': 'Remove a webhook',
+      'GET /api/webhooks/:id/deliveries': 'Delivery log with every attempt (?status= to filter)',
+      'POST /api/webhooks/:id/deliveries/:deliveryId/replay': 'Send a delivery again',
+      'POST /api/fonts': 'Upload a TTF/OTF font for text fields',
+      'GET /api/fonts': 'List fonts in the active workspace',
+      'DELETE /api/fonts/:id': 'Remove an uploaded font',
+      'GET /api/files': 'Fetch a stored PDF or font through a signed, expiring link',
       'GET /health': 'Health check'
     }
   });
@@ -122,15 +214,64 @@ app.listen(PORT, () => {
 ║                                            ║
 ║   🚀 Server running on port ${PORT}          ║
 ║   🌍 Environment: ${process.env.NODE_ENV || 'development'}              ║
-║   📁 Uploads: ${path.join(__dirname, 'uploads')}
+║   📁 Storage: ${getStorageDriverName()}
+║   📧 Mail: ${getMailTransportName()}
+║   🔤 Fallback fonts: ${describeFallbackFonts()}
 ╚════════════════════════════════════════════╝
 
 API Endpoints:
+  POST   /api/auth/register       Create account
+  POST   /api/auth/login          Log in
+  GET    /api/auth/me             Current account
+  POST   /api/organizations       Create organization
+  GET    /api/organizations       List organizations
+  GET    /api/organizations/:id                      Organization members
+  POST   /api/organizations/:id/members              Add member
+  PATCH  /api/organizations/:id/members/:userId      Change member role
+  DELETE /api/organizations/:id/members/:userId      Remove member
   POST   /api/upload-pdf          Upload PDF
   POST   /api/sign-pdf            Generate signed PDF
   GET    /api/document/:id        Get document info
   GET    /api/verify/:id          Verify document integrity
-  GET    /api/documents           List all documents
+  POST   /api/verify-upload       Verify an uploaded PDF
+  GET    /api/document/:id/download                  Download PDF
+  GET    /api/document/:id/versions                  Signed versions
+  GET    /api/document/:id/versions/:number          Get version
+  GET    /api/document/:id/versions/:number/download Download version
+  GET    /api/document/:id/versions/:number/verify   Verify version
+  GET    /api/document/:id/versions/:number/diff     Visual diff
+  GET    /api/document/:id/audit                     Audit log
+  GET    /api/documents           List documents
+  POST   /api/document/:id/share                     Share document
+  DELETE /api/document/:id/share/:userId             Unshare document
+  POST   /api/document/:id/envelope                  Assign signers
+  GET    /api/document/:id/signers                   Signer status
+  POST   /api/document/:id/signers/:signerId/link    Issue signing link
+  DELETE /api/document/:id/signers/:signerId/link    Revoke signing link
+  POST   /api/document/:id/signers/:signerId/invite  Email invitation
+  POST   /api/document/:id/void                      Void document
+  PUT    /api/document/:id/expiry                    Set expiry date
+  GET    /api/signing/:token                         Recipient view
+  POST   /api/signing/:token                         Recipient signs
+  POST   /api/templates                              Save template
+  GET    /api/templates                              List templates
+  GET    /api/templates/:id                          Get template
+  GET    /api/templates/:id/versions                 Template versions
+  POST   /api/templates/:id/documents                Start from template
+  POST   /api/batches                                Bulk sign from CSV/JSON
+  GET    /api/batches/:id                            Batch progress
+  GET    /api/batches/:id/download                   Batch ZIP
+  GET    /api/jobs/:id                               Job status
+  POST   /api/webhooks                               Register webhook
+  GET    /api/webhooks                               List webhooks
+  PATCH  /api/webhooks/:id                           Update webhook
+  DELETE /api/webhooks/:id                           Remove webhook
+  GET    /api/webhooks/:id/deliveries                Delivery log
+  POST   /api/webhooks/:id/deliveries/:deliveryId/replay   Replay delivery
+  POST   /api/fonts                                  Upload font
+  GET    /api/fonts                                  List fonts
+  DELETE /api/fonts/:id                              Remove font
+  GET    /api/files                                  Signed file link
   GET    /health                  Health check
 
 Ready to process signatures! ✍️
@@ -0,0 +1,131 @@
+import AuditEvent from '../models/AuditEvent.js';
+import { calculateHash } from './hashUtils.js';
+
+// previousHash of the first event in every chain
+export const GENESIS_HASH = '0'.repeat(64);
+
+// Concurrent appends race for the same sequence number; retry this many times
+const MAX_APPEND_ATTEMPTS = 5;
+
+/**
+ * Serialize a value with sorted object keys so hashes do not depend on key order
+ *
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+function canonicalJson(value) {
+  if (value === undefined || value === null) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (typeof value === 'object' && typeof value.toHexString === 'function') {
+    return JSON.stringify(value.toHexString());
+  }
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Calculate the chain hash of an audit event
+ * Covers every recorded property plus the previous event's hash
+ *
+ * @param {Object} event - Audit event (document or plain object)
+ * @returns {string} - Hexadecimal SHA-256
+ */
+export function calculateEventHash(event) {
+  return calculateHash(canonicalJson({
+    documentId: String(event.documentId),
+    sequence: event.sequence,
+    type: event.type,
+    actor: event.actor ?? null,
+    ipAddress: event.ipAddress ?? null,
+    userAgent: event.userAgent ?? null,
+    details: event.details ?? {},
+    occurredAt: new Date(event.occurredAt),
+    previousHash: event.previousHash
+  }));
+}
+
+/**
+ * Append an event to a document's audit chain
+ *
+ * Background jobs have no request; they pass the submitter's ipAddress/userAgent instead.
+ * The actor defaults to the logged-in user's email.
+ *
+ * @param {Object} options - { documentId, type, req, ipAddress, userAgent, actor, details }
+ * @returns {Promise<AuditEvent>} - Saved event
+ */
+export async function recordAuditEvent({
+  documentId,
+  type,
+  req,
+  ipAddress = req?.ip ?? null,
+  userAgent = req?.get('user-agent') ?? null,
+  actor = req?.user?.email ?? null,
+  details = {}
+}) {
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    const last = await AuditEvent.findOne({ documentId })
+      .sort({ sequence: -1 })
+      .select('sequence hash')
+      .lean();
+
+    const event = {
+      documentId,
+      sequence: last ? last.sequence + 1 : 0,
+      type,
+      actor,
+      ipAddress,
+      userAgent,
+      // Plain JSON only, so the stored copy hashes exactly like this one
+      details: JSON.parse(JSON.stringify(details)),
+      occurredAt: new Date(),
+      previousHash: last ? last.hash : GENESIS_HASH
+    };
+    event.hash = calculateEventHash(event);
+
+    try {
+      return await AuditEvent.create(event);
+    } catch (error) {
+      // Someone else took this sequence number; re-read the tip and try again
+      if (error.code !== 11000 || attempt === MAX_APPEND_ATTEMPTS) throw error;
+    }
+  }
+}
+
+/**
+ * Check that a document's events form an unbroken hash chain
+ *
+ * CHAIN RULES:
+ * - Sequences run 0, 1, 2, ... without gaps
+ * - Each previousHash equals the hash of the event before it
+ * - Each stored hash matches a recalculation over the event's content
+ *
+ * @param {Array<Object>} events - Events sorted by sequence
+ * @returns {Object} - { valid, eventCount, brokenAt, reason }
+ */
+export function verifyAuditChain(events) {
+  let expectedPrevious = GENESIS_HASH;
+
+  for (let index = 0; index < events.length; index++) {
+    const event = events[index];
+
+    let reason = null;
+    if (event.sequence !== index) {
+      reason = `Expected sequence ${index}, found ${event.sequence} (event missing or reordered)`;
+    } else if (event.previousHash !== expectedPrevious) {
+      reason = 'previousHash does not match the preceding event';
+    } else if (calculateEventHash(event) !== event.hash) {
+      reason = 'Event content does not match its hash (modified after recording)';
+    }
+
+    if (reason) {
+      return { valid: false, eventCount: events.length, brokenAt: index, reason };
+    }
+    expectedPrevious = event.hash;
+  }
+
+  return { valid: true, eventCount: events.length, brokenAt: null, reason: null };
+}
@@ -0,0 +1,138 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Organization from '../models/Organization.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const PASSWORD_KEY_LENGTH = 64;
+const TOKEN_TTL = process.env.JWT_EXPIRES_IN || '7d';
+
+// Without a configured secret, tokens only last until the server restarts
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️  JWT_SECRET not set: users will be logged out when the server restarts');
+}
+
+/**
+ * Hash a password for storage
+ *
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} - "<salt hex>:<key hex>"
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+  return `${salt.toString('hex')}:${key.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ *
+ * @param {string} password - Plain-text password
+ * @param {string} passwordHash - Result of hashPassword()
+ * @returns {Promise<boolean>} - True when the password matches
+ */
+export async function verifyPassword(password, passwordHash) {
+  const [saltHex, keyHex] = String(passwordHash).split(':');
+  if (!saltHex || !keyHex) return false;
+
+  const expected = Buffer.from(keyHex, 'hex');
+  const key = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(key, expected);
+}
+
+/**
+ * Issue a bearer token for a user
+ *
+ * @param {User} user - Authenticated user
+ * @returns {string} - Signed JWT (subject = user ID)
+ */
+export function issueToken(user) {
+  return jwt.sign({ email: user.email }, JWT_SECRET, {
+    subject: String(user._id),
+    expiresIn: TOKEN_TTL
+  });
+}
+
+/**
+ * Public view of a user
+ *
+ * @param {User} user - User document
+ * @returns {Object} - { id, email, name }
+ */
+export function serializeUser(user) {
+  return {
+    id: user._id,
+    email: user.email,
+    name: user.name
+  };
+}
+
+/**
+ * Express middleware: require "Authorization: Bearer <token>" and load req.user
+ * An "X-Organization-Id" header selects an organization workspace (req.organization);
+ * without it the user works in their personal workspace.
+ * Attach per route; router.use() would also catch other routers mounted on /api.
+ */
+export async function requireAuth(req, res, next) {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  let user;
+  try {
+    const { sub } = jwt.verify(token, JWT_SECRET);
+    user = await User.findById(sub);
+  } catch {
+    user = null;
+  }
+
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or expired session, please log in again'
+    });
+  }
+
+  const organizationId = req.get('x-organization-id');
+  let organization = null;
+  if (organizationId) {
+    if (mongoose.isValidObjectId(organizationId)) {
+      organization = await Organization.findOne({ _id: organizationId, 'members.userId': user._id });
+    }
+    if (!organization) {
+      // The code lets clients drop a workspace they were removed from
+      return res.status(403).json({
+        success: false,
+        code: 'not_organization_member',
+        error: 'You are not a member of this organization'
+      });
+    }
+  }
+
+  req.user = user;
+  req.organization = organization;
+  next();
+}
+
+/**
+ * Query filter for documents a user may open: their own and those shared with them
+ *
+ * @param {User} user - Authenticated user
+ * @returns {Object} - Mongo filter to merge into Document queries
+ */
+export function documentAccessFilter(user) {
+  return {
+    $or: [
+      { ownerId: user._id },
+      { sharedWith: user._id }
+    ]
+  };
+}
@@ -0,0 +1,246 @@
+import { PDFDocument } from 'pdf-lib';
+import { parse } from 'csv-parse/sync';
+import Batch from '../models/Batch.js';
+import Document from '../models/Document.js';
+import { getFieldPage } from './pdfUtils.js';
+import { generateSignedPdf } from './signingUtils.js';
+import { recordAuditEvent } from './auditUtils.js';
+import { getObject } from './storageUtils.js';
+
+// Upper bound on rows per batch; larger runs should be split
+export const MAX_BATCH_ROWS = 1000;
+
+/**
+ * Parse a CSV or JSON dataset into rows of column → string value
+ *
+ * DATASET FORMATS:
+ * - CSV with a header row (UTF-8, optional BOM)
+ * - JSON array of flat objects
+ *
+ * @param {Buffer|string} data - Raw dataset
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Array<Object>} - Rows keyed by column name
+ */
+export function parseDataset(data, format) {
+  if (format === 'json') {
+    const rows = JSON.parse(String(data));
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+      throw new Error('JSON dataset must be an array of objects');
+    }
+    return rows.map(row => Object.fromEntries(
+      Object.entries(row).map(([column, value]) => [column, value === null || value === undefined ? '' : String(value)])
+    ));
+  }
+
+  return parse(data, {
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+    bom: true
+  });
+}
+
+/**
+ * Key a dataset column is matched against: the field's label, else its position
+ *
+ * @param {Object} field - Layout field
+ * @param {number} index - Position in the layout
+ * @returns {string} - Field key, e.g. "Employee name" or "field3"
+ */
+export function getFieldKey(field, index) {
+  return field.label || `field${index + 1}`;
+}
+
+/**
+ * Decide which dataset column fills which field
+ * Explicit mapping entries win; otherwise a column named like the field key
+ * (case-insensitive) is used.
+ *
+ * @param {Array<Object>} fields - Layout fields
+ * @param {Array<string>} columns - Dataset column names
+ * @param {Object} mapping - Optional field key → column overrides
+ * @returns {Object} - Field key → column, for mapped fields only
+ */
+export function resolveMapping(fields, columns, mapping = {}) {
+  const resolved = {};
+
+  fields.forEach((field, index) => {
+    const key = getFieldKey(field, index);
+    const column = mapping[key] ?? columns.find(c => c.toLowerCase() === key.toLowerCase());
+    if (column && columns.includes(column)) {
+      resolved[key] = column;
+    }
+  });
+
+  return resolved;
+}
+
+/**
+ * Fill a layout with one dataset row
+ * Radio values may be given as the option label or as "optionN".
+ *
+ * @param {Array<Object>} fields - Layout fields (values are shared constants)
+ * @param {Object} row - Column → value
+ * @param {Object} mapping - Result of resolveMapping()
+ * @returns {Array<Object>} - Fields with this row's values
+ */
+export function buildRowFields(fields, row, mapping) {
+  return fields.map((field, index) => {
+    const column = mapping[getFieldKey(field, index)];
+    if (!column) return { ...field };
+
+    let value = row[column] ?? '';
+    if (field.type === 'radio' && value && !/^option\d+$/.test(value)) {
+      const optionIndex = (field.options || []).findIndex(option => option.toLowerCase() === value.toLowerCase());
+      value = optionIndex === -1 ? '' : `option${optionIndex + 1}`;
+    }
+
+    return { ...field, value };
+  });
+}
+
+/**
+ * Sign one batch row into a new Document
+ *
+ * @param {Batch} batch - Running batch
+ * @param {Object} row - Batch row subdocument
+ * @param {Buffer} pdfBuffer - Source PDF bytes
+ * @returns {Promise<Object>} - { document, signedPdfHash, signedPdfKey }
+ */
+async function signBatchRow(batch, row, pdfBuffer) {
+  const fields = buildRowFields(batch.fields, row.values, batch.mapping);
+
+  const missingField = batch.options.outputMode === 'flatten' &&
+    fields.find(field => field.required && !field.value);
+  if (missingField) {
+    throw new Error(`Required field is empty: ${missingField.label || missingField.type}`);
+  }
+
+  const document = new Document({
+    ownerId: batch.ownerId,
+    organizationId: batch.organizationId,
+    originalPdfHash: batch.originalPdfHash,
+    originalPdfKey: batch.originalPdfKey,
+    metadata: batch.metadata,
+    batchId: batch._id
+  });
+  await document.save();
+  row.documentId = document._id;
+
+  await recordAuditEvent({
+    documentId: document._id,
+    type: 'upload',
+    details: { source: 'batch', batchId: batch._id, row: row.index }
+  });
+
+  const signedAt = new Date();
+  const signedFields = fields.map(field => ({
+    ...field,
+    page: getFieldPage(field),
+    filledBy: batch.options.signerName,
+    filledAt: signedAt
+  }));
+
+  const pdfDoc = await PDFDocument.load(pdfBuffer);
+  const { signedPdfHash, signedPdfKey, structure } = await generateSignedPdf(pdfDoc, document, signedFields, {
+    outputMode: batch.options.outputMode,
+    auditCertificate: batch.options.auditCertificate,
+    digitalSignature: batch.options.digitalSignature,
+    completedAt: signedAt
+  });
+
+  document.transitionTo('completed');
+  document.fields = signedFields;
+  document.addVersion({
+    signedPdfHash,
+    signedPdfKey,
+    source: 'batch',
+    signedBy: batch.options.signerName,
+    digitallySigned: batch.options.digitalSignature,
+    outputMode: batch.options.outputMode,
+    fields: signedFields,
+    structure,
+    createdAt: signedAt
+  });
+  document.signedAt = signedAt;
+  document.digitallySigned = batch.options.digitalSignature;
+  await document.save();
+
+  await recordAuditEvent({
+    documentId: document._id,
+    type: 'sign',
+    actor: batch.options.signerName,
+    details: {
+      batchId: batch._id,
+      row: row.index,
+      signedPdfHash,
+      fieldCount: signedFields.length,
+      digitalSignature: batch.options.digitalSignature,
+      auditCertificate: batch.options.auditCertificate,
+      outputMode: batch.options.outputMode
+    }
+  });
+
+  return { document, signedPdfHash, signedPdfKey };
+}
+
+/**
+ * Work through a batch's pending rows, saving progress after each one
+ *
+ * ROW RULES:
+ * - Every row becomes its own Document with its own hashes and audit log
+ * - A failing row is recorded and skipped; the batch carries on
+ * - The batch only fails as a whole when the source PDF cannot be read
+ *
+ * @param {string} batchId - Batch to run
+ * @param {Object} options - { onProgress } called with 0-100 after each row
+ * @returns {Promise<Batch>} - Finished batch
+ */
+export async function processBatch(batchId, { onProgress = async () => {} } = {}) {
+  const batch = await Batch.findById(batchId);
+  if (!batch) throw new Error(`Batch not found: ${batchId}`);
+
+  batch.status = 'processing';
+  batch.startedAt = batch.startedAt || new Date();
+  await batch.save();
+
+  let pdfBuffer;
+  try {
+    pdfBuffer = await getObject(batch.originalPdfKey);
+  } catch (error) {
+    batch.status = 'failed';
+    batch.error = `Could not read source PDF: ${error.message}`;
+    batch.completedAt = new Date();
+    return batch.save();
+  }
+
+  console.log(`\n📦 Processing batch ${batch._id}: ${batch.total} row(s)`);
+
+  for (const row of batch.rows) {
+    if (row.status !== 'pending') continue;
+
+    try {
+      const { signedPdfHash, signedPdfKey } = await signBatchRow(batch, row, pdfBuffer);
+      row.status = 'completed';
+      row.signedPdfHash = signedPdfHash;
+      row.signedPdfKey = signedPdfKey;
+      batch.succeeded++;
+    } catch (error) {
+      console.error(`   ✗ Row ${row.index + 1}: ${error.message}`);
+      row.status = 'failed';
+      row.error = error.message;
+      batch.failed++;
+    }
+
+    batch.processed++;
+    await batch.save();
+    await onProgress((batch.processed / batch.total) * 100);
+  }
+
+  batch.status = 'completed';
+  batch.completedAt = new Date();
+  await batch.save();
+
+  console.log(`✅ Batch ${batch._id} done: ${batch.succeeded} signed, ${batch.failed} failed\n`);
+  return batch;
+}
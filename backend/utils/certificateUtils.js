@@ -0,0 +1,116 @@
+import { rgb } from 'pdf-lib';
+import { createFontLoader } from './fontUtils.js';
+import { drawTextLine, fitText } from './textUtils.js';
+
+// US Letter, in points
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 50;
+
+/**
+ * Append a "Certificate of Completion" page to a signed PDF
+ *
+ * EVIDENCE PAGE:
+ * - Document ID, original SHA-256 hash and completion time
+ * - One row per field: type, page, who filled it, when, IP and user agent
+ * - Continues onto extra pages when there are many fields
+ * - Names, labels and user agents in any script, through the server's fallback fonts
+ *
+ * The signed hash cannot appear on the page itself (it would change the hash);
+ * it is recorded in the database and by /verify.
+ *
+ * @param {PDFDocument} pdfDoc - pdf-lib document (modified in place)
+ * @param {Object} evidence - { documentId, originalPdfHash, completedAt, fields }
+ * @returns {Promise<number>} - Number of certificate pages added
+ */
+export async function appendAuditCertificate(pdfDoc, evidence) {
+  const fonts = createFontLoader(pdfDoc);
+  const font = await fonts.load(null);
+  const boldFont = await fonts.load({ bold: true });
+  const ellipsis = await fonts.assign('…', font);
+  const black = rgb(0, 0, 0);
+  const gray = rgb(0.4, 0.4, 0.4);
+
+  const columns = [
+    { label: '#', width: 20, value: (field, index) => index + 1 },
+    { label: 'Field', width: 55, value: field => field.label || field.type },
+    { label: 'Page', width: 32, value: field => (field.page || 0) + 1 },
+    { label: 'Filled by', width: 100, value: field => field.filledBy },
+    { label: 'Filled at (UTC)', width: 110, value: field => field.filledAt && new Date(field.filledAt).toISOString() },
+    { label: 'IP address', width: 80, value: field => field.ipAddress },
+    { label: 'User agent', width: 115, value: field => field.userAgent }
+  ];
+
+  let page;
+  let y;
+  let pagesAdded = 0;
+
+  const startPage = () => {
+    page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    pagesAdded += 1;
+    y = PAGE_HEIGHT - MARGIN;
+  };
+
+  const drawTableHeader = () => {
+    let x = MARGIN;
+    for (const column of columns) {
+      page.drawText(column.label, { x, y, size: 8, font: boldFont, color: black });
+      x += column.width;
+    }
+    y -= 6;
+    page.drawLine({
+      start: { x: MARGIN, y },
+      end: { x: PAGE_WIDTH - MARGIN, y },
+      thickness: 0.5,
+      color: gray
+    });
+    y -= 12;
+  };
+
+  startPage();
+
+  page.drawText('Certificate of Completion', { x: MARGIN, y, size: 20, font: boldFont, color: black });
+  y -= 30;
+
+  const summary = [
+    ['Document ID', String(evidence.documentId)],
+    ['Completed at (UTC)', new Date(evidence.completedAt).toISOString()],
+    ['Original SHA-256', evidence.originalPdfHash],
+    ['Fields', String(evidence.fields.length)]
+  ];
+  for (const [label, value] of summary) {
+    page.drawText(`${label}:`, { x: MARGIN, y, size: 10, font: boldFont, color: black });
+    page.drawText(value, { x: MARGIN + 115, y, size: label === 'Original SHA-256' ? 8 : 10, font, color: black });
+    y -= 16;
+  }
+
+  y -= 14;
+  page.drawText('Field Evidence', { x: MARGIN, y, size: 13, font: boldFont, color: black });
+  y -= 20;
+  drawTableHeader();
+
+  for (const [index, field] of evidence.fields.entries()) {
+    if (y < MARGIN + 40) {
+      startPage();
+      page.drawText('Certificate of Completion (continued)', { x: MARGIN, y, size: 12, font: boldFont, color: black });
+      y -= 24;
+      drawTableHeader();
+    }
+
+    let x = MARGIN;
+    for (const column of columns) {
+      const value = await fonts.assign(String(column.value(field, index) ?? '—'), font);
+      drawTextLine(page, fitText(value, ellipsis, 8, column.width - 4), { x, y, size: 8, color: black });
+      x += column.width;
+    }
+    y -= 14;
+  }
+
+  y -= 10;
+  page.drawText(
+    'The SHA-256 of this signed file is recorded by the Signature Injection Engine; use /api/verify to check it.',
+    { x: MARGIN, y: Math.max(y, MARGIN), size: 7, font, color: gray }
+  );
+
+  return pagesAdded;
+}
@@ -0,0 +1,297 @@
+import path from 'path';
+import { createRequire } from 'module';
+import { createCanvas } from '@napi-rs/canvas';
+import { getDocument, AnnotationMode } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+// pdf.js needs its font and CMap data for PDFs that do not embed their fonts
+const PDFJS_DIR = path.dirname(createRequire(import.meta.url).resolve('pdfjs-dist/package.json'));
+
+// A pixel counts as changed when a colour channel moves more than this (0-255)
+const PIXEL_THRESHOLD = 32;
+
+// Changed pixels are grouped in square cells; cells this many cells apart join one region
+const CELL_SIZE = 4;
+const MERGE_DISTANCE = 2;
+
+// Ink may bleed slightly past a field's box (anti-aliasing, rounding): percent of the page
+const FIELD_MARGIN = 0.5;
+
+// Regions listed per page; the diff image still shows every change
+const MAX_REGIONS = 200;
+
+// Largest raster rendered for a diff: pages that would exceed it at the requested scale are
+// rendered smaller. Several full-size copies of the page are alive at once.
+const MAX_DIFF_PIXELS = parseInt(process.env.MAX_DIFF_PIXELS, 10) || 4 * 1000 * 1000;
+
+/**
+ * Rasterize one page of a PDF as it is displayed (CropBox, /Rotate applied)
+ * Form widgets are drawn from their appearance streams, so interactive output shows up too.
+ *
+ * @param {Uint8Array|Buffer} pdfBytes - PDF file
+ * @param {number} pageIndex - Zero-based page
+ * @param {number} scale - Pixels per PDF point
+ * @param {number} maxPixels - The scale is lowered until width * height fits this
+ * @returns {Promise<Object>} - { pageCount, canvas, width, height, scale } (canvas null when the page does not exist)
+ */
+export async function renderPdfPage(pdfBytes, pageIndex, scale, maxPixels = MAX_DIFF_PIXELS) {
+  const pdf = await getDocument({
+    data: new Uint8Array(pdfBytes),
+    standardFontDataUrl: `${PDFJS_DIR}/standard_fonts/`,
+    cMapUrl: `${PDFJS_DIR}/cmaps/`,
+    cMapPacked: true,
+    isEvalSupported: false,
+    verbosity: 0
+  }).promise;
+
+  try {
+    if (pageIndex >= pdf.numPages) {
+      return { pageCount: pdf.numPages, canvas: null, width: 0, height: 0, scale };
+    }
+
+    const page = await pdf.getPage(pageIndex + 1);
+    const { width: pageWidth, height: pageHeight } = page.getViewport({ scale: 1 });
+    // Rounded down to a hundredth so both PDFs of a diff land on the same scale for the same page size
+    const fitScale = Math.min(scale, Math.floor(Math.sqrt(maxPixels / (pageWidth * pageHeight)) * 100) / 100);
+    const viewport = page.getViewport({ scale: fitScale });
+    const width = Math.ceil(viewport.width);
+    const height = Math.ceil(viewport.height);
+    const canvas = createCanvas(width, height);
+
+    await page.render({
+      canvasContext: canvas.getContext('2d'),
+      viewport,
+      annotationMode: AnnotationMode.ENABLE
+    }).promise;
+
+    return { pageCount: pdf.numPages, canvas, width, height, scale: fitScale };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Pixel mask of the declared field boxes, widened by FIELD_MARGIN
+ *
+ * @param {Array<Object>} fields - Fields on this page (percentage coordinates)
+ * @param {number} width - Raster width
+ * @param {number} height - Raster height
+ * @returns {Uint8Array} - 1 where a pixel lies inside some field box
+ */
+function buildFieldMask(fields, width, height) {
+  const mask = new Uint8Array(width * height);
+  for (const field of fields) {
+    const left = Math.max(0, Math.floor((field.x - FIELD_MARGIN) / 100 * width));
+    const top = Math.max(0, Math.floor((field.y - FIELD_MARGIN) / 100 * height));
+    const right = Math.min(width, Math.ceil((field.x + field.width + FIELD_MARGIN) / 100 * width));
+    const bottom = Math.min(height, Math.ceil((field.y + field.height + FIELD_MARGIN) / 100 * height));
+    for (let y = top; y < bottom; y++) {
+      mask.fill(1, y * width + left, y * width + right);
+    }
+  }
+  return mask;
+}
+
+/**
+ * Group changed cells into regions (connected within MERGE_DISTANCE cells)
+ *
+ * @param {Uint32Array} cellCounts - Changed pixels per cell
+ * @param {Uint32Array} cellOutside - Changed pixels outside every field per cell
+ * @param {number} columns - Cells per row
+ * @param {number} rows - Cell rows
+ * @returns {Array<Object>} - { left, top, right, bottom (cells, inclusive), pixelCount, outsidePixelCount }
+ */
+function groupCells(cellCounts, cellOutside, columns, rows) {
+  const seen = new Uint8Array(cellCounts.length);
+  const regions = [];
+
+  for (let start = 0; start < cellCounts.length; start++) {
+    if (!cellCounts[start] || seen[start]) continue;
+
+    const region = { left: columns, top: rows, right: 0, bottom: 0, pixelCount: 0, outsidePixelCount: 0 };
+    const stack = [start];
+    seen[start] = 1;
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const column = cell % columns;
+      const row = Math.floor(cell / columns);
+      region.left = Math.min(region.left, column);
+      region.top = Math.min(region.top, row);
+      region.right = Math.max(region.right, column);
+      region.bottom = Math.max(region.bottom, row);
+      region.pixelCount += cellCounts[cell];
+      region.outsidePixelCount += cellOutside[cell];
+
+      for (let dy = -MERGE_DISTANCE; dy <= MERGE_DISTANCE; dy++) {
+        for (let dx = -MERGE_DISTANCE; dx <= MERGE_DISTANCE; dx++) {
+          const x = column + dx;
+          const y = row + dy;
+          if (x < 0 || y < 0 || x >= columns || y >= rows) continue;
+          const neighbour = y * columns + x;
+          if (cellCounts[neighbour] && !seen[neighbour]) {
+            seen[neighbour] = 1;
+            stack.push(neighbour);
+          }
+        }
+      }
+    }
+    regions.push(region);
+  }
+
+  return regions;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Compare one page of the original with the same page of a signed version
+ *
+ * DIFF RULES:
+ * - Both pages are rasterized at the same scale, lowered for large pages to stay within
+ *   MAX_DIFF_PIXELS; a pixel changed when any channel moved more than PIXEL_THRESHOLD
+ * - Changed pixels are grouped into regions, reported in percentage coordinates like fields
+ * - A region is suspicious when any of its changed pixels lies outside every declared field box
+ * - A page whose size changed is one suspicious region covering the whole page
+ *
+ * @param {Buffer} originalPdf - Original PDF bytes
+ * @param {Buffer} signedPdf - Signed version bytes
+ * @param {number} pageIndex - Zero-based page
+ * @param {Object} options - { scale, fields } (fields: declared boxes on this page, percentages)
+ * @returns {Promise<Object>} - { pageCount, width, height, scale, changedPixels, suspicious, regions, truncated, images } or { pageCount, error }
+ */
+export async function diffPdfPage(originalPdf, signedPdf, pageIndex, { scale = 1.5, fields = [] } = {}) {
+  const original = await renderPdfPage(originalPdf, pageIndex, scale);
+  const signed = await renderPdfPage(signedPdf, pageIndex, scale);
+  const pageCount = { original: original.pageCount, signed: signed.pageCount };
+
+  if (!original.canvas) {
+    return {
+      pageCount,
+      error: `Page ${pageIndex + 1} is not in the original PDF (it has ${original.pageCount} page(s))`
+    };
+  }
+  if (!signed.canvas) {
+    return {
+      pageCount,
+      error: `Page ${pageIndex + 1} is missing from the signed version (it has ${signed.pageCount} page(s))`
+    };
+  }
+
+  const { width, height } = signed;
+  const diffCanvas = createCanvas(width, height);
+  const diffContext = diffCanvas.getContext('2d');
+
+  let regions;
+  let changedPixels = 0;
+
+  if (original.width !== width || original.height !== height) {
+    changedPixels = width * height;
+    regions = [{
+      x: 0, y: 0, width: 100, height: 100,
+      pixelCount: changedPixels,
+      outsidePixelCount: changedPixels,
+      reason: 'page_size_changed'
+    }];
+    diffContext.drawImage(signed.canvas, 0, 0);
+  } else {
+    const before = original.canvas.getContext('2d').getImageData(0, 0, width, height).data;
+    const afterImage = signed.canvas.getContext('2d').getImageData(0, 0, width, height);
+    const after = afterImage.data;
+    const mask = buildFieldMask(fields, width, height);
+
+    const columns = Math.ceil(width / CELL_SIZE);
+    const rows = Math.ceil(height / CELL_SIZE);
+    const cellCounts = new Uint32Array(columns * rows);
+    const cellOutside = new Uint32Array(columns * rows);
+
+    // The diff image is the signed page washed out, with changes in green (inside fields) or red
+    for (let pixel = 0, i = 0; pixel < width * height; pixel++, i += 4) {
+      const changed =
+        Math.abs(before[i] - after[i]) > PIXEL_THRESHOLD ||
+        Math.abs(before[i + 1] - after[i + 1]) > PIXEL_THRESHOLD ||
+        Math.abs(before[i + 2] - after[i + 2]) > PIXEL_THRESHOLD;
+
+      if (changed) {
+        const cell = Math.floor(pixel / width / CELL_SIZE) * columns + Math.floor((pixel % width) / CELL_SIZE);
+        changedPixels++;
+        cellCounts[cell]++;
+        if (!mask[pixel]) cellOutside[cell]++;
+        after[i] = mask[pixel] ? 0 : 220;
+        after[i + 1] = mask[pixel] ? 170 : 0;
+        after[i + 2] = 0;
+      } else {
+        after[i] = 255 - (255 - after[i]) * 0.25;
+        after[i + 1] = 255 - (255 - after[i + 1]) * 0.25;
+        after[i + 2] = 255 - (255 - after[i + 2]) * 0.25;
+      }
+      after[i + 3] = 255;
+    }
+    diffContext.putImageData(afterImage, 0, 0);
+
+    regions = groupCells(cellCounts, cellOutside, columns, rows).map(region => {
+      const left = region.left * CELL_SIZE;
+      const top = region.top * CELL_SIZE;
+      const right = Math.min(width, (region.right + 1) * CELL_SIZE);
+      const bottom = Math.min(height, (region.bottom + 1) * CELL_SIZE);
+      return {
+        x: round(left / width * 100),
+        y: round(top / height * 100),
+        width: round((right - left) / width * 100),
+        height: round((bottom - top) / height * 100),
+        pixelCount: region.pixelCount,
+        outsidePixelCount: region.outsidePixelCount,
+        reason: 'content'
+      };
+    });
+  }
+
+  regions = regions.map(region => ({
+    ...region,
+    suspicious: region.outsidePixelCount > 0,
+    // Declared fields the region touches
+    fields: fields
+      .filter(field =>
+        field.x < region.x + region.width && region.x < field.x + field.width &&
+        field.y < region.y + region.height && region.y < field.y + field.height
+      )
+      .map(field => field.id)
+  }));
+
+  // Outline declared fields (blue, dashed) and suspicious regions (red)
+  diffContext.lineWidth = 2;
+  diffContext.setLineDash([6, 4]);
+  diffContext.strokeStyle = 'rgb(37, 99, 235)';
+  for (const field of fields) {
+    diffContext.strokeRect(field.x / 100 * width, field.y / 100 * height, field.width / 100 * width, field.height / 100 * height);
+  }
+  diffContext.setLineDash([]);
+  diffContext.strokeStyle = 'rgb(220, 38, 38)';
+  for (const region of regions.filter(r => r.suspicious)) {
+    diffContext.strokeRect(
+      region.x / 100 * width - 3,
+      region.y / 100 * height - 3,
+      region.width / 100 * width + 6,
+      region.height / 100 * height + 6
+    );
+  }
+
+  // Suspicious regions first, then the largest changes
+  regions.sort((a, b) => (b.suspicious - a.suspicious) || (b.pixelCount - a.pixelCount));
+
+  const toDataUrl = async (canvas) => `data:image/png;base64,${(await canvas.encode('png')).toString('base64')}`;
+
+  return {
+    pageCount,
+    width,
+    height,
+    scale: signed.scale,
+    changedPixels,
+    suspicious: regions.some(region => region.suspicious),
+    regions: regions.slice(0, MAX_REGIONS),
+    truncated: regions.length > MAX_REGIONS,
+    images: {
+      original: await toDataUrl(original.canvas),
+      signed: await toDataUrl(signed.canvas),
+      diff: await toDataUrl(diffCanvas)
+    }
+  };
+}
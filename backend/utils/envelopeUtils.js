@@ -0,0 +1,92 @@
+import crypto from 'crypto';
+import { calculateHash, generateToken } from './hashUtils.js';
+
+// Signing link lifetime
+export const DEFAULT_LINK_TTL_HOURS = 72;
+export const MAX_LINK_TTL_HOURS = 24 * 30;
+
+// Reminders resend the current link while it stays valid at least this long
+const MIN_REUSABLE_LINK_MS = 60 * 60 * 1000;
+
+// Encrypts the copy of each link's token kept for reminders; without it, links issued before
+// a restart can no longer be resent and reminders carry new ones
+const LINK_KEY = crypto.createHash('sha256')
+  .update(process.env.SIGNING_LINK_SECRET || crypto.randomBytes(32))
+  .digest();
+
+/**
+ * Encrypt a signing token for storage (AES-256-GCM)
+ *
+ * @param {string} token - Raw signing token
+ * @returns {string} - "<iv>.<tag>.<ciphertext>", base64url
+ */
+function sealToken(token) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', LINK_KEY, iv);
+  const ciphertext = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+}
+
+/**
+ * Decrypt a token sealed by sealToken()
+ *
+ * @param {string|null} sealed - Stored value
+ * @returns {string|null} - Raw token, or null if it cannot be opened
+ */
+function unsealToken(sealed) {
+  try {
+    const [iv, tag, ciphertext] = sealed.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', LINK_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the recipient-facing URL for a signing token
+ *
+ * @param {string} token - Raw signing token
+ * @returns {string} - Frontend signing URL
+ */
+export function buildSigningUrl(token) {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5174';
+  return `${frontendUrl}/sign/${token}`;
+}
+
+/**
+ * Give a signer a new signing link; any previous link stops working
+ * Links are looked up by the token's hash; the token itself is only kept encrypted, for
+ * reminders. The caller must save the document and hand the URL on.
+ *
+ * @param {Object} signer - Signer subdocument
+ * @param {number} expiresInHours - Link lifetime
+ * @returns {Object} - { token, url, expiresAt }
+ */
+export function issueSigningLink(signer, expiresInHours = DEFAULT_LINK_TTL_HOURS) {
+  const token = generateToken();
+  signer.tokenHash = calculateHash(token);
+  signer.tokenSealed = sealToken(token);
+  signer.tokenExpiresAt = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+  signer.tokenRevokedAt = null;
+
+  return { token, url: buildSigningUrl(token), expiresAt: signer.tokenExpiresAt };
+}
+
+/**
+ * The signer's current link, if it can be sent again
+ * It must be unrevoked, valid for at least MIN_REUSABLE_LINK_MS more, and its token readable.
+ *
+ * @param {Object} signer - Signer subdocument
+ * @returns {Object|null} - { token, url, expiresAt }, or null when a new link is needed
+ */
+export function getReusableSigningLink(signer) {
+  if (!signer.tokenHash || !signer.tokenSealed || signer.tokenRevokedAt) return null;
+  if (!signer.tokenExpiresAt || signer.tokenExpiresAt.getTime() - Date.now() < MIN_REUSABLE_LINK_MS) return null;
+
+  const token = unsealToken(signer.tokenSealed);
+  if (!token || calculateHash(token) !== signer.tokenHash) return null;
+
+  return { token, url: buildSigningUrl(token), expiresAt: signer.tokenExpiresAt };
+}
@@ -0,0 +1,296 @@
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import fontkit from '@pdf-lib/fontkit';
+import { StandardFonts, StandardFontEmbedder, rgb } from 'pdf-lib';
+import Font from '../models/Font.js';
+import { getObject } from './storageUtils.js';
+import { workspaceFilter } from './permissionUtils.js';
+
+// Standard 14 fonts by family and face; Symbol and ZapfDingbats only have one face
+export const STANDARD_FONT_FAMILIES = {
+  Helvetica: {
+    regular: StandardFonts.Helvetica,
+    bold: StandardFonts.HelveticaBold,
+    italic: StandardFonts.HelveticaOblique,
+    boldItalic: StandardFonts.HelveticaBoldOblique
+  },
+  Times: {
+    regular: StandardFonts.TimesRoman,
+    bold: StandardFonts.TimesRomanBold,
+    italic: StandardFonts.TimesRomanItalic,
+    boldItalic: StandardFonts.TimesRomanBoldItalic
+  },
+  Courier: {
+    regular: StandardFonts.Courier,
+    bold: StandardFonts.CourierBold,
+    italic: StandardFonts.CourierOblique,
+    boldItalic: StandardFonts.CourierBoldOblique
+  },
+  Symbol: { regular: StandardFonts.Symbol },
+  ZapfDingbats: { regular: StandardFonts.ZapfDingbats }
+};
+
+export const TEXT_ALIGNMENTS = ['left', 'center', 'right'];
+
+// Explicit font sizes, in points
+export const MIN_FONT_SIZE = 4;
+export const MAX_FONT_SIZE = 144;
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Fonts tried, in order, for characters a field's own font has no glyph for (comma-separated TTF/OTF paths)
+const FALLBACK_FONT_PATHS = (process.env.FALLBACK_FONTS || '')
+  .split(',')
+  .map(fontPath => fontPath.trim())
+  .filter(Boolean);
+
+// Joiners and variation selectors: shaping input, not glyphs of their own
+const DEFAULT_IGNORABLE = /[\u200c\u200d\ufe00-\ufe0f\u{e0100}-\u{e01ef}]/u;
+
+// Kept with the field's font; drawing splits lines there (or flattens them, see fitText())
+const LINE_BREAK = /^\n+$/;
+
+// Other control characters have no glyph in any font: CR and CRLF become line feeds, the rest spaces
+const CARRIAGE_RETURN = /\r\n?/g;
+const CONTROL_CHARACTER = /[\u0000-\u0009\u000b-\u001f\u007f]/g;
+
+const normalizeText = (text) => String(text).replace(CARRIAGE_RETURN, '\n').replace(CONTROL_CHARACTER, ' ');
+
+const GRAPHEMES = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+let fallbackFonts = null;
+
+/**
+ * Check a field's style object
+ *
+ * @param {Object|null} style - Field style from the client (null/undefined for defaults)
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateFieldStyle(style) {
+  if (style === undefined || style === null) return null;
+  if (typeof style !== 'object' || Array.isArray(style)) return 'style must be an object';
+
+  const { fontFamily, fontId, fontSize, color, align } = style;
+  if (fontFamily !== undefined && !STANDARD_FONT_FAMILIES[fontFamily]) {
+    return `style.fontFamily must be one of: ${Object.keys(STANDARD_FONT_FAMILIES).join(', ')}`;
+  }
+  if (fontId !== undefined && fontId !== null && !mongoose.isValidObjectId(fontId)) {
+    return 'style.fontId must be a font ID';
+  }
+  if (fontSize !== undefined && fontSize !== null &&
+      !(typeof fontSize === 'number' && fontSize >= MIN_FONT_SIZE && fontSize <= MAX_FONT_SIZE)) {
+    return `style.fontSize must be between ${MIN_FONT_SIZE} and ${MAX_FONT_SIZE} points`;
+  }
+  if (color !== undefined && !COLOR_PATTERN.test(color)) {
+    return 'style.color must be a #rrggbb colour';
+  }
+  if (align !== undefined && !TEXT_ALIGNMENTS.includes(align)) {
+    return `style.align must be one of: ${TEXT_ALIGNMENTS.join(', ')}`;
+  }
+  for (const flag of ['autoFit', 'bold', 'italic', 'multiline']) {
+    if (style[flag] !== undefined && typeof style[flag] !== 'boolean') {
+      return `style.${flag} must be true or false`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check the styles of a request's fields, including that uploaded fonts exist in the workspace
+ *
+ * @param {Array<Object>} fields - Fields from the client
+ * @param {Request} req - Authenticated request
+ * @returns {Promise<string|null>} - Error message, or null when every style is valid
+ */
+export async function validateFieldStyles(fields, req) {
+  for (const field of fields) {
+    const error = validateFieldStyle(field.style);
+    if (error) return `${field.label || field.type} field: ${error}`;
+  }
+
+  const fontIds = [...new Set(fields.map(field => field.style?.fontId).filter(Boolean).map(String))];
+  if (fontIds.length === 0) return null;
+
+  const found = await Font.find({ _id: { $in: fontIds }, ...workspaceFilter(req) }).select('_id').lean();
+  const missing = fontIds.find(id => !found.some(font => String(font._id) === id));
+  return missing ? `Font not found: ${missing}` : null;
+}
+
+/**
+ * Turn a #rrggbb colour into a pdf-lib colour (black when missing)
+ *
+ * @param {string} color - Hex colour
+ * @returns {RGB} - pdf-lib colour
+ */
+export function parseColor(color) {
+  if (!COLOR_PATTERN.test(color || '')) return rgb(0, 0, 0);
+  const value = parseInt(color.slice(1), 16);
+  return rgb(((value >> 16) & 255) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255);
+}
+
+/**
+ * The server's fallback font chain (FALLBACK_FONTS), read once
+ * Unreadable files are logged and left out rather than failing every signing request.
+ *
+ * @returns {Promise<Array<Object>>} - { name, bytes, codePoints } in chain order
+ */
+export function getFallbackFonts() {
+  if (!fallbackFonts) {
+    fallbackFonts = Promise.all(FALLBACK_FONT_PATHS.map(async (fontPath) => {
+      try {
+        const bytes = await fs.readFile(fontPath);
+        const font = fontkit.create(bytes);
+        if (!font.characterSet) {
+          throw new Error('not a single TrueType or OpenType font');
+        }
+        return { name: font.postscriptName || path.basename(fontPath), bytes, codePoints: new Set(font.characterSet) };
+      } catch (error) {
+        console.error(`❌ Fallback font ${fontPath} skipped: ${error.message}`);
+        return null;
+      }
+    })).then(fonts => fonts.filter(Boolean));
+  }
+  return fallbackFonts;
+}
+
+/**
+ * Fallback font files as configured, for the startup banner
+ *
+ * @returns {string} - Comma-separated file names, or 'none'
+ */
+export function describeFallbackFonts() {
+  return FALLBACK_FONT_PATHS.map(fontPath => path.basename(fontPath)).join(', ') || 'none';
+}
+
+/**
+ * Whether a font can draw a grapheme cluster
+ * Embedded fonts go through fontkit, which drops joiners and variation selectors it has no glyph for;
+ * the standard fonts' WinAnsi encoding has to cover every code point.
+ *
+ * @param {Set<number>} codePoints - Code points the font maps
+ * @param {boolean} shaped - Font is embedded from a file
+ * @param {string} cluster - Grapheme cluster
+ * @returns {boolean}
+ */
+function coversCluster(codePoints, shaped, cluster) {
+  return [...cluster].every(character =>
+    codePoints.has(character.codePointAt(0)) || (shaped && DEFAULT_IGNORABLE.test(character)));
+}
+
+/**
+ * Embeds the fonts field styles ask for, once per document
+ *
+ * FONT CHOICE:
+ * - An uploaded font (style.fontId) is embedded from storage; bold/italic do not apply to it
+ * - Otherwise the standard family's face for bold/italic, Helvetica by default
+ * - A deleted uploaded font falls back to the standard family
+ *
+ * CHARACTERS THE FONT LACKS:
+ * - assign() picks, per grapheme cluster, the field's font or else the first fallback font that has it
+ * - single() picks one font for the whole value, for AcroForm fields that can only have one
+ * - Fallback fonts are only embedded into documents that need them; as with load(), subset: false
+ *   embeds them whole, for fillable fields a reader may type more into
+ * - Clusters no font covers are drawn as "?" and logged, instead of failing the request
+ *
+ * @param {PDFDocument} pdfDoc - Document the fonts are embedded in
+ * @returns {Object} - { load(style, { subset }), assign(text, font), single(text, font, { subset }) }
+ */
+export function createFontLoader(pdfDoc) {
+  const embedded = new Map();
+  pdfDoc.registerFontkit(fontkit);
+
+  const embedOnce = (key, embed) => {
+    if (!embedded.has(key)) embedded.set(key, embed());
+    return embedded.get(key);
+  };
+
+  const load = async (style, { subset = true } = {}) => {
+    if (style?.fontId) {
+      // Fillable fields need every glyph a reader may type, so they get the whole font
+      const uploaded = await embedOnce(`${style.fontId}:${subset}`, async () => {
+        const font = await Font.findById(style.fontId).lean();
+        if (!font) {
+          console.log(`   ⚠️  Font ${style.fontId} no longer exists; using ${style.fontFamily || 'Helvetica'}`);
+          return null;
+        }
+        return pdfDoc.embedFont(await getObject(font.fontKey), { subset });
+      });
+      if (uploaded) return uploaded;
+    }
+
+    const faces = STANDARD_FONT_FAMILIES[style?.fontFamily] || STANDARD_FONT_FAMILIES.Helvetica;
+    const face = style?.bold && style?.italic ? 'boldItalic' : style?.bold ? 'bold' : style?.italic ? 'italic' : 'regular';
+    const standardFont = faces[face] || faces.regular;
+    return embedOnce(standardFont, () => pdfDoc.embedFont(standardFont));
+  };
+
+  // The field's font first, then the server's chain
+  const candidatesFor = async (font, subset = true) => [
+    {
+      codePoints: new Set(font.getCharacterSet()),
+      shaped: !(font.embedder instanceof StandardFontEmbedder),
+      embed: async () => font
+    },
+    ...(await getFallbackFonts()).map((fallback, index) => ({
+      codePoints: fallback.codePoints,
+      shaped: true,
+      embed: () => embedOnce(`fallback:${index}:${subset}`, () => pdfDoc.embedFont(fallback.bytes, { subset }))
+    }))
+  ];
+
+  const reportMissing = (missing) => {
+    if (missing.size === 0) return;
+    const codes = [...missing].map(code => `U+${code.toString(16).toUpperCase().padStart(4, '0')}`);
+    console.log(`   ⚠️  No font has ${codes.join(' ')}; drawn as "?" (see FALLBACK_FONTS)`);
+  };
+
+  const assign = async (text, font) => {
+    const candidates = await candidatesFor(font);
+    const replacement = candidates[0].codePoints.has(0x3f) ? '?' : '';
+    const missing = new Set();
+    let output = '';
+    const fonts = [];
+
+    for (const { segment } of GRAPHEMES.segment(normalizeText(text))) {
+      const candidate = LINE_BREAK.test(segment)
+        ? candidates[0]
+        : candidates.find(({ codePoints, shaped }) => coversCluster(codePoints, shaped, segment));
+      if (!candidate) {
+        [...segment].forEach(character => missing.add(character.codePointAt(0)));
+      }
+
+      const value = candidate ? segment : replacement;
+      const valueFont = candidate ? await candidate.embed() : font;
+      output += value;
+      for (let i = 0; i < value.length; i++) fonts.push(valueFont);
+    }
+
+    reportMissing(missing);
+    return { text: output, fonts };
+  };
+
+  const single = async (text, font, { subset = true } = {}) => {
+    const candidates = await candidatesFor(font, subset);
+    const value = normalizeText(text);
+    const clusters = [...GRAPHEMES.segment(value)].map(({ segment }) => segment);
+    const covering = candidates.find(({ codePoints, shaped }) =>
+      clusters.every(cluster => LINE_BREAK.test(cluster) || coversCluster(codePoints, shaped, cluster)));
+    if (covering) {
+      return { text: value, font: await covering.embed() };
+    }
+
+    // No one font has it all: keep the field's font and mark what it cannot draw
+    const [own] = candidates;
+    const missing = new Set();
+    const replaced = clusters.map(cluster => {
+      if (LINE_BREAK.test(cluster) || coversCluster(own.codePoints, own.shaped, cluster)) return cluster;
+      [...cluster].forEach(character => missing.add(character.codePointAt(0)));
+      return own.codePoints.has(0x3f) ? '?' : '';
+    });
+    reportMissing(missing);
+    return { text: replaced.join(''), font };
+  };
+
+  return { load, assign, single };
+}
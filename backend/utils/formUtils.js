@@ -0,0 +1,414 @@
+import {
+  rgb,
+  degrees,
+  rotateRectangle,
+  PDFName,
+  PDFString,
+  PDFDict,
+  PDFArray,
+  PDFRef,
+  PDFTextField,
+  PDFRadioGroup,
+  PDFDropdown,
+  PDFOptionList,
+  PDFSignature,
+  TextAlignment
+} from 'pdf-lib';
+import {
+  convertCoordinates,
+  getPageBox,
+  toPagePoint,
+  toPercentageCoordinates,
+  getFieldPage
+} from './pdfUtils.js';
+import { renderFields } from './renderUtils.js';
+import { createFontLoader, parseColor } from './fontUtils.js';
+import { drawTextLine, fitText } from './textUtils.js';
+
+// Values the frontend date picker produces
+const DATE_FORMAT = 'yyyy-mm-dd';
+
+const FORM_ALIGNMENTS = {
+  left: TextAlignment.Left,
+  center: TextAlignment.Center,
+  right: TextAlignment.Right
+};
+
+/**
+ * Pick a form field name that is not taken yet (the source PDF may have its own form)
+ *
+ * @param {PDFForm} form - Document form
+ * @param {string} base - Preferred name
+ * @returns {string} - Unused field name
+ */
+function uniqueFieldName(form, base) {
+  let name = base;
+  for (let suffix = 2; form.getFieldMaybe(name); suffix++) {
+    name = `${base}_${suffix}`;
+  }
+  return name;
+}
+
+/**
+ * Position options for a widget covering a converted field box
+ *
+ * @param {Object} coords - Result of convertCoordinates()
+ * @param {number} offsetX - Offset to the right, as seen on screen
+ * @param {number} offsetY - Offset upwards, as seen on screen
+ * @param {number} width - Widget width as seen on screen
+ * @param {number} height - Widget height as seen on screen
+ * @returns {Object} - pdf-lib widget options
+ */
+function widgetBox(coords, offsetX, offsetY, width, height) {
+  return {
+    ...toPagePoint(coords, offsetX, offsetY),
+    width,
+    height,
+    rotate: degrees(coords.rotation)
+  };
+}
+
+/**
+ * Add an empty signature field that PDF readers can sign later
+ * pdf-lib cannot create /Sig fields, so the merged field/widget dictionary is built by hand.
+ *
+ * @param {PDFDocument} pdfDoc - Document being edited
+ * @param {PDFPage} page - Page to place the widget on
+ * @param {string} name - Field name
+ * @param {Object} coords - Result of convertCoordinates()
+ * @param {boolean} required - Mark the field as required
+ */
+function addSignatureField(pdfDoc, page, name, coords, required = false) {
+  const form = pdfDoc.getForm();
+  const rect = rotateRectangle(
+    { ...toPagePoint(coords, 0, 0), width: coords.width, height: coords.height },
+    0,
+    coords.rotation
+  );
+
+  const fieldDict = pdfDoc.context.obj({
+    FT: 'Sig',
+    Type: 'Annot',
+    Subtype: 'Widget',
+    T: PDFString.of(name),
+    F: 4,
+    P: page.ref,
+    Rect: [rect.x, rect.y, rect.x + rect.width, rect.y + rect.height],
+    MK: { R: coords.rotation },
+    // Field flag bit 2: Required
+    Ff: required ? 2 : 0
+  });
+  const fieldRef = pdfDoc.context.register(fieldDict);
+
+  page.node.addAnnot(fieldRef);
+  form.acroForm.addField(fieldRef);
+}
+
+/**
+ * Attach AFDate_* actions so readers format and validate the date
+ *
+ * @param {PDFDocument} pdfDoc - Document being edited
+ * @param {PDFTextField} textField - Field acting as a date field
+ */
+function addDateFormatting(pdfDoc, textField) {
+  textField.acroField.dict.set(PDFName.of('AA'), pdfDoc.context.obj({
+    F: { S: 'JavaScript', JS: PDFString.of(`AFDate_FormatEx("${DATE_FORMAT}");`) },
+    K: { S: 'JavaScript', JS: PDFString.of(`AFDate_KeystrokeEx("${DATE_FORMAT}");`) }
+  }));
+}
+
+/**
+ * Turn placed fields into interactive AcroForm fields
+ *
+ * FIELD MAPPING:
+ * - text → text field, prefilled with any value, styled like burned text (auto-fit becomes font size 0)
+ * - date → text field with date format/keystroke actions
+ * - radio → radio group, one button per option, option labels as export values
+ * - signature → empty signature field; a drawn signature is burned in instead
+ * - image → burned in (forms cannot hold images)
+ *
+ * Callers must check that every field's page exists in the PDF first.
+ *
+ * @param {PDFDocument} pdfDoc - pdf-lib document to add fields to (modified in place)
+ * @param {Array<Object>} fields - Fields with percentage coordinates and values
+ * @returns {Promise<void>}
+ */
+export async function renderFormFields(pdfDoc, fields) {
+  const form = pdfDoc.getForm();
+  const pages = pdfDoc.getPages();
+  const fonts = createFontLoader(pdfDoc);
+  const burnedFields = [];
+
+  for (const [index, field] of fields.entries()) {
+    if (field.type === 'image' || (field.type === 'signature' && field.value)) {
+      burnedFields.push(field);
+      continue;
+    }
+
+    const pageIndex = getFieldPage(field);
+    const page = pages[pageIndex];
+    const coords = convertCoordinates(field, getPageBox(page));
+    const name = uniqueFieldName(form, `${field.type}_${index + 1}`);
+
+    console.log(`   ✓ Adding ${field.type} form field "${name}" on page ${pageIndex + 1}`);
+
+    if (field.type === 'text' || field.type === 'date') {
+      const { style } = field;
+      // A form field has one font: the style's, or a fallback font that has every character of the value
+      const { text, font } = await fonts.single(
+        field.value ? String(field.value) : '',
+        await fonts.load(style, { subset: false }),
+        { subset: false }
+      );
+      const textField = form.createTextField(name);
+      if (style?.multiline) textField.enableMultiline();
+      if (text) textField.setText(text);
+      textField.addToPage(page, {
+        ...widgetBox(coords, 0, 0, coords.width, coords.height),
+        font,
+        textColor: parseColor(style?.color)
+      });
+      textField.setFontSize(style?.autoFit ? 0 : style?.fontSize || Math.min(coords.height * 0.6, field.type === 'date' ? 10 : 12));
+      textField.setAlignment(FORM_ALIGNMENTS[style?.align] ?? TextAlignment.Left);
+      if (field.type === 'date') addDateFormatting(pdfDoc, textField);
+      if (field.required) textField.enableRequired();
+      // Otherwise saving redraws the field in Helvetica
+      textField.updateAppearances(font);
+
+    } else if (field.type === 'radio') {
+      const radioOptions = field.options?.length ? field.options : ['Option 1', 'Option 2', 'Option 3'];
+      const radioGroup = form.createRadioGroup(name);
+
+      // One row per option, stacked inside the field box
+      const rowHeight = coords.height / radioOptions.length;
+      const buttonSize = Math.min(rowHeight * 0.7, coords.width * 0.3, 14);
+      const fontSize = Math.min(rowHeight * 0.5, 10);
+      const labelFont = await fonts.load(null);
+      const ellipsis = await fonts.assign('…', labelFont);
+      const optionLabels = await Promise.all(radioOptions.map(option => fonts.assign(option, labelFont)));
+
+      optionLabels.forEach((option, optionIndex) => {
+        const rowBottom = coords.height - rowHeight * (optionIndex + 1);
+        radioGroup.addOptionToPage(radioOptions[optionIndex], page, widgetBox(
+          coords,
+          4,
+          rowBottom + (rowHeight - buttonSize) / 2,
+          buttonSize,
+          buttonSize
+        ));
+        drawTextLine(page, fitText(option, ellipsis, fontSize, coords.width - buttonSize - 15), {
+          ...toPagePoint(coords, buttonSize + 10, rowBottom + (rowHeight / 2) - (fontSize / 3)),
+          size: fontSize,
+          color: rgb(0, 0, 0),
+          rotation: coords.rotation
+        });
+      });
+
+      if (field.value) {
+        const valueIndex = parseInt(field.value.replace('option', '')) - 1;
+        const selected = radioOptions[valueIndex];
+        if (selected) radioGroup.select(selected);
+      }
+      if (field.required) radioGroup.enableRequired();
+
+    } else if (field.type === 'signature') {
+      addSignatureField(pdfDoc, page, name, coords, field.required);
+    }
+  }
+
+  // Drawn signatures and images stay part of the page content
+  if (burnedFields.length > 0) {
+    await renderFields(pdfDoc, burnedFields);
+  }
+}
+
+/**
+ * Check whether a text field carries AFDate_* format actions
+ *
+ * @param {PDFTextField} textField - Form text field
+ * @returns {boolean} - True for date fields
+ */
+function isDateField(textField) {
+  const actions = textField.acroField.dict.lookupMaybe(PDFName.of('AA'), PDFDict);
+  const format = actions?.lookupMaybe(PDFName.of('F'), PDFDict);
+  const script = format?.lookup(PDFName.of('JS'));
+  return Boolean(script && typeof script.decodeText === 'function' && script.decodeText().includes('AFDate_'));
+}
+
+/**
+ * Find the page index a widget sits on
+ * Uses the widget's /P entry, falling back to searching every page's /Annots
+ *
+ * @param {PDFDocument} pdfDoc - pdf-lib document
+ * @param {PDFWidgetAnnotation} widget - Widget annotation
+ * @returns {number} - Zero-based page index, or -1 when the widget is not on any page
+ */
+function findWidgetPage(pdfDoc, widget) {
+  const pages = pdfDoc.getPages();
+  const pageRef = widget.P();
+  if (pageRef instanceof PDFRef) {
+    const index = pages.findIndex(page => page.ref === pageRef);
+    if (index !== -1) return index;
+  }
+
+  const widgetRef = pdfDoc.context.getObjectRef(widget.dict);
+  return pages.findIndex(page => {
+    const annots = page.node.lookupMaybe(PDFName.of('Annots'), PDFArray);
+    return Boolean(widgetRef && annots?.asArray().some(annot => annot === widgetRef));
+  });
+}
+
+/**
+ * Bounding box of a field's widgets on one page, normalized to positive width/height
+ *
+ * @param {Array<PDFWidgetAnnotation>} widgets - Widgets on the same page
+ * @returns {Object} - { x, y, width, height } in user space
+ */
+function widgetBounds(widgets) {
+  const corners = widgets.flatMap(widget => {
+    const { x, y, width, height } = widget.getRectangle();
+    return [[x, y], [x + width, y + height]];
+  });
+  const xs = corners.map(([x]) => x);
+  const ys = corners.map(([, y]) => y);
+
+  return {
+    x: Math.min(...xs),
+    y: Math.min(...ys),
+    width: Math.max(...xs) - Math.min(...xs),
+    height: Math.max(...ys) - Math.min(...ys)
+  };
+}
+
+/**
+ * Read a PDF's existing AcroForm fields as placeable fields
+ *
+ * FIELD MAPPING:
+ * - text fields → text, or date when they carry AFDate_* actions
+ * - radio groups, dropdowns and list boxes → radio, with their options
+ * - signature fields → signature
+ * - checkboxes and buttons are not supported and are skipped
+ *
+ * Each result keeps the original field name in formFieldName so signing can
+ * fill the original widget. Coordinates use the same percentage format as the
+ * frontend; a field spread over several pages is placed on its first one.
+ *
+ * @param {PDFDocument} pdfDoc - pdf-lib document
+ * @returns {Array<Object>} - Fields ready to pre-populate the editor
+ */
+export function readFormFields(pdfDoc) {
+  if (!pdfDoc.catalog.getAcroForm()) return [];
+
+  const pages = pdfDoc.getPages();
+  const formFields = [];
+
+  for (const formField of pdfDoc.getForm().getFields()) {
+    const name = formField.getName();
+
+    let type, options, value;
+    if (formField instanceof PDFTextField) {
+      type = isDateField(formField) ? 'date' : 'text';
+      value = formField.getText() || undefined;
+    } else if (formField instanceof PDFRadioGroup) {
+      type = 'radio';
+      options = formField.getOptions();
+      const selected = formField.getSelected();
+      value = selected ? `option${options.indexOf(selected) + 1}` : undefined;
+    } else if (formField instanceof PDFDropdown || formField instanceof PDFOptionList) {
+      type = 'radio';
+      options = formField.getOptions();
+      const [selected] = formField.getSelected();
+      value = selected ? `option${options.indexOf(selected) + 1}` : undefined;
+    } else if (formField instanceof PDFSignature) {
+      type = 'signature';
+    } else {
+      console.log(`   ⊘ Skipping unsupported form field "${name}" (${formField.constructor.name})`);
+      continue;
+    }
+
+    const widgets = formField.acroField.getWidgets()
+      .map(widget => ({ widget, page: findWidgetPage(pdfDoc, widget) }))
+      .filter(({ page }) => page !== -1);
+    if (widgets.length === 0) {
+      console.log(`   ⊘ Skipping form field "${name}" with no widget on any page`);
+      continue;
+    }
+
+    const page = widgets[0].page;
+    const bounds = widgetBounds(widgets.filter(w => w.page === page).map(w => w.widget));
+    const coords = toPercentageCoordinates(bounds, getPageBox(pages[page]));
+    if (coords.width <= 0 || coords.height <= 0) {
+      console.log(`   ⊘ Skipping form field "${name}" outside the visible page`);
+      continue;
+    }
+
+    formFields.push({
+      type,
+      page,
+      ...coords,
+      value,
+      options,
+      formFieldName: name
+    });
+  }
+
+  return formFields;
+}
+
+/**
+ * Fill the original AcroForm fields that imported fields point at
+ *
+ * FILLING RULES:
+ * - text/date → text value
+ * - radio → selects the option label (radio groups, dropdowns, list boxes)
+ * - signature → left for PDF readers to sign when empty; a drawn signature is burned in over the widget
+ * - fields whose form field no longer exists are drawn like any other field
+ * - values the form's Helvetica cannot encode are redrawn in a fallback font that has them
+ *
+ * @param {PDFDocument} pdfDoc - pdf-lib document (modified in place)
+ * @param {Array<Object>} fields - Fields, some carrying formFieldName
+ * @returns {Promise<Array<Object>>} - Fields that still need to be drawn or added as widgets
+ */
+export async function fillFormFields(pdfDoc, fields) {
+  const remaining = [];
+  if (!pdfDoc.catalog.getAcroForm()) return fields;
+  const form = pdfDoc.getForm();
+  const fonts = createFontLoader(pdfDoc);
+
+  // Saving redraws changed fields in the form's default font (Helvetica), unless they are drawn here first
+  const defaultFont = form.getDefaultFont();
+
+  for (const field of fields) {
+    const formField = field.formFieldName ? form.getFieldMaybe(field.formFieldName) : undefined;
+
+    if (formField instanceof PDFTextField && (field.type === 'text' || field.type === 'date')) {
+      if (field.value) {
+        const { text, font } = await fonts.single(String(field.value), defaultFont, { subset: false });
+        formField.setText(text);
+        if (font !== defaultFont) formField.updateAppearances(font);
+      }
+    } else if (
+      field.type === 'radio' &&
+      (formField instanceof PDFRadioGroup || formField instanceof PDFDropdown || formField instanceof PDFOptionList)
+    ) {
+      const options = formField.getOptions();
+      const valueIndex = field.value ? parseInt(field.value.replace('option', '')) - 1 : -1;
+      if (options[valueIndex] !== undefined) {
+        formField.select(options[valueIndex]);
+        if (!(formField instanceof PDFRadioGroup)) {
+          const { font } = await fonts.single(options.join('\n'), defaultFont, { subset: false });
+          if (font !== defaultFont) formField.updateAppearances(font);
+        }
+      }
+    } else if (formField instanceof PDFSignature && field.type === 'signature' && !field.value) {
+      continue;
+    } else {
+      remaining.push(field);
+      continue;
+    }
+
+    console.log(`   ✓ Filled form field "${field.formFieldName}"`);
+  }
+
+  return remaining;
+}
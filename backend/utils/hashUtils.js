@@ -35,4 +35,15 @@ export async function calculateFileHash(filePath) {
   const fs = await import('fs/promises');
   const buffer = await fs.readFile(filePath);
   return calculateHash(buffer);
-}
\ No newline at end of file
+}
+
+/**
+ * Generate an unguessable URL-safe token
+ * Only its hash should be stored; the raw token is handed out once
+ * 
+ * @param {number} bytes - Random bytes of entropy (default 32)
+ * @returns {string} - Base64url token
+ */
+export function generateToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
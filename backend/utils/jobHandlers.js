@@ -0,0 +1,53 @@
+import Batch from '../models/Batch.js';
+import Document from '../models/Document.js';
+import { registerJobHandler } from './jobQueue.js';
+import { signDocument } from './signingUtils.js';
+import { processBatch } from './batchUtils.js';
+
+// Importing this module registers every job type; both the API server and standalone workers do so
+
+registerJobHandler('sign-pdf', async (payload, { setProgress }) => {
+  const { documentId, fields, signer, options, ipAddress, userAgent } = payload;
+
+  const document = await Document.findById(documentId);
+  if (!document) throw new Error(`Document not found: ${documentId}`);
+  if (document.signers.length > 0) {
+    throw new Error('Document has signers; each signer signs through their signing link');
+  }
+
+  const { signedPdfHash } = await signDocument(document, fields, {
+    ...options,
+    signer,
+    ipAddress,
+    userAgent,
+    onProgress: setProgress
+  });
+
+  return {
+    documentId,
+    signedPdfHash,
+    downloadUrl: `/api/document/${documentId}/download?version=signed`
+  };
+});
+
+registerJobHandler('batch', async ({ batchId }, { setProgress }) => {
+  let batch;
+  try {
+    batch = await processBatch(batchId, { onProgress: setProgress });
+  } catch (error) {
+    await Batch.updateOne(
+      { _id: batchId },
+      { status: 'failed', error: error.message, completedAt: new Date() }
+    ).catch(() => {});
+    throw error;
+  }
+
+  if (batch.status === 'failed') throw new Error(batch.error);
+
+  return {
+    batchId,
+    succeeded: batch.succeeded,
+    failed: batch.failed,
+    downloadUrl: `/api/batches/${batchId}/download`
+  };
+});
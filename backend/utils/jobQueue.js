@@ -0,0 +1,326 @@
+import crypto from 'crypto';
+import os from 'os';
+import Redis from 'ioredis';
+import Job from '../models/Job.js';
+
+// 'memory' runs jobs inside this process; 'redis' lets separate worker processes share the queue
+const QUEUE_DRIVER = process.env.JOB_QUEUE_DRIVER || 'memory';
+const REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+
+// Redis lists: waiting messages, and per worker process the messages it has taken but not finished
+const QUEUE_KEY = 'sie:jobs:queued';
+const PROCESSING_KEY = 'sie:jobs:processing';
+// Each worker process keeps this key alive while it runs; its processing list is orphaned once it lapses
+const HEARTBEAT_KEY = 'sie:jobs:worker';
+
+// Seconds a Redis worker blocks waiting for a message before checking whether it should stop
+const POP_TIMEOUT_SECONDS = 5;
+
+// A worker that has not refreshed its heartbeat for this long is considered dead
+const HEARTBEAT_TTL_SECONDS = 60;
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+
+// How often running workers look for jobs orphaned by dead ones
+const RECOVERY_INTERVAL_MS = 60 * 1000;
+
+const workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// Memory jobs older than this process cannot still be in its queue
+const processStartedAt = new Date();
+
+const handlers = new Map();
+let driver = null;
+let workerRunning = false;
+let recoveryTimer = null;
+
+/**
+ * In-process FIFO; jobs are lost if the process exits
+ *
+ * @returns {Object} - Queue driver
+ */
+function createMemoryDriver() {
+  const pending = [];
+  const waiting = [];
+
+  return {
+    name: 'memory',
+    async push(message) {
+      const next = waiting.shift();
+      if (next) next(message);
+      else pending.push(message);
+    },
+    async pop() {
+      if (pending.length > 0) return pending.shift();
+      return new Promise(resolve => waiting.push(resolve));
+    },
+    async ack() {},
+    // Memory jobs older than this process died with the process that queued them
+    async recover() {
+      const { modifiedCount } = await Job.updateMany(
+        { driver: 'memory', status: { $in: ['queued', 'running'] }, createdAt: { $lt: processStartedAt } },
+        { status: 'failed', error: 'Server restarted before the job finished', completedAt: new Date() }
+      );
+      return { requeued: 0, failed: modifiedCount };
+    },
+    async close() {
+      // Release idle workers
+      waiting.splice(0).forEach(resolve => resolve(null));
+    }
+  };
+}
+
+/**
+ * Redis list queue (LPUSH / BRPOPLPUSH / LREM)
+ * Only plain list and key commands are used, so Redis-compatible stand-ins work too.
+ *
+ * @returns {Object} - Queue driver
+ */
+function createRedisDriver() {
+  const client = new Redis(REDIS_URL);
+  const processingKey = `${PROCESSING_KEY}:${workerId}`;
+  // Blocking pops hold their connection, so workers get their own
+  let blockingClient = null;
+  let heartbeatTimer = null;
+
+  const beat = () => client.set(`${HEARTBEAT_KEY}:${workerId}`, '1', 'EX', HEARTBEAT_TTL_SECONDS);
+
+  return {
+    name: 'redis',
+    async push(message) {
+      await client.lpush(QUEUE_KEY, JSON.stringify(message));
+    },
+    async pop() {
+      if (!heartbeatTimer) {
+        await beat();
+        heartbeatTimer = setInterval(() => {
+          beat().catch(error => console.error('❌ Job worker heartbeat failed:', error.message));
+        }, HEARTBEAT_INTERVAL_MS);
+        heartbeatTimer.unref();
+      }
+      blockingClient ??= client.duplicate();
+      const raw = await blockingClient.brpoplpush(QUEUE_KEY, processingKey, POP_TIMEOUT_SECONDS);
+      return raw ? { ...JSON.parse(raw), raw } : null;
+    },
+    async ack(message) {
+      await client.lrem(processingKey, 1, message.raw);
+    },
+    /**
+     * Take back messages held by worker processes whose heartbeat has lapsed. Jobs that never
+     * started go back on the queue; jobs that were running are failed, since a rerun could
+     * repeat their effects.
+     */
+    async recover() {
+      const orphaned = [];
+      let cursor = '0';
+      do {
+        const [next, keys] = await client.scan(cursor, 'MATCH', `${PROCESSING_KEY}:*`, 'COUNT', 100);
+        cursor = next;
+        for (const key of keys) {
+          const owner = key.slice(PROCESSING_KEY.length + 1);
+          if (!(await client.exists(`${HEARTBEAT_KEY}:${owner}`))) orphaned.push(key);
+        }
+      } while (cursor !== '0');
+
+      let requeued = 0;
+      let failed = 0;
+      for (const key of orphaned) {
+        // RPOP is atomic, so workers recovering side by side never take the same message
+        let raw;
+        while ((raw = await client.rpop(key)) !== null) {
+          let message;
+          try {
+            message = JSON.parse(raw);
+          } catch {
+            continue;
+          }
+          const job = await Job.findById(message.jobId);
+          if (job?.status === 'queued') {
+            // Back at the head of the queue, where it was taken from
+            await client.rpush(QUEUE_KEY, raw);
+            requeued++;
+          } else if (job?.status === 'running') {
+            job.status = 'failed';
+            job.error = 'Worker stopped before the job finished';
+            job.completedAt = new Date();
+            await job.save();
+            failed++;
+          }
+        }
+      }
+      return { requeued, failed };
+    },
+    async close() {
+      clearInterval(heartbeatTimer);
+      await client.del(`${HEARTBEAT_KEY}:${workerId}`).catch(() => {});
+      client.disconnect();
+      blockingClient?.disconnect();
+    }
+  };
+}
+
+function getDriver() {
+  driver ??= QUEUE_DRIVER === 'redis' ? createRedisDriver() : createMemoryDriver();
+  return driver;
+}
+
+/**
+ * Name of the configured queue driver
+ *
+ * @returns {string} - 'memory' or 'redis'
+ */
+export function getQueueDriverName() {
+  return QUEUE_DRIVER === 'redis' ? 'redis' : 'memory';
+}
+
+/**
+ * Register the function that runs jobs of one type
+ *
+ * @param {string} type - Job type (see models/Job.js)
+ * @param {Function} handler - async (payload, { job, setProgress }) => result
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Record a job and put it on the queue
+ *
+ * @param {string} type - Registered job type
+ * @param {Object} payload - JSON-serializable input for the handler
+ * @param {Object} options - { documentId, ownerId }
+ * @returns {Promise<Job>} - Queued job
+ */
+export async function enqueueJob(type, payload, options = {}) {
+  if (!handlers.has(type)) {
+    throw new Error(`No handler registered for job type: ${type}`);
+  }
+
+  const job = await Job.create({
+    type,
+    driver: getQueueDriverName(),
+    documentId: options.documentId || null,
+    ownerId: options.ownerId || null
+  });
+
+  await getDriver().push({ jobId: String(job._id), type, payload });
+  console.log(`🧾 Job queued: ${job._id} (${type}, ${job.driver})`);
+
+  return job;
+}
+
+/**
+ * Run one queued job and store its outcome
+ *
+ * @param {Object} message - { jobId, type, payload }
+ */
+async function runJob(message) {
+  const job = await Job.findById(message.jobId);
+  if (!job) return;
+
+  job.status = 'running';
+  job.startedAt = new Date();
+  await job.save();
+
+  const setProgress = async (progress) => {
+    await Job.updateOne({ _id: job._id }, { progress: Math.min(100, Math.round(progress)) });
+  };
+
+  try {
+    const handler = handlers.get(message.type);
+    if (!handler) throw new Error(`No handler registered for job type: ${message.type}`);
+
+    job.result = (await handler(message.payload, { job, setProgress })) ?? null;
+    job.status = 'completed';
+    job.progress = 100;
+    console.log(`✅ Job completed: ${job._id}`);
+  } catch (error) {
+    console.error(`❌ Job ${job._id} failed:`, error);
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.completedAt = new Date();
+  await job.save();
+}
+
+async function workLoop(queue) {
+  while (workerRunning) {
+    let message;
+    try {
+      message = await queue.pop();
+    } catch (error) {
+      if (!workerRunning) break;
+      console.error('❌ Job queue error:', error.message);
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      continue;
+    }
+    if (!message) continue;
+
+    try {
+      await runJob(message);
+    } catch (error) {
+      console.error(`❌ Could not run job ${message.jobId}:`, error);
+    }
+    await queue.ack(message).catch(() => {});
+  }
+}
+
+/**
+ * Take back jobs interrupted by a process that died, and log what was done
+ *
+ * @param {Object} queue - Queue driver
+ * @returns {Promise<void>}
+ */
+async function recoverInterruptedJobs(queue) {
+  const { requeued, failed } = await queue.recover();
+  if (requeued > 0) {
+    console.log(`🔁 Requeued ${requeued} job(s) taken by a stopped worker`);
+  }
+  if (failed > 0) {
+    console.log(`⚠️  Marked ${failed} interrupted job(s) as failed`);
+  }
+}
+
+/**
+ * Start taking jobs off the queue (requires a MongoDB connection)
+ *
+ * WORKER RULES:
+ * - JOB_CONCURRENCY jobs run at once (default 1)
+ * - Memory jobs left queued or running by an earlier process are marked failed,
+ *   since their payloads died with it
+ * - Redis jobs held by a worker whose heartbeat lapsed are requeued if they had not started,
+ *   failed if they had; this is checked at startup and every RECOVERY_INTERVAL_MS
+ *
+ * @returns {Promise<void>}
+ */
+export async function startJobWorker() {
+  if (workerRunning) return;
+  workerRunning = true;
+
+  const queue = getDriver();
+  const concurrency = Math.max(1, parseInt(process.env.JOB_CONCURRENCY, 10) || 1);
+
+  await recoverInterruptedJobs(queue);
+  if (queue.name === 'redis') {
+    recoveryTimer = setInterval(() => {
+      recoverInterruptedJobs(queue).catch(error => console.error('❌ Job recovery error:', error.message));
+    }, RECOVERY_INTERVAL_MS);
+    recoveryTimer.unref();
+  }
+
+  for (let i = 0; i < concurrency; i++) {
+    workLoop(queue);
+  }
+  console.log(`👷 Job worker started (${queue.name}, concurrency ${concurrency})`);
+}
+
+/**
+ * Stop taking new jobs and close the queue connection
+ *
+ * @returns {Promise<void>}
+ */
+export async function stopJobWorker() {
+  workerRunning = false;
+  clearInterval(recoveryTimer);
+  await driver?.close();
+}
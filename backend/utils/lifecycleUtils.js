@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+import Document, { deriveLegacyStatus } from '../models/Document.js';
+import { recordAuditEvent } from './auditUtils.js';
+import { emitWebhookEvent } from './webhookUtils.js';
+
+// Statuses in which a document can still be signed, voided or expired
+export const OPEN_STATUSES = ['draft', 'sent', 'partially_signed'];
+
+// How often open documents are checked against their expiry date
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+let sweepTimer = null;
+let sweeping = null;
+
+/**
+ * Why a document cannot be signed right now
+ * An expiry date that has passed counts even before the sweeper has recorded it.
+ *
+ * @param {Document} document - Document about to be signed
+ * @returns {Object|null} - { status, error }, or null when signing may go ahead
+ */
+export function getSigningBlock(document) {
+  if (document.status === 'completed') {
+    return { status: 409, error: 'Document has already been signed' };
+  }
+  if (document.status === 'voided') {
+    return {
+      status: 410,
+      error: document.voidReason ? `Document has been voided: ${document.voidReason}` : 'Document has been voided'
+    };
+  }
+  if (document.status === 'expired' || document.isPastExpiry()) {
+    return { status: 410, error: 'Document has expired' };
+  }
+  return null;
+}
+
+/**
+ * Move a document whose expiry date has passed to 'expired'
+ *
+ * @param {Document} document - Open document past its expiresAt
+ * @returns {Promise<void>}
+ */
+export async function expireDocument(document) {
+  const previousStatus = document.status;
+  document.transitionTo('expired');
+  await document.save();
+
+  await recordAuditEvent({
+    documentId: document._id,
+    type: 'expired',
+    details: { expiresAt: document.expiresAt, previousStatus }
+  });
+  await emitWebhookEvent(document, 'document.expired', {
+    expiresAt: document.expiresAt,
+    previousStatus
+  });
+
+  console.log(`⌛ Document expired: ${document._id} (was ${previousStatus})`);
+}
+
+/**
+ * Store a status on documents created before lifecycle states
+ * Loading already derives one; storing it lets status queries (sweeper, ?status=) find them too.
+ *
+ * @returns {Promise<Object>} - Number of documents given each status
+ */
+export async function backfillDocumentStatuses() {
+  const counts = {};
+  for await (const record of Document.collection.find({ status: { $exists: false } })) {
+    const status = deriveLegacyStatus(record);
+    await Document.collection.updateOne(
+      { _id: record._id, status: { $exists: false } },
+      { $set: { status, statusChangedAt: null } }
+    );
+    counts[status] = (counts[status] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Expire every open document whose expiry date has passed
+ */
+async function sweepExpired() {
+  const documents = await Document.find({
+    status: { $in: OPEN_STATUSES },
+    expiresAt: { $ne: null, $lte: new Date() }
+  });
+
+  for (const document of documents) {
+    try {
+      await expireDocument(document);
+    } catch (error) {
+      // Signed or voided in the meantime; the next run sees the new state
+      if (!(error instanceof mongoose.Error.VersionError)) {
+        console.error(`❌ Could not expire ${document._id}:`, error.message);
+      }
+    }
+  }
+}
+
+function kickExpirySweeper() {
+  if (!sweepTimer || sweeping) return;
+  sweeping = sweepExpired()
+    .catch(error => console.error('❌ Expiry sweeper error:', error.message))
+    .finally(() => { sweeping = null; });
+}
+
+/**
+ * Start expiring overdue documents every minute (requires a MongoDB connection)
+ */
+export function startExpirySweeper() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(kickExpirySweeper, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+  kickExpirySweeper();
+  console.log('⌛ Expiry sweeper started');
+}
+
+/**
+ * Stop the sweeper; a sweep in progress still finishes
+ *
+ * @returns {Promise<void>}
+ */
+export async function stopExpirySweeper() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+  await sweeping;
+}
@@ -0,0 +1,153 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import nodemailer from 'nodemailer';
+
+// Get __dirname in ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// 'console' logs messages, 'file' writes .eml files, 'smtp' really sends them
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+const MAIL_FROM = process.env.MAIL_FROM || 'Signature Injection Engine <no-reply@localhost>';
+
+// Built-in templates; MAIL_TEMPLATE_DIR may override any of them file by file
+const BUILTIN_TEMPLATE_DIR = path.join(__dirname, '../templates/email');
+
+let transport = null;
+
+/**
+ * Nodemailer transport for the configured MAIL_TRANSPORT
+ *
+ * TRANSPORTS:
+ * - console: messages are logged, nothing leaves the machine
+ * - file: raw messages go to MAIL_FILE_DIR (default backend/mail-outbox) as .eml files
+ * - smtp: SMTP_URL, or SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+ *
+ * @returns {Object} - { name, transporter }
+ */
+function getTransport() {
+  if (transport) return transport;
+
+  if (MAIL_TRANSPORT === 'smtp') {
+    const options = process.env.SMTP_URL || {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    };
+    transport = { name: 'smtp', transporter: nodemailer.createTransport(options) };
+  } else if (MAIL_TRANSPORT === 'file') {
+    transport = {
+      name: 'file',
+      transporter: nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' })
+    };
+  } else {
+    transport = { name: 'console', transporter: nodemailer.createTransport({ jsonTransport: true }) };
+  }
+  return transport;
+}
+
+/**
+ * Name of the configured mail transport
+ *
+ * @returns {string} - 'console', 'file' or 'smtp'
+ */
+export function getMailTransportName() {
+  return getTransport().name;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function unescapeHtml(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read an email template, preferring an edited copy in MAIL_TEMPLATE_DIR
+ *
+ * @param {string} name - Template name, e.g. 'invitation'
+ * @returns {Promise<string>} - Template HTML
+ */
+async function loadTemplate(name) {
+  if (process.env.MAIL_TEMPLATE_DIR) {
+    try {
+      return await fs.readFile(path.join(process.env.MAIL_TEMPLATE_DIR, `${name}.html`), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  return fs.readFile(path.join(BUILTIN_TEMPLATE_DIR, `${name}.html`), 'utf8');
+}
+
+/**
+ * Fill an email template
+ *
+ * TEMPLATE RULES:
+ * - {{name}} is replaced by the HTML-escaped variable (unknown names become empty)
+ * - The <title> element is the subject line
+ * - A plain-text part is derived from the HTML body
+ *
+ * @param {string} name - Template name
+ * @param {Object} variables - Values for the placeholders
+ * @returns {Promise<Object>} - { subject, html, text }
+ */
+export async function renderEmailTemplate(name, variables = {}) {
+  const source = await loadTemplate(name);
+  const html = source.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => escapeHtml(variables[key]));
+
+  const subject = unescapeHtml(html.match(/<title>([\s\S]*?)<\/title>/i)?.[1].trim() || name);
+  const body = html.match(/<body[^>]*>([\s\S]*?)<\/body>/i)?.[1] ?? html;
+  const text = unescapeHtml(body
+    .replace(/<a [^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '$2: $1')
+    .replace(/<(br|\/p|\/h\d|\/li|\/tr)[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ''))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/^ | $/gm, '')
+    .replace(/\n\s*\n+/g, '\n\n')
+    .trim();
+
+  return { subject, html, text };
+}
+
+/**
+ * Render a template and send it through the configured transport
+ *
+ * @param {Object} options - { to, template, variables, attachments } (attachments as for nodemailer)
+ * @returns {Promise<Object>} - { messageId, subject, transport }
+ */
+export async function sendTemplatedMail({ to, template, variables = {}, attachments = [] }) {
+  const { name, transporter } = getTransport();
+  const { subject, html, text } = await renderEmailTemplate(template, variables);
+
+  const info = await transporter.sendMail({ from: MAIL_FROM, to, subject, html, text, attachments });
+
+  if (name === 'file') {
+    const dir = path.resolve(process.env.MAIL_FILE_DIR || path.join(__dirname, '../mail-outbox'));
+    await fs.mkdir(dir, { recursive: true });
+    const filePath = path.join(dir, `${Date.now()}-${template}-${String(info.messageId).replace(/[^\w.-]/g, '')}.eml`);
+    await fs.writeFile(filePath, info.message);
+    console.log(`📧 Mail written: ${filePath}`);
+  } else if (name === 'console') {
+    const attached = attachments.length > 0 ? ` (+${attachments.length} attachment(s))` : '';
+    console.log(`📧 Mail to ${to}: ${subject}${attached}\n${text}\n`);
+  } else {
+    console.log(`📧 Mail sent to ${to}: ${subject}`);
+  }
+
+  return { messageId: info.messageId, subject, transport: name };
+}
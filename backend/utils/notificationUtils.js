@@ -0,0 +1,245 @@
+import mongoose from 'mongoose';
+import Document from '../models/Document.js';
+import User from '../models/User.js';
+import { recordAuditEvent } from './auditUtils.js';
+import { sendTemplatedMail } from './mailUtils.js';
+import { DEFAULT_LINK_TTL_HOURS, issueSigningLink, getReusableSigningLink } from './envelopeUtils.js';
+
+// Reminders per invitation, after the invitation itself
+const MAX_REMINDERS = parseInt(process.env.MAIL_MAX_REMINDERS, 10) || 3;
+
+// How often the scheduler looks for due invitations and reminders
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+let schedulerTimer = null;
+let sweeping = null;
+
+function formatAddress(name, email) {
+  return name ? `"${name.replace(/"/g, '')}" <${email}>` : email;
+}
+
+function formatDate(date) {
+  return new Date(date).toUTCString();
+}
+
+/**
+ * Name shown as the sender of a document's emails: its owner
+ *
+ * @param {Document} document - Document being signed
+ * @returns {Promise<Object|null>} - Owner { name, email } or null
+ */
+async function findOwner(document) {
+  if (!document.ownerId) return null;
+  return User.findById(document.ownerId).select('name email');
+}
+
+/**
+ * Email the invitations and reminders that are due for one document's signers
+ *
+ * SEND RULES:
+ * - Only documents that are out for signature (not voided, expired or completed)
+ * - Only signers with a requested invitation, an email address and their turn to sign
+ * - The first email is the invitation; reminders follow every remindEveryHours, at most MAX_REMINDERS
+ * - The invitation carries a fresh link; reminders resend the signer's current link (one issued
+ *   by hand included) while it stays usable, and only replace it once it is about to expire
+ * - The sends are saved before mailing, so concurrent runs fail on the document version instead
+ *   of emailing twice
+ * - A send that fails is rolled back, link included, and retried on the next run
+ *
+ * @param {Document} document - Envelope document
+ * @param {Object} options - { req } when a user triggered the run (audit context)
+ * @returns {Promise<Array<Object>>} - [{ signerId, template, error }] for every attempted email
+ */
+export async function sendDueInvitations(document, { req } = {}) {
+  if (!['sent', 'partially_signed'].includes(document.status)) return [];
+
+  const now = Date.now();
+  const due = [];
+  for (const signer of document.signers) {
+    const invitation = signer.invitation;
+    if (!invitation?.requestedAt || !signer.email || !document.isSignerTurn(signer)) continue;
+
+    if (!invitation.sentAt) {
+      due.push({ signer, template: 'invitation' });
+    } else if (
+      invitation.remindEveryHours > 0 &&
+      invitation.reminderCount < MAX_REMINDERS &&
+      now - invitation.lastSentAt.getTime() >= invitation.remindEveryHours * 60 * 60 * 1000
+    ) {
+      due.push({ signer, template: 'reminder' });
+    }
+  }
+  if (due.length === 0) return [];
+
+  for (const entry of due) {
+    const { signer, template } = entry;
+    const { sentAt, lastSentAt, reminderCount } = signer.invitation;
+    const { tokenHash, tokenSealed, tokenExpiresAt, tokenRevokedAt } = signer;
+    entry.previous = { sentAt, lastSentAt, reminderCount, tokenHash, tokenSealed, tokenExpiresAt, tokenRevokedAt };
+    entry.link = (template === 'reminder' && getReusableSigningLink(signer)) ||
+      issueSigningLink(signer, signer.invitation.linkTtlHours || DEFAULT_LINK_TTL_HOURS);
+    if (template === 'invitation') {
+      signer.invitation.sentAt = new Date();
+    } else {
+      signer.invitation.reminderCount += 1;
+    }
+    signer.invitation.lastSentAt = new Date();
+  }
+  await document.save();
+
+  const owner = await findOwner(document);
+  const senderName = owner?.name || owner?.email || 'Someone';
+
+  const results = [];
+  let rolledBack = false;
+  for (const { signer, template, link, previous } of due) {
+    try {
+      await sendTemplatedMail({
+        to: formatAddress(signer.name, signer.email),
+        template,
+        variables: {
+          recipientName: signer.name,
+          senderName,
+          documentId: String(document._id),
+          role: signer.role,
+          signingUrl: link.url,
+          expiresAt: formatDate(link.expiresAt)
+        }
+      });
+
+      await recordAuditEvent({
+        documentId: document._id,
+        type: 'email_sent',
+        req,
+        details: { template, to: signer.email, signerId: signer._id, role: signer.role, linkExpiresAt: link.expiresAt }
+      });
+      results.push({ signerId: signer._id, template, error: null });
+    } catch (error) {
+      console.error(`❌ Could not email ${template} to ${signer.email}:`, error.message);
+      signer.invitation.sentAt = previous.sentAt;
+      signer.invitation.lastSentAt = previous.lastSentAt;
+      signer.invitation.reminderCount = previous.reminderCount;
+      // The link the signer already has keeps working
+      signer.tokenHash = previous.tokenHash;
+      signer.tokenSealed = previous.tokenSealed;
+      signer.tokenExpiresAt = previous.tokenExpiresAt;
+      signer.tokenRevokedAt = previous.tokenRevokedAt;
+      rolledBack = true;
+      results.push({ signerId: signer._id, template, error: error.message });
+    }
+  }
+  if (rolledBack) await document.save();
+
+  return results;
+}
+
+/**
+ * Email everyone involved that an envelope is complete, with the signed PDF attached
+ * Never throws: signing has already succeeded when this runs.
+ *
+ * @param {Document} document - Completed envelope document
+ * @param {Uint8Array} signedPdfBytes - Final signed PDF
+ * @returns {Promise<number>} - Emails sent
+ */
+export async function sendCompletionNotice(document, signedPdfBytes) {
+  let sentCount = 0;
+  try {
+    const recipients = new Map();
+    for (const signer of document.signers) {
+      if (signer.email) recipients.set(signer.email.toLowerCase(), signer.name);
+    }
+    const owner = await findOwner(document);
+    if (owner && !recipients.has(owner.email)) {
+      recipients.set(owner.email, owner.name);
+    }
+
+    const signerList = document.signers.map(signer => `${signer.name}, ${signer.role}`).join('; ');
+    for (const [email, name] of recipients) {
+      try {
+        await sendTemplatedMail({
+          to: formatAddress(name, email),
+          template: 'completed',
+          variables: {
+            recipientName: name || email,
+            documentId: String(document._id),
+            signerList,
+            completedAt: formatDate(document.signedAt || new Date()),
+            signedPdfHash: document.signedPdfHash
+          },
+          attachments: [{
+            filename: `signed-${document._id}.pdf`,
+            content: Buffer.from(signedPdfBytes),
+            contentType: 'application/pdf'
+          }]
+        });
+
+        await recordAuditEvent({
+          documentId: document._id,
+          type: 'email_sent',
+          details: { template: 'completed', to: email, signedPdfHash: document.signedPdfHash }
+        });
+        sentCount++;
+      } catch (error) {
+        console.error(`❌ Could not email completion notice to ${email}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error(`❌ Completion notice for ${document._id} failed:`, error.message);
+  }
+  return sentCount;
+}
+
+/**
+ * Run sendDueInvitations over every document with outstanding invitations
+ */
+async function sweepInvitations() {
+  const documents = await Document.find({
+    status: { $in: ['sent', 'partially_signed'] },
+    signers: {
+      $elemMatch: { status: 'pending', email: { $ne: null }, 'invitation.requestedAt': { $ne: null } }
+    }
+  });
+
+  for (const document of documents) {
+    try {
+      await sendDueInvitations(document);
+    } catch (error) {
+      // Someone else changed the document (a signature, another sweep); the next run sees the new state
+      if (!(error instanceof mongoose.Error.VersionError)) {
+        console.error(`❌ Invitation sweep failed for ${document._id}:`, error.message);
+      }
+    }
+  }
+}
+
+/**
+ * Check for due invitations and reminders now, unless a check is already running
+ */
+function kickInvitationScheduler() {
+  if (!schedulerTimer || sweeping) return;
+  sweeping = sweepInvitations()
+    .catch(error => console.error('❌ Invitation scheduler error:', error.message))
+    .finally(() => { sweeping = null; });
+}
+
+/**
+ * Start sending due invitations and reminders every minute (requires a MongoDB connection)
+ */
+export function startInvitationScheduler() {
+  if (schedulerTimer) return;
+  schedulerTimer = setInterval(kickInvitationScheduler, SCHEDULER_INTERVAL_MS);
+  schedulerTimer.unref();
+  kickInvitationScheduler();
+  console.log('📧 Invitation scheduler started');
+}
+
+/**
+ * Stop the scheduler; a check in progress still finishes
+ *
+ * @returns {Promise<void>}
+ */
+export async function stopInvitationScheduler() {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+  await sweeping;
+}
@@ -1,34 +1,164 @@
+import { PDFDict, PDFName, PDFString } from 'pdf-lib';
+
+// Custom document information entry linking a signed PDF back to its Document
+const DOCUMENT_ID_KEY = 'SIEDocumentId';
+
+/**
+ * Read the visible box and rotation of a PDF page
+ * 
+ * PAGE GEOMETRY:
+ * - The visible area is the CropBox (pdf-lib falls back to the MediaBox)
+ * - Boxes may start anywhere, not only at (0,0)
+ * - /Rotate turns the page clockwise when displayed (0, 90, 180, 270)
+ * 
+ * @param {PDFPage} page - pdf-lib page
+ * @returns {Object} - Box origin/size in user space, rotation and displayed size
+ */
+export function getPageBox(page) {
+  const { x, y, width, height } = page.getCropBox();
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+  const isSideways = rotation === 90 || rotation === 270;
+  
+  return {
+    x,
+    y,
+    width,
+    height,
+    rotation,
+    displayWidth: isSideways ? height : width,
+    displayHeight: isSideways ? width : height
+  };
+}
+
 /**
  * Convert percentage coordinates (frontend) to PDF points (backend)
  * 
  * CRITICAL COORDINATE CONVERSION:
- * - Frontend uses top-left origin with percentages (0-100)
- * - PDF uses bottom-left origin with points (72 DPI)
- * - Must flip Y-axis and scale appropriately
+ * - Frontend uses top-left origin with percentages (0-100) of the page as displayed
+ * - PDF uses bottom-left origin with points (72 DPI) inside the page box
+ * - Must flip Y-axis, undo page rotation and shift by the box origin
+ * 
+ * The returned x/y is the user-space point of the field's visual bottom-left
+ * corner; width/height are in the visual orientation. Draw with
+ * `rotate: degrees(coords.rotation)` and place offsets with toPagePoint().
  * 
  * @param {Object} field - Field object from frontend
- * @param {number} pdfWidth - PDF page width in points
- * @param {number} pdfHeight - PDF page height in points
+ * @param {Object} pageBox - Page geometry from getPageBox()
  * @returns {Object} - Converted coordinates in PDF points
  */
-export function convertCoordinates(field, pdfWidth, pdfHeight) {
-  // Convert percentage to PDF points
-  const xInPoints = (field.x / 100) * pdfWidth;
-  const widthInPoints = (field.width / 100) * pdfWidth;
-  const heightInPoints = (field.height / 100) * pdfHeight;
+export function convertCoordinates(field, pageBox) {
+  const { x: boxX, y: boxY, width: boxWidth, height: boxHeight, rotation } = pageBox;
+  
+  // Convert percentage to points on the page as the user sees it
+  const left = (field.x / 100) * pageBox.displayWidth;
+  const top = (field.y / 100) * pageBox.displayHeight;
+  const widthInPoints = (field.width / 100) * pageBox.displayWidth;
+  const heightInPoints = (field.height / 100) * pageBox.displayHeight;
   
-  // FLIP Y-AXIS: PDF origin is bottom-left, not top-left
-  // Formula: pdfY = pdfHeight - (percentageY * pdfHeight) - heightInPoints
-  const yInPoints = pdfHeight - ((field.y / 100) * pdfHeight) - heightInPoints;
+  // Map the visual bottom-left corner back into unrotated user space
+  let x, y;
+  switch (rotation) {
+    case 90:
+      x = boxX + top + heightInPoints;
+      y = boxY + left;
+      break;
+    case 180:
+      x = boxX + boxWidth - left;
+      y = boxY + top + heightInPoints;
+      break;
+    case 270:
+      x = boxX + boxWidth - top - heightInPoints;
+      y = boxY + boxHeight - left;
+      break;
+    default:
+      // FLIP Y-AXIS: PDF origin is bottom-left, not top-left
+      x = boxX + left;
+      y = boxY + boxHeight - top - heightInPoints;
+  }
   
   return {
-    x: xInPoints,
-    y: yInPoints,
+    x,
+    y,
     width: widthInPoints,
-    height: heightInPoints
+    height: heightInPoints,
+    rotation
   };
 }
 
+/**
+ * Convert a user-space rectangle (e.g. a form widget /Rect) to percentage coordinates
+ *
+ * Inverse of convertCoordinates(): the result is relative to the page as
+ * displayed, top-left origin, clamped to the visible box.
+ *
+ * @param {Object} rect - { x, y, width, height } in PDF points, unrotated user space
+ * @param {Object} pageBox - Page geometry from getPageBox()
+ * @returns {Object} - { x, y, width, height } as percentages (0-100)
+ */
+export function toPercentageCoordinates(rect, pageBox) {
+  const { x: boxX, y: boxY, width: boxWidth, height: boxHeight, rotation } = pageBox;
+
+  // Distance from the visible box's top-left corner, as the user sees it
+  let left, top, width, height;
+  switch (rotation) {
+    case 90:
+      left = rect.y - boxY;
+      top = rect.x - boxX;
+      width = rect.height;
+      height = rect.width;
+      break;
+    case 180:
+      left = boxX + boxWidth - (rect.x + rect.width);
+      top = rect.y - boxY;
+      width = rect.width;
+      height = rect.height;
+      break;
+    case 270:
+      left = boxY + boxHeight - (rect.y + rect.height);
+      top = boxX + boxWidth - (rect.x + rect.width);
+      width = rect.height;
+      height = rect.width;
+      break;
+    default:
+      left = rect.x - boxX;
+      top = boxY + boxHeight - (rect.y + rect.height);
+      width = rect.width;
+      height = rect.height;
+  }
+
+  const clamp = value => Math.min(Math.max(value, 0), 100);
+  const x = clamp((left / pageBox.displayWidth) * 100);
+  const y = clamp((top / pageBox.displayHeight) * 100);
+
+  return {
+    x,
+    y,
+    width: clamp(Math.min((width / pageBox.displayWidth) * 100, 100 - x)),
+    height: clamp(Math.min((height / pageBox.displayHeight) * 100, 100 - y))
+  };
+}
+
+/**
+ * Translate an offset inside a converted field box into page user space
+ * 
+ * @param {Object} coords - Result of convertCoordinates()
+ * @param {number} offsetX - Offset to the right, as seen on screen
+ * @param {number} offsetY - Offset upwards, as seen on screen
+ * @returns {Object} - { x, y } in PDF points
+ */
+export function toPagePoint(coords, offsetX, offsetY) {
+  switch (coords.rotation) {
+    case 90:
+      return { x: coords.x - offsetY, y: coords.y + offsetX };
+    case 180:
+      return { x: coords.x - offsetX, y: coords.y - offsetY };
+    case 270:
+      return { x: coords.x + offsetY, y: coords.y - offsetX };
+    default:
+      return { x: coords.x + offsetX, y: coords.y + offsetY };
+  }
+}
+
 /**
  * Calculate dimensions to maintain aspect ratio within a box
  * 
@@ -101,6 +231,59 @@ export function validateFieldCoordinates(field) {
     field.x >= 0 && field.x <= 100 &&
     field.y >= 0 && field.y <= 100 &&
     field.width > 0 && field.width <= 100 &&
-    field.height > 0 && field.height <= 100
+    field.height > 0 && field.height <= 100 &&
+    (field.page === undefined || field.page === null ||
+      (Number.isInteger(field.page) && field.page >= 0))
   );
-}
\ No newline at end of file
+}
+
+/**
+ * Get the zero-based page index a field was placed on
+ * Fields sent without a page (older clients) belong to the first page
+ * 
+ * @param {Object} field - Field object from frontend
+ * @returns {number} - Zero-based page index
+ */
+export function getFieldPage(field) {
+  return Number.isInteger(field.page) ? field.page : 0;
+}
+
+/**
+ * Get the document information dictionary, creating it if missing
+ * 
+ * @param {PDFDocument} pdfDoc - pdf-lib document
+ * @param {boolean} create - Create an empty dictionary when there is none
+ * @returns {PDFDict|null} - Info dictionary
+ */
+function getInfoDict(pdfDoc, create) {
+  const { context } = pdfDoc;
+  const info = context.trailerInfo.Info ? context.lookup(context.trailerInfo.Info) : null;
+  if (info instanceof PDFDict) return info;
+  if (!create) return null;
+  
+  const newInfo = context.obj({});
+  context.trailerInfo.Info = context.register(newInfo);
+  return newInfo;
+}
+
+/**
+ * Record which Document a generated PDF belongs to
+ * Lets verification recognise a modified copy of one of our files
+ * 
+ * @param {PDFDocument} pdfDoc - pdf-lib document (modified in place)
+ * @param {string} documentId - Document ID
+ */
+export function stampDocumentId(pdfDoc, documentId) {
+  getInfoDict(pdfDoc, true).set(PDFName.of(DOCUMENT_ID_KEY), PDFString.of(String(documentId)));
+}
+
+/**
+ * Read the Document ID stamped by stampDocumentId()
+ * 
+ * @param {PDFDocument} pdfDoc - pdf-lib document
+ * @returns {string|null} - Document ID, or null for foreign PDFs
+ */
+export function readDocumentId(pdfDoc) {
+  const value = getInfoDict(pdfDoc, false)?.lookup(PDFName.of(DOCUMENT_ID_KEY));
+  return value && typeof value.decodeText === 'function' ? value.decodeText() : null;
+}
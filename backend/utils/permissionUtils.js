@@ -0,0 +1,140 @@
+import mongoose from 'mongoose';
+import Document from '../models/Document.js';
+import Organization from '../models/Organization.js';
+
+export const ROLES = ['admin', 'sender', 'signer', 'auditor', 'viewer'];
+
+/**
+ * What each organization role may do
+ *
+ * PERMISSIONS:
+ * - document:read - open, list and download documents
+ * - document:create - upload PDFs, start documents from templates
+ * - document:sign - fill and sign documents
+ * - document:send - set up envelopes, issue signing links, share
+ * - document:verify - re-check stored hashes
+ * - audit:read - read audit logs
+ * - template:manage - save, list and apply templates
+ * - font:manage - upload and delete fonts for text fields
+ * - batch:run - bulk send
+ * - webhook:manage - register webhooks and read their delivery logs
+ * - member:manage - add, change and remove members
+ */
+const ROLE_PERMISSIONS = {
+  admin: [
+    'document:read', 'document:create', 'document:sign', 'document:send', 'document:verify',
+    'audit:read', 'template:manage', 'font:manage', 'batch:run', 'webhook:manage', 'member:manage'
+  ],
+  sender: [
+    'document:read', 'document:create', 'document:sign', 'document:send', 'document:verify',
+    'audit:read', 'template:manage', 'font:manage', 'batch:run'
+  ],
+  signer: ['document:read', 'document:sign', 'document:verify'],
+  auditor: ['document:read', 'document:verify', 'audit:read'],
+  viewer: ['document:read']
+};
+
+/**
+ * Whether a role grants a permission
+ *
+ * @param {string|null} role - Organization role
+ * @param {string} permission - e.g. 'document:sign'
+ * @returns {boolean} - True when allowed
+ */
+export function hasPermission(role, permission) {
+  return Boolean(role && ROLE_PERMISSIONS[role]?.includes(permission));
+}
+
+/**
+ * Role of the current user in the active workspace
+ * Outside an organization everyone is the admin of their personal workspace.
+ *
+ * @param {Request} req - Authenticated request
+ * @returns {string} - Role
+ */
+export function getWorkspaceRole(req) {
+  return req.organization ? req.organization.getMemberRole(req.user._id) : 'admin';
+}
+
+/**
+ * Filter for records in the active workspace: the organization's, or the user's personal ones
+ *
+ * @param {Request} req - Authenticated request
+ * @returns {Object} - Mongo filter
+ */
+export function workspaceFilter(req) {
+  return req.organization
+    ? { organizationId: req.organization._id }
+    : { organizationId: null, ownerId: req.user._id };
+}
+
+/**
+ * Express middleware: require a permission in the active workspace
+ *
+ * @param {string} permission - e.g. 'template:manage'
+ * @returns {Function} - Middleware (use after requireAuth)
+ */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    const role = getWorkspaceRole(req);
+    if (!hasPermission(role, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: `Your role (${role}) does not allow ${permission}`
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Role of a user on one document
+ *
+ * ACCESS RULES:
+ * - Organization documents: the user's role in that organization
+ * - Personal documents: the owner acts as admin, accounts it was shared with as signers
+ *
+ * @param {Document} document - Document to check
+ * @param {User} user - Authenticated user
+ * @returns {Promise<string|null>} - Role, or null without access
+ */
+export async function getDocumentRole(document, user) {
+  if (document.organizationId) {
+    const organization = await Organization.findById(document.organizationId).select('members');
+    return organization ? organization.getMemberRole(user._id) : null;
+  }
+
+  if (document.ownerId?.equals(user._id)) return 'admin';
+  if (document.sharedWith.some(id => id.equals(user._id))) return 'signer';
+  return null;
+}
+
+/**
+ * Load a document the current user may act on
+ * Documents they cannot see at all are reported as missing, not forbidden.
+ *
+ * options.inWorkspace also requires the document to belong to the active workspace, for
+ * actions that copy its PDF into the workspace's own records (templates, batches): otherwise
+ * a member could carry an organization's file off into their personal workspace.
+ *
+ * @param {Request} req - Authenticated request
+ * @param {string} documentId - Document ID
+ * @param {string} permission - Permission the action needs
+ * @param {Object} options - { inWorkspace }
+ * @returns {Promise<Object>} - { document, role } or { status, error }
+ */
+export async function loadDocumentFor(req, documentId, permission, { inWorkspace = false } = {}) {
+  const document = mongoose.isValidObjectId(documentId)
+    ? await Document.findOne({ _id: documentId, ...(inWorkspace && workspaceFilter(req)) })
+    : null;
+  const role = document && await getDocumentRole(document, req.user);
+  if (!role) {
+    return { status: 404, error: 'Document not found' };
+  }
+
+  if (!hasPermission(role, permission)) {
+    return { status: 403, error: `Your role (${role}) does not allow ${permission}` };
+  }
+
+  return { document, role };
+}
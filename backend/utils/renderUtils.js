@@ -0,0 +1,154 @@
+import { rgb, degrees } from 'pdf-lib';
+import {
+  convertCoordinates,
+  getPageBox,
+  toPagePoint,
+  calculateAspectRatioDimensions,
+  base64FromDataURL,
+  getFieldPage
+} from './pdfUtils.js';
+import { createFontLoader } from './fontUtils.js';
+import { drawFieldText, drawTextLine, fitText } from './textUtils.js';
+
+/**
+ * Burn field values into a loaded PDF
+ * 
+ * FIELD RENDERING:
+ * - Each field is converted against the page it was placed on
+ * - Signatures/images keep their aspect ratio
+ * - Text and date values are drawn with the field's style (font, size, colour, alignment, wrapping)
+ * - Characters the style's font lacks come from the server's fallback fonts, shaped and in bidi order
+ * - Empty optional fields are skipped
+ * 
+ * Callers must check that every field's page exists in the PDF first.
+ * 
+ * @param {PDFDocument} pdfDoc - pdf-lib document to draw on (modified in place)
+ * @param {Array<Object>} fields - Fields with percentage coordinates and values
+ * @returns {Promise<void>}
+ */
+export async function renderFields(pdfDoc, fields) {
+  const pages = pdfDoc.getPages();
+  const fonts = createFontLoader(pdfDoc);
+  
+  // Process each field
+  for (const field of fields) {
+    // Skip empty optional fields
+    if (!field.value && field.type !== 'radio') {
+      console.log(`   ⊘ Skipping empty ${field.type} field`);
+      continue;
+    }
+    
+    // Convert against the size of the page this field was placed on
+    const pageIndex = getFieldPage(field);
+    const page = pages[pageIndex];
+    const coords = convertCoordinates(field, getPageBox(page));
+    
+    console.log(`   ✓ Processing ${field.type} field on page ${pageIndex + 1}:`);
+    console.log(`     Input: x=${field.x.toFixed(1)}%, y=${field.y.toFixed(1)}%`);
+    console.log(`     Output: x=${coords.x.toFixed(1)}pt, y=${coords.y.toFixed(1)}pt`);
+    
+    // Handle different field types
+    if (field.type === 'signature' || field.type === 'image') {
+      // Handle signature/image fields
+      try {
+        const base64Data = base64FromDataURL(field.value);
+        const imageBytes = Buffer.from(base64Data, 'base64');
+        
+        let embeddedImage;
+        try {
+          // Try PNG first
+          embeddedImage = await pdfDoc.embedPng(imageBytes);
+        } catch {
+          try {
+            // Fallback to JPG
+            embeddedImage = await pdfDoc.embedJpg(imageBytes);
+          } catch (error) {
+            console.error(`     ✗ Failed to embed image: ${error.message}`);
+            continue;
+          }
+        }
+        
+        // Get original image dimensions
+        const { width: imgWidth, height: imgHeight } = embeddedImage.scale(1);
+        
+        // Calculate dimensions maintaining aspect ratio
+        const dimensions = calculateAspectRatioDimensions(
+          imgWidth,
+          imgHeight,
+          coords.width,
+          coords.height
+        );
+        
+        console.log(`     Aspect ratio: ${imgWidth}x${imgHeight} → ${dimensions.width.toFixed(1)}x${dimensions.height.toFixed(1)}`);
+        
+        // Draw image on PDF
+        page.drawImage(embeddedImage, {
+          ...toPagePoint(coords, dimensions.offsetX, dimensions.offsetY),
+          width: dimensions.width,
+          height: dimensions.height,
+          rotate: degrees(coords.rotation)
+        });
+      } catch (error) {
+        console.error(`     ✗ Error processing image: ${error.message}`);
+      }
+      
+    } else if (field.type === 'text') {
+      const textValue = field.value || 'Text Field';
+      const text = await fonts.assign(textValue, await fonts.load(field.style));
+      const { size, lines } = drawFieldText(page, text, coords, field.style, Math.min(coords.height * 0.6, 12));
+      
+      console.log(`     Text: "${textValue}" (${size}pt, ${lines.length} line(s))`);
+      
+    } else if (field.type === 'date') {
+      const dateValue = field.value || new Date().toISOString().split('T')[0];
+      const text = await fonts.assign(dateValue, await fonts.load(field.style));
+      drawFieldText(page, text, coords, field.style, Math.min(coords.height * 0.6, 10));
+      
+      console.log(`     Date: ${dateValue}`);
+      
+    } else if (field.type === 'radio') {
+      
+      const radioOptions = field.options?.length ? field.options : ['Option 1', 'Option 2', 'Option 3'];
+      const selectedValue = field.value || 'option1';
+      
+      const valueIndex = parseInt(selectedValue.replace('option', '')) - 1;
+      const displayText = radioOptions[valueIndex] || radioOptions[0];
+      
+      const fontSize = Math.min(coords.height * 0.5, 10);
+      const circleRadius = Math.min(coords.height, coords.width) * 0.15;
+      const circleCenter = toPagePoint(coords, circleRadius + 4, coords.height / 2);
+      
+     
+      page.drawCircle({
+        ...circleCenter,
+        size: circleRadius,
+        borderColor: rgb(0, 0, 0),
+        borderWidth: 1.5
+      });
+      
+      if (field.value) {
+        page.drawCircle({
+          ...circleCenter,
+          size: circleRadius * 0.35, 
+          color: rgb(0, 0, 0)
+        });
+      }
+      
+      // Draw label text
+      const font = await fonts.load(null);
+      drawTextLine(page, fitText(
+        await fonts.assign(displayText, font),
+        await fonts.assign('…', font),
+        fontSize,
+        coords.width - circleRadius * 2 - 15
+      ), {
+        ...toPagePoint(coords, circleRadius * 2 + 10, (coords.height / 2) - (fontSize / 3)),
+        size: fontSize,
+        color: rgb(0, 0, 0),
+        rotation: coords.rotation
+      });
+      
+      console.log(`     Radio: ${displayText} (${selectedValue})`);
+    }
+  }
+}
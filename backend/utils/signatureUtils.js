@@ -0,0 +1,208 @@
+import fs from 'fs/promises';
+import forge from 'node-forge';
+import { SignPdf } from '@signpdf/signpdf';
+import { pdflibAddPlaceholder } from '@signpdf/placeholder-pdf-lib';
+import { Signer, SUBFILTER_ETSI_CADES_DETACHED } from '@signpdf/utils';
+
+const { asn1, pki } = forge;
+
+// ESS signing-certificate-v2 (RFC 5035), required by PAdES baseline signatures
+const OID_SIGNING_CERTIFICATE_V2 = '1.2.840.113549.1.9.16.2.47';
+
+// Room reserved in the PDF for the DER-encoded CMS (bytes, hex-encoded twice as long)
+const SIGNATURE_LENGTH = 16384;
+
+/**
+ * Build an ASN.1 AlgorithmIdentifier with NULL parameters
+ *
+ * @param {string} oid - Algorithm OID
+ * @returns {Object} - forge ASN.1 object
+ */
+function algorithmIdentifier(oid) {
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(oid).getBytes()),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+  ]);
+}
+
+/**
+ * Build a CMS Attribute (type + SET of one value)
+ *
+ * @param {string} oid - Attribute type OID
+ * @param {Object} value - forge ASN.1 value
+ * @returns {Object} - forge ASN.1 object
+ */
+function attribute(oid, value) {
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(oid).getBytes()),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [value])
+  ]);
+}
+
+/**
+ * Signs the PDF byte range with a CAdES detached signature (PAdES-B-B)
+ *
+ * PADES BASELINE:
+ * - Signed attributes: content-type, message-digest, signing-certificate-v2
+ * - No signing-time attribute; the claimed time lives in the signature dictionary /M
+ * - SHA-256 digest with RSA PKCS#1 v1.5
+ */
+class PadesSigner extends Signer {
+  /**
+   * @param {Buffer} p12Buffer - PKCS#12 container with key and certificate chain
+   * @param {string} passphrase - PKCS#12 passphrase
+   */
+  constructor(p12Buffer, passphrase = '') {
+    super();
+
+    const p12Asn1 = asn1.fromDer(forge.util.createBuffer(p12Buffer.toString('binary')));
+    const p12 = forge.pkcs12.pkcs12FromAsn1(p12Asn1, false, passphrase);
+
+    const keyBags = p12.getBags({ bagType: pki.oids.pkcs8ShroudedKeyBag })[pki.oids.pkcs8ShroudedKeyBag]
+      || p12.getBags({ bagType: pki.oids.keyBag })[pki.oids.keyBag];
+    const certBags = p12.getBags({ bagType: pki.oids.certBag })[pki.oids.certBag] || [];
+
+    if (!keyBags?.length) {
+      throw new Error('PKCS#12 file does not contain a private key');
+    }
+
+    this.privateKey = keyBags[0].key;
+    this.certificates = certBags.map(bag => bag.cert);
+    this.certificate = this.certificates.find(cert =>
+      cert.publicKey.n.compareTo(this.privateKey.n) === 0 &&
+      cert.publicKey.e.compareTo(this.privateKey.e) === 0
+    );
+
+    if (!this.certificate) {
+      throw new Error('PKCS#12 file has no certificate matching its private key');
+    }
+  }
+
+  /**
+   * @param {Buffer} pdfBuffer - PDF bytes covered by the ByteRange
+   * @returns {Promise<Buffer>} - DER-encoded CMS ContentInfo
+   */
+  async sign(pdfBuffer) {
+    const certificateDer = asn1.toDer(pki.certificateToAsn1(this.certificate)).getBytes();
+    const issuerAndSerial = [
+      pki.distinguishedNameToAsn1(this.certificate.issuer),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false,
+        forge.util.hexToBytes(this.certificate.serialNumber))
+    ];
+
+    const contentDigest = forge.md.sha256.create()
+      .update(pdfBuffer.toString('binary'))
+      .digest()
+      .getBytes();
+    const certificateDigest = forge.md.sha256.create()
+      .update(certificateDer)
+      .digest()
+      .getBytes();
+
+    // ESSCertIDv2 with the default (SHA-256) hash algorithm omitted
+    const signingCertificateV2 = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, certificateDigest),
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+              asn1.create(asn1.Class.CONTEXT_SPECIFIC, 4, true, [issuerAndSerial[0]])
+            ]),
+            issuerAndSerial[1]
+          ])
+        ])
+      ])
+    ]);
+
+    const signedAttributes = [
+      attribute(pki.oids.contentType,
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(pki.oids.data).getBytes())),
+      attribute(pki.oids.messageDigest,
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, contentDigest)),
+      attribute(OID_SIGNING_CERTIFICATE_V2, signingCertificateV2)
+    ];
+
+    // The signature covers the DER encoding of the attributes as a SET
+    const signedAttributesDer = asn1.toDer(
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, signedAttributes)
+    ).getBytes();
+    const signature = this.privateKey.sign(
+      forge.md.sha256.create().update(signedAttributesDer)
+    );
+
+    const signerInfo = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(1).getBytes()),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, issuerAndSerial),
+      algorithmIdentifier(pki.oids.sha256),
+      asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, signedAttributes),
+      algorithmIdentifier(pki.oids.rsaEncryption),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, signature)
+    ]);
+
+    const signedData = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(1).getBytes()),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [algorithmIdentifier(pki.oids.sha256)]),
+      // Detached: the encapsulated content is omitted
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(pki.oids.data).getBytes())
+      ]),
+      asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true,
+        this.certificates.map(cert => pki.certificateToAsn1(cert))),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [signerInfo])
+    ]);
+
+    const contentInfo = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(pki.oids.signedData).getBytes()),
+      asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [signedData])
+    ]);
+
+    return Buffer.from(asn1.toDer(contentInfo).getBytes(), 'binary');
+  }
+}
+
+/**
+ * Whether a signing certificate is configured
+ * Set SIGNING_P12_PATH (and SIGNING_P12_PASSPHRASE) to enable digital signatures
+ *
+ * @returns {boolean} - True if digital signing is available
+ */
+export function isDigitalSigningConfigured() {
+  return Boolean(process.env.SIGNING_P12_PATH);
+}
+
+/**
+ * Save a pdf-lib document with a PAdES-B-B digital signature
+ *
+ * SIGNING FLOW:
+ * - Add an invisible signature field with a /ByteRange + /Contents placeholder
+ * - Save without object streams so the placeholder can be located
+ * - Sign every byte outside /Contents and embed the CMS
+ *
+ * Must be the last change to the document: any later save invalidates the signature.
+ *
+ * @param {PDFDocument} pdfDoc - pdf-lib document to sign
+ * @param {Object} options - { reason, name, location, contactInfo }
+ * @returns {Promise<Buffer>} - Signed PDF bytes
+ */
+export async function signPdfDocument(pdfDoc, options = {}) {
+  if (!isDigitalSigningConfigured()) {
+    throw new Error('Digital signing is not configured (set SIGNING_P12_PATH)');
+  }
+
+  const p12Buffer = await fs.readFile(process.env.SIGNING_P12_PATH);
+  const signer = new PadesSigner(p12Buffer, process.env.SIGNING_P12_PASSPHRASE || '');
+
+  pdflibAddPlaceholder({
+    pdfDoc,
+    reason: options.reason || process.env.SIGNING_REASON || 'Document signed',
+    contactInfo: options.contactInfo || process.env.SIGNING_CONTACT || '',
+    name: options.name || signer.certificate.subject.getField('CN')?.value || 'Signature Injection Engine',
+    location: options.location || process.env.SIGNING_LOCATION || '',
+    signatureLength: SIGNATURE_LENGTH,
+    subFilter: SUBFILTER_ETSI_CADES_DETACHED,
+    appName: 'Signature Injection Engine'
+  });
+
+  const pdfWithPlaceholder = await pdfDoc.save({ useObjectStreams: false });
+  return new SignPdf().sign(Buffer.from(pdfWithPlaceholder), signer);
+}
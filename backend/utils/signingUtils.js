@@ -0,0 +1,195 @@
+import { PDFDocument } from 'pdf-lib';
+import { calculateHash } from './hashUtils.js';
+import { stampDocumentId, getFieldPage } from './pdfUtils.js';
+import { renderFields } from './renderUtils.js';
+import { renderFormFields, fillFormFields } from './formUtils.js';
+import { signPdfDocument } from './signatureUtils.js';
+import { appendAuditCertificate } from './certificateUtils.js';
+import { recordAuditEvent } from './auditUtils.js';
+import { emitWebhookEvent } from './webhookUtils.js';
+import { getSigningBlock } from './lifecycleUtils.js';
+import { analyzePdfStructure } from './tamperUtils.js';
+import { createObjectKey, getObject, putObject } from './storageUtils.js';
+
+// flatten: values drawn into page content; interactive: fields left as fillable AcroForm widgets
+export const OUTPUT_MODES = ['flatten', 'interactive'];
+
+/**
+ * Produce and store the signed PDF of a single-signer document
+ *
+ * PIPELINE:
+ * - Fill imported form fields in place
+ * - Burn the rest onto their pages, or add them as new form fields
+ * - Stamp the document ID, append the audit certificate
+ * - Seal with a PAdES signature last, since any later change breaks it
+ *
+ * Callers must check that every field's page exists in the PDF first.
+ *
+ * @param {PDFDocument} pdfDoc - Loaded original PDF (modified in place)
+ * @param {Document} document - Document being signed
+ * @param {Array<Object>} signedFields - Fields with values and evidence
+ * @param {Object} options - { outputMode, auditCertificate, digitalSignature, completedAt }
+ * @returns {Promise<Object>} - { signedPdfBytes, signedPdfHash, signedPdfKey, structure }
+ */
+export async function generateSignedPdf(pdfDoc, document, signedFields, options = {}) {
+  const {
+    outputMode = 'flatten',
+    auditCertificate = false,
+    digitalSignature = false,
+    completedAt = new Date()
+  } = options;
+
+  const remainingFields = await fillFormFields(pdfDoc, signedFields);
+  if (outputMode === 'interactive') {
+    await renderFormFields(pdfDoc, remainingFields);
+  } else {
+    await renderFields(pdfDoc, remainingFields);
+  }
+  stampDocumentId(pdfDoc, document._id);
+
+  // Evidence page goes in before any digital signature seals the file
+  if (auditCertificate) {
+    await appendAuditCertificate(pdfDoc, {
+      documentId: document._id,
+      originalPdfHash: document.originalPdfHash,
+      completedAt,
+      fields: signedFields
+    });
+  }
+
+  const signedPdfBytes = digitalSignature
+    ? await signPdfDocument(pdfDoc)
+    : await pdfDoc.save();
+  const signedPdfHash = calculateHash(Buffer.from(signedPdfBytes));
+
+  const signedPdfKey = createObjectKey('signed', document._id);
+  await putObject(signedPdfKey, signedPdfBytes);
+
+  return {
+    signedPdfBytes,
+    signedPdfHash,
+    signedPdfKey,
+    // Baseline for tamper reports if the stored file ever stops matching its hash
+    structure: await analyzePdfStructure(signedPdfBytes)
+  };
+}
+
+/**
+ * Sign a single-signer document end to end
+ * Shared by the inline /sign-pdf request and the queued sign-pdf job.
+ *
+ * STEPS:
+ * - Load the original PDF and record evidence on every field
+ * - Produce and store the signed PDF (generateSignedPdf)
+ * - Record it as a new version, mark the document completed and log a 'sign' event
+ *
+ * @param {Document} document - Document to sign (no envelope signers)
+ * @param {Array<Object>} fields - Validated fields from the client
+ * @param {Object} options - { signer, outputMode, auditCertificate, digitalSignature, ipAddress, userAgent, onProgress }
+ * @returns {Promise<Object>} - { signedPdfBytes, signedPdfHash, signedPdfKey, structure, version }
+ */
+export async function signDocument(document, fields, options = {}) {
+  const {
+    signer = null,
+    outputMode = 'flatten',
+    auditCertificate = false,
+    digitalSignature = false,
+    ipAddress = null,
+    userAgent = null,
+    onProgress = async () => {}
+  } = options;
+
+  // Completed, voided and expired documents stay as they are
+  const blocked = getSigningBlock(document);
+  if (blocked) throw new Error(blocked.error);
+
+  // Load original PDF
+  const pdfBuffer = await getObject(document.originalPdfKey);
+  const pdfDoc = await PDFDocument.load(pdfBuffer);
+  const pages = pdfDoc.getPages();
+
+  const outOfRange = fields.find(field => getFieldPage(field) >= pages.length);
+  if (outOfRange) {
+    throw new Error(`Field page ${getFieldPage(outOfRange) + 1} is out of range (PDF has ${pages.length} page(s))`);
+  }
+
+  console.log(`\n📄 Processing PDF: ${document._id}`);
+  console.log(`   Pages: ${pages.length}`);
+  console.log(`   Fields to process: ${fields.length}`);
+  await onProgress(10);
+
+  // Record who filled each field, when and from where
+  const signedAt = new Date();
+  const signedFields = fields.map(field => ({
+    ...field,
+    page: getFieldPage(field),
+    filledBy: signer?.name || signer?.email || null,
+    filledAt: signedAt,
+    ipAddress,
+    userAgent
+  }));
+
+  const result = await generateSignedPdf(pdfDoc, document, signedFields, {
+    outputMode,
+    auditCertificate,
+    digitalSignature,
+    completedAt: signedAt
+  });
+  await onProgress(80);
+
+  // Update document in database
+  const previousStatus = document.status;
+  const previousSignedPdfHash = document.signedPdfHash;
+  document.transitionTo('completed');
+  const version = document.addVersion({
+    signedPdfHash: result.signedPdfHash,
+    signedPdfKey: result.signedPdfKey,
+    source: 'sign-pdf',
+    signedBy: signer?.name || signer?.email || null,
+    digitallySigned: digitalSignature,
+    outputMode,
+    fields: signedFields,
+    structure: result.structure,
+    createdAt: signedAt
+  });
+  document.signedAt = signedAt;
+  document.digitallySigned = digitalSignature;
+  document.fields = signedFields;
+  await document.save();
+
+  await recordAuditEvent({
+    documentId: document._id,
+    type: 'sign',
+    ipAddress,
+    userAgent,
+    actor: signer?.name || signer?.email || null,
+    details: {
+      signedPdfHash: result.signedPdfHash,
+      previousSignedPdfHash,
+      previousStatus,
+      version: version.number,
+      fieldCount: signedFields.length,
+      digitalSignature,
+      auditCertificate,
+      outputMode
+    }
+  });
+
+  await emitWebhookEvent(document, 'document.signed', {
+    signedPdfHash: result.signedPdfHash,
+    signedAt,
+    version: version.number,
+    resigned: Boolean(previousSignedPdfHash),
+    signer: signer?.name || signer?.email || null
+  });
+
+  console.log(`\n✅ PDF signed successfully!`);
+  console.log(`   Original hash: ${document.originalPdfHash}`);
+  console.log(`   Signed hash: ${result.signedPdfHash}`);
+  console.log(`   Digital signature: ${digitalSignature ? 'PAdES-B-B' : 'none'}`);
+  console.log(`   Audit certificate: ${auditCertificate ? 'appended' : 'none'}`);
+  console.log(`   Output mode: ${outputMode}`);
+  console.log(`   Stored as: ${result.signedPdfKey} (version ${version.number})\n`);
+
+  return { ...result, version: version.number };
+}
@@ -0,0 +1,259 @@
+import crypto from 'crypto';
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+// Get __dirname in ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// 'local' keeps objects on disk; 's3' uses any S3-compatible service (AWS, MinIO, ...)
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+
+// How long a download URL stays valid
+const DEFAULT_URL_TTL_SECONDS = parseInt(process.env.STORAGE_URL_TTL_SECONDS, 10) || 15 * 60;
+
+// Local download URLs are HMAC-signed; without a configured secret they only last until restart
+const URL_SECRET = process.env.STORAGE_URL_SECRET || crypto.randomBytes(32).toString('hex');
+if (STORAGE_DRIVER === 'local' && !process.env.STORAGE_URL_SECRET) {
+  console.warn('⚠️  STORAGE_URL_SECRET not set: file links will stop working when the server restarts');
+}
+
+// Stored objects are PDFs, apart from fonts uploaded for text fields
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf'
+};
+
+let driver = null;
+
+/**
+ * HMAC over a key and its expiry, as carried by local download URLs
+ *
+ * @param {string} key - Object key
+ * @param {number} expires - Expiry as Unix seconds
+ * @returns {string} - Hex signature
+ */
+function signObjectUrl(key, expires) {
+  return crypto.createHmac('sha256', URL_SECRET).update(`${key}\n${expires}`).digest('hex');
+}
+
+/**
+ * Objects as files under STORAGE_LOCAL_DIR (default backend/uploads)
+ * Files are served by GET /api/files with a signed, expiring query string.
+ *
+ * @returns {Object} - Storage driver
+ */
+function createLocalDriver() {
+  const root = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../uploads'));
+
+  // Keys are generated by us, but never let one point outside the storage root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    async putObject(key, body) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, body);
+    },
+    async getObject(key) {
+      return fs.readFile(resolveKey(key));
+    },
+    async getObjectStream(key) {
+      const filePath = resolveKey(key);
+      // Fail before any response headers go out
+      await fs.access(filePath);
+      return createReadStream(filePath);
+    },
+    async deleteObject(key) {
+      await fs.unlink(resolveKey(key)).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    },
+    async getDownloadUrl(key, expiresIn) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const query = new URLSearchParams({ key, expires: String(expires), signature: signObjectUrl(key, expires) });
+      return `/api/files?${query}`;
+    }
+  };
+}
+
+/**
+ * Objects in an S3 bucket; downloads use presigned GET URLs
+ * S3_ENDPOINT points at MinIO or another compatible server (path-style addressing is then used).
+ * Credentials come from the usual AWS environment variables or profile.
+ *
+ * @returns {Object} - Storage driver
+ */
+function createS3Driver() {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: Boolean(process.env.S3_ENDPOINT) || process.env.S3_FORCE_PATH_STYLE === 'true'
+  });
+
+  return {
+    name: 's3',
+    async putObject(key, body) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: getContentType(key)
+      }));
+    },
+    async getObject(key) {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await Body.transformToByteArray());
+    },
+    async getObjectStream(key) {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Body;
+    },
+    async deleteObject(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+    async getDownloadUrl(key, expiresIn) {
+      return getSignedUrl(client, new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentType: getContentType(key),
+        ResponseContentDisposition: `inline; filename="${path.posix.basename(key)}"`
+      }), { expiresIn });
+    }
+  };
+}
+
+function getDriver() {
+  driver ??= STORAGE_DRIVER === 's3' ? createS3Driver() : createLocalDriver();
+  return driver;
+}
+
+/**
+ * Name of the configured storage driver
+ *
+ * @returns {string} - 'local' or 's3'
+ */
+export function getStorageDriverName() {
+  return getDriver().name;
+}
+
+/**
+ * New object key for a stored file
+ *
+ * KEY LAYOUT:
+ * - originals/<timestamp>-<random>.pdf - uploaded PDFs
+ * - signed/<documentId>-<timestamp>-<random>.pdf - every signed version
+ * - fonts/<timestamp>-<random>.ttf|otf - uploaded fonts
+ *
+ * @param {string} prefix - 'originals', 'signed' or 'fonts'
+ * @param {string} name - Optional stem, e.g. a document ID
+ * @param {string} extension - File extension (default 'pdf')
+ * @returns {string} - Object key
+ */
+export function createObjectKey(prefix, name = null, extension = 'pdf') {
+  const unique = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+  return `${prefix}/${name ? `${name}-${unique}` : unique}.${extension}`;
+}
+
+/**
+ * MIME type of an object, from its key's extension
+ *
+ * @param {string} key - Object key
+ * @returns {string} - Content type (application/octet-stream when unknown)
+ */
+export function getContentType(key) {
+  return CONTENT_TYPES[path.posix.extname(key)] || 'application/octet-stream';
+}
+
+/**
+ * Store an object
+ *
+ * @param {string} key - Object key
+ * @param {Buffer|Uint8Array} body - Contents
+ * @returns {Promise<void>}
+ */
+export async function putObject(key, body) {
+  await getDriver().putObject(key, body);
+}
+
+/**
+ * Read a whole object into memory
+ *
+ * @param {string} key - Object key
+ * @returns {Promise<Buffer>} - Contents
+ */
+export async function getObject(key) {
+  return getDriver().getObject(key);
+}
+
+/**
+ * Open an object for streaming (downloads, ZIP archives)
+ *
+ * @param {string} key - Object key
+ * @returns {Promise<Readable>} - Contents stream
+ */
+export async function getObjectStream(key) {
+  return getDriver().getObjectStream(key);
+}
+
+/**
+ * Remove an object; missing objects are ignored
+ *
+ * @param {string} key - Object key
+ * @returns {Promise<void>}
+ */
+export async function deleteObject(key) {
+  await getDriver().deleteObject(key);
+}
+
+/**
+ * Short-lived URL a client can fetch an object from without further auth
+ * Hand these out only after the caller has been allowed to see the document.
+ *
+ * @param {string} key - Object key (null passes through)
+ * @param {number} expiresIn - Lifetime in seconds (default STORAGE_URL_TTL_SECONDS or 15 min)
+ * @returns {Promise<string|null>} - Relative API URL (local) or absolute presigned URL (s3)
+ */
+export async function getDownloadUrl(key, expiresIn = DEFAULT_URL_TTL_SECONDS) {
+  if (!key) return null;
+  return getDriver().getDownloadUrl(key, expiresIn);
+}
+
+/**
+ * Check a local download URL's signature and expiry
+ *
+ * @param {string} key - Object key from the URL
+ * @param {string} expires - Expiry (Unix seconds) from the URL
+ * @param {string} signature - Hex signature from the URL
+ * @returns {boolean} - True when the URL was issued by this server and is still valid
+ */
+export function verifyDownloadUrl(key, expires, signature) {
+  if (!key || !expires || !signature) return false;
+  if (Number(expires) < Date.now() / 1000) return false;
+
+  const expected = Buffer.from(signObjectUrl(key, Number(expires)), 'hex');
+  const given = Buffer.from(String(signature), 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
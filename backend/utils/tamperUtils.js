@@ -0,0 +1,400 @@
+import crypto from 'crypto';
+import { PDFDocument, PDFName, PDFDict, PDFArray, PDFStream, PDFRawStream, PDFNumber, decodePDFRawStream } from 'pdf-lib';
+import { calculateHash } from './hashUtils.js';
+
+const EOF_MARKER = '%%EOF';
+
+// Bounds on the work an uploaded file can cause: %%EOF markers tried as revision ends,
+// and recorded versions compared against
+const MAX_EOF_MARKERS = 1000;
+const MAX_REFERENCES = 100;
+
+// Annotation rectangles are compared in points, to the nearest hundredth
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Count the %%EOF markers in a PDF
+ * A file written in one pass has one; every incremental update appends another.
+ *
+ * @param {Buffer} pdfBytes - PDF file
+ * @returns {number} - Number of revisions
+ */
+function countRevisions(pdfBytes) {
+  let revisions = 0;
+  let position = pdfBytes.indexOf(EOF_MARKER);
+  while (position !== -1) {
+    revisions++;
+    position = pdfBytes.indexOf(EOF_MARKER, position + EOF_MARKER.length);
+  }
+  return revisions;
+}
+
+/**
+ * Find the end of the revision that still hashes to a recorded SHA-256
+ * When edits were appended as incremental updates, the signed file survives byte for byte
+ * at the start of the new one. The file is hashed once, with a digest taken at every %%EOF.
+ *
+ * @param {Buffer} pdfBytes - PDF file
+ * @param {Array<string>} hashes - Recorded SHA-256 values of signed files
+ * @returns {Map<string, number>} - Length of the intact prefix, by each hash found
+ */
+export function findIntactRevisions(pdfBytes, hashes) {
+  const wanted = new Set(hashes);
+  const found = new Map();
+  const hash = crypto.createHash('sha256');
+  let hashed = 0;
+  let markers = 0;
+
+  let position = pdfBytes.indexOf(EOF_MARKER);
+  while (position !== -1 && markers < MAX_EOF_MARKERS && found.size < wanted.size) {
+    markers++;
+    const end = position + EOF_MARKER.length;
+    // The marker may be followed by CR, LF or CRLF
+    for (const length of [end, end + 1, end + 2]) {
+      if (length > pdfBytes.length) break;
+      hash.update(pdfBytes.subarray(hashed, length));
+      hashed = length;
+      const digest = hash.copy().digest('hex');
+      if (wanted.has(digest) && !found.has(digest)) found.set(digest, length);
+    }
+    position = pdfBytes.indexOf(EOF_MARKER, end);
+  }
+  return found;
+}
+
+/**
+ * Bytes of a stream with its filters undone (raw bytes if a filter is not supported)
+ *
+ * @param {PDFStream} stream - Stream object
+ * @returns {Uint8Array} - Contents
+ */
+function streamContents(stream) {
+  if (stream instanceof PDFRawStream) {
+    try {
+      return decodePDFRawStream(stream).decode();
+    } catch {
+      return stream.getContents();
+    }
+  }
+  return stream.getContents();
+}
+
+/**
+ * Text of a PDF object for comparison (strings decoded, everything else as written)
+ *
+ * @param {PDFObject} value - PDF object
+ * @returns {string} - Text value
+ */
+function objectText(value) {
+  return typeof value?.decodeText === 'function' ? value.decodeText() : String(value);
+}
+
+/**
+ * Count JavaScript actions reachable from an object without following references
+ * Every indirect object is visited by analyzePdfStructure(), so nothing is missed or counted twice.
+ *
+ * @param {PDFObject} object - Dictionary, array or stream
+ * @returns {number} - Actions found
+ */
+function countJavaScript(object) {
+  const dict = object instanceof PDFStream ? object.dict : object;
+
+  if (dict instanceof PDFDict) {
+    let count = dict.get(PDFName.of('S')) === PDFName.of('JavaScript') || dict.has(PDFName.of('JS')) ? 1 : 0;
+    for (const [, value] of dict.entries()) {
+      count += countJavaScript(value);
+    }
+    return count;
+  }
+  if (dict instanceof PDFArray) {
+    return dict.asArray().reduce((count, value) => count + countJavaScript(value), 0);
+  }
+  return 0;
+}
+
+/**
+ * Fingerprint one page: what it draws and which annotations sit on it
+ *
+ * @param {PDFPage} page - pdf-lib page
+ * @returns {Object} - { contentHash, xObjectHash, annotations }
+ */
+function analyzePage(page) {
+  const { context } = page.doc;
+
+  const contentHash = crypto.createHash('sha256');
+  const contents = page.node.Contents();
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map(ref => context.lookup(ref))
+    : [contents];
+  for (const stream of streams) {
+    if (stream instanceof PDFStream) contentHash.update(streamContents(stream));
+  }
+
+  // Swapping an image or form XObject changes the page without touching its content stream
+  const xObjectHash = crypto.createHash('sha256');
+  const xObjects = page.node.Resources()?.lookup(PDFName.of('XObject'));
+  if (xObjects instanceof PDFDict) {
+    const entries = xObjects.entries()
+      .map(([name, ref]) => [name.asString(), context.lookup(ref)])
+      .sort(([a], [b]) => a.localeCompare(b));
+    for (const [name, xObject] of entries) {
+      xObjectHash.update(name);
+      if (xObject instanceof PDFStream) xObjectHash.update(xObject.getContents());
+    }
+  }
+
+  const annotations = (page.node.Annots()?.asArray() || [])
+    .map(ref => context.lookup(ref))
+    .filter(annotation => annotation instanceof PDFDict)
+    .map(annotation => ({
+      subtype: annotation.lookup(PDFName.of('Subtype'))?.asString().slice(1) || 'Unknown',
+      rect: (annotation.lookup(PDFName.of('Rect'))?.asArray() || [])
+        .map(value => context.lookup(value))
+        .map(value => (value instanceof PDFNumber ? round(value.asNumber()) : 0))
+    }));
+
+  return {
+    contentHash: contentHash.digest('hex'),
+    xObjectHash: xObjectHash.digest('hex'),
+    annotations
+  };
+}
+
+/**
+ * Parse a PDF into the structure tamper reports compare
+ *
+ * STRUCTURE:
+ * - File size and revision count (incremental updates)
+ * - Page count; per page a hash of the content streams and XObjects, and its annotations
+ * - JavaScript actions anywhere in the file
+ * - Info dictionary entries and a hash of the XMP metadata stream
+ *
+ * @param {Uint8Array|Buffer} pdfBytes - PDF file
+ * @returns {Promise<Object>} - Structure (see PdfStructureSchema in models/Document.js)
+ * @throws {Error} - If the file cannot be parsed as a PDF
+ */
+export async function analyzePdfStructure(pdfBytes) {
+  const buffer = Buffer.from(pdfBytes);
+  const pdfDoc = await PDFDocument.load(buffer, {
+    ignoreEncryption: true,
+    updateMetadata: false,
+    throwOnInvalidObject: false
+  });
+  const { context } = pdfDoc;
+
+  let javaScriptActions = 0;
+  for (const [, object] of context.enumerateIndirectObjects()) {
+    javaScriptActions += countJavaScript(object);
+  }
+
+  const infoDict = context.lookup(context.trailerInfo.Info);
+  const info = infoDict instanceof PDFDict
+    ? infoDict.entries()
+      .map(([key, value]) => ({ key: key.asString().slice(1), value: objectText(context.lookup(value)) }))
+      .sort((a, b) => a.key.localeCompare(b.key))
+    : [];
+
+  const xmp = pdfDoc.catalog.lookup(PDFName.of('Metadata'));
+
+  return {
+    fileSize: buffer.length,
+    revisions: countRevisions(buffer),
+    pageCount: pdfDoc.getPageCount(),
+    pages: pdfDoc.getPages().map(analyzePage),
+    javaScriptActions,
+    metadata: {
+      info,
+      xmpHash: xmp instanceof PDFStream ? calculateHash(streamContents(xmp)) : null
+    }
+  };
+}
+
+/**
+ * List how a file's structure differs from a baseline
+ *
+ * @param {Object} expected - Baseline structure
+ * @param {Object} actual - Structure of the file under test
+ * @returns {Array<Object>} - Findings ({ type, message, ... })
+ */
+function compareStructures(expected, actual) {
+  const findings = [];
+
+  if (actual.revisions > expected.revisions) {
+    findings.push({
+      type: 'incremental_update',
+      expected: expected.revisions,
+      actual: actual.revisions,
+      message: `${actual.revisions - expected.revisions} incremental update(s) appended`
+    });
+  }
+
+  if (actual.pageCount !== expected.pageCount) {
+    findings.push({
+      type: 'page_count_changed',
+      expected: expected.pageCount,
+      actual: actual.pageCount,
+      message: `Page count changed from ${expected.pageCount} to ${actual.pageCount}`
+    });
+  }
+
+  const sharedPages = Math.min(expected.pages.length, actual.pages.length);
+  for (let page = 0; page < sharedPages; page++) {
+    const before = expected.pages[page];
+    const after = actual.pages[page];
+
+    const parts = [
+      before.contentHash !== after.contentHash && 'content',
+      before.xObjectHash !== after.xObjectHash && 'xobjects'
+    ].filter(Boolean);
+    if (parts.length > 0) {
+      findings.push({
+        type: 'page_content_modified',
+        page,
+        parts,
+        message: `Page ${page + 1}: ${parts.includes('content') ? 'content stream' : 'images or form XObjects'} modified`
+      });
+    }
+
+    // Annotations are matched by subtype and position; whatever is left over was added or removed
+    const annotationKey = (annotation) => `${annotation.subtype}@${annotation.rect.join(',')}`;
+    const remaining = before.annotations.map(annotationKey);
+    for (const annotation of after.annotations) {
+      const index = remaining.indexOf(annotationKey(annotation));
+      if (index !== -1) {
+        remaining.splice(index, 1);
+        continue;
+      }
+      findings.push({
+        type: 'annotation_added',
+        page,
+        subtype: annotation.subtype,
+        rect: annotation.rect,
+        message: `Page ${page + 1}: ${annotation.subtype} annotation added`
+      });
+    }
+    for (const key of remaining) {
+      const subtype = key.split('@')[0];
+      findings.push({
+        type: 'annotation_removed',
+        page,
+        subtype,
+        message: `Page ${page + 1}: ${subtype} annotation removed`
+      });
+    }
+  }
+
+  if (actual.javaScriptActions > expected.javaScriptActions) {
+    findings.push({
+      type: 'javascript_added',
+      expected: expected.javaScriptActions,
+      actual: actual.javaScriptActions,
+      message: `${actual.javaScriptActions - expected.javaScriptActions} JavaScript action(s) added`
+    });
+  }
+
+  const expectedInfo = new Map(expected.metadata.info.map(entry => [entry.key, entry.value]));
+  const actualInfo = new Map(actual.metadata.info.map(entry => [entry.key, entry.value]));
+  for (const key of new Set([...expectedInfo.keys(), ...actualInfo.keys()])) {
+    if (expectedInfo.get(key) !== actualInfo.get(key)) {
+      findings.push({
+        type: 'metadata_changed',
+        key,
+        expected: expectedInfo.get(key) ?? null,
+        actual: actualInfo.get(key) ?? null,
+        message: `Metadata ${key} ${!expectedInfo.has(key) ? 'added' : !actualInfo.has(key) ? 'removed' : 'changed'}`
+      });
+    }
+  }
+  if (expected.metadata.xmpHash !== actual.metadata.xmpHash) {
+    findings.push({
+      type: 'metadata_changed',
+      key: 'XMP',
+      message: 'XMP metadata stream changed'
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * Explain why a PDF no longer matches its recorded hash
+ *
+ * BASELINE (first that applies):
+ * - 'recorded': the structure saved with the version when it was signed
+ * - 'intact_revision': the signed file found byte for byte inside the new one
+ * - none: only what is suspicious on its own (incremental updates, JavaScript) is reported
+ *
+ * With several candidate baselines (e.g. every version of a document), the one whose file
+ * survives inside the PDF wins, otherwise the last. Only the last MAX_REFERENCES are searched.
+ *
+ * @param {Uint8Array|Buffer} pdfBytes - File under test
+ * @param {Array<Object>} references - [{ number, hash, structure }] (number: version, or null for the original)
+ * @returns {Promise<Object>} - { baseline, reference, intactLength, appendedBytes, findings, structure }
+ */
+export async function buildTamperReport(pdfBytes, references) {
+  const buffer = Buffer.from(pdfBytes);
+
+  const candidates = references.slice(-MAX_REFERENCES);
+  const intact = findIntactRevisions(buffer, candidates.map(candidate => candidate.hash));
+  const survivor = candidates.find(candidate => intact.has(candidate.hash));
+  const reference = survivor || references.at(-1) || null;
+  const intactLength = survivor ? intact.get(survivor.hash) : null;
+
+  const findings = [];
+  const appendedBytes = intactLength !== null ? buffer.length - intactLength : null;
+  if (appendedBytes) {
+    findings.push({
+      type: 'incremental_update',
+      appendedBytes,
+      message: `${appendedBytes} bytes appended after the signed file, which is otherwise intact`
+    });
+  }
+
+  let structure;
+  try {
+    structure = await analyzePdfStructure(buffer);
+  } catch (error) {
+    findings.push({ type: 'unreadable', message: `File can no longer be parsed as a PDF: ${error.message}` });
+    return { baseline: null, reference: reference?.number ?? null, intactLength, appendedBytes, findings, structure: null };
+  }
+
+  let baseline = null;
+  let expected = null;
+  if (reference?.structure) {
+    baseline = 'recorded';
+    expected = reference.structure;
+  } else if (intactLength !== null) {
+    baseline = 'intact_revision';
+    expected = await analyzePdfStructure(buffer.subarray(0, intactLength));
+  }
+
+  if (expected) {
+    // The appended bytes are already reported with their size
+    findings.push(...compareStructures(expected, structure)
+      .filter(finding => !(appendedBytes && finding.type === 'incremental_update')));
+  } else {
+    if (structure.revisions > 1) {
+      findings.push({
+        type: 'incremental_update',
+        actual: structure.revisions,
+        message: `File has ${structure.revisions} revisions (${structure.revisions - 1} incremental update(s))`
+      });
+    }
+    if (structure.javaScriptActions > 0) {
+      findings.push({
+        type: 'javascript_present',
+        actual: structure.javaScriptActions,
+        message: `File contains ${structure.javaScriptActions} JavaScript action(s)`
+      });
+    }
+  }
+
+  return {
+    baseline,
+    reference: reference?.number ?? null,
+    intactLength,
+    appendedBytes,
+    findings,
+    structure
+  };
+}
@@ -0,0 +1,308 @@
+import {
+  degrees,
+  rotateRectangle,
+  pushGraphicsState,
+  popGraphicsState,
+  rectangle,
+  clip,
+  endPath
+} from 'pdf-lib';
+import bidiFactory from 'bidi-js';
+import { toPagePoint } from './pdfUtils.js';
+import { parseColor, MIN_FONT_SIZE } from './fontUtils.js';
+
+// Gap between the field border and its text, in points
+const TEXT_PADDING = 4;
+
+// Baseline-to-baseline distance, as a multiple of the font size
+const LINE_HEIGHT = 1.2;
+
+// Auto-fit never grows text beyond this, however tall the field
+const MAX_AUTO_FONT_SIZE = 72;
+
+// Scripts fontkit lays out right-to-left itself: it reverses their glyphs after shaping
+const RTL_SCRIPT = /[\p{Script=Arabic}\p{Script=Hebrew}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}\p{Script=Samaritan}\p{Script=Mandaic}\p{Script=Adlam}]/u;
+
+// fontkit picks a run's script from its first character that has one
+const SCRIPT_CHARACTER = /[^\p{Script=Common}\p{Script=Inherited}\p{Script=Unknown}]/u;
+
+const bidi = bidiFactory();
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+/*
+ * Text below is { text, fonts }: a string with the embedded font of each UTF-16 code unit,
+ * as createFontLoader().assign() returns it.
+ */
+
+function sliceText({ text, fonts }, start, end = text.length) {
+  return { text: text.slice(start, end), fonts: fonts.slice(start, end) };
+}
+
+function concatText(first, second) {
+  return { text: first.text + second.text, fonts: [...first.fonts, ...second.fonts] };
+}
+
+/**
+ * Width of a line of text, font run by font run
+ *
+ * @param {Object} line - { text, fonts }
+ * @param {number} size - Font size
+ * @returns {number} - Width in points
+ */
+export function measureText(line, size) {
+  let width = 0;
+  let start = 0;
+  for (let i = 1; i <= line.text.length; i++) {
+    if (i === line.text.length || line.fonts[i] !== line.fonts[start]) {
+      width += line.fonts[start].widthOfTextAtSize(line.text.slice(start, i), size);
+      start = i;
+    }
+  }
+  return width;
+}
+
+/**
+ * Shorten a line so it fits a width, ending it with an ellipsis when cut
+ * Line breaks in the value (a label or name typed on two lines) become spaces.
+ *
+ * @param {Object} text - { text, fonts }
+ * @param {Object} ellipsis - { text, fonts } to end a shortened line with
+ * @param {number} size - Font size
+ * @param {number} maxWidth - Available width in points
+ * @returns {Object} - { text, fonts }
+ */
+export function fitText(text, ellipsis, size, maxWidth) {
+  const line = { text: text.text.replace(/\n/g, ' '), fonts: text.fonts };
+  if (measureText(line, size) <= maxWidth) return line;
+
+  const breaks = [...graphemes.segment(line.text)].map(({ index }) => index);
+  let kept = breaks.length - 1;
+  while (kept > 1 && measureText(concatText(sliceText(line, 0, breaks[kept]), ellipsis), size) > maxWidth) {
+    kept -= 1;
+  }
+  return concatText(sliceText(line, 0, breaks[kept]), ellipsis);
+}
+
+/**
+ * Break text into lines no wider than maxWidth
+ * Explicit line breaks are kept; words longer than a line are split between grapheme clusters.
+ *
+ * @param {Object} text - { text, fonts } to wrap
+ * @param {number} size - Font size
+ * @param {number} maxWidth - Available width in points
+ * @returns {Array<Object>} - Lines, each { text, fonts }
+ */
+export function wrapText(text, size, maxWidth) {
+  const fits = (value) => measureText(value, size) <= maxWidth;
+  const lines = [];
+
+  let start = 0;
+  for (const breakMatch of [...text.text.matchAll(/\n/g), null]) {
+    const end = breakMatch ? breakMatch.index : text.text.length;
+    const paragraph = sliceText(text, start, end);
+    if (breakMatch) start = end + breakMatch[0].length;
+
+    let line = null;
+    for (const wordMatch of paragraph.text.matchAll(/\S+/g)) {
+      const word = sliceText(paragraph, wordMatch.index, wordMatch.index + wordMatch[0].length);
+      const space = sliceText(paragraph, wordMatch.index - 1, wordMatch.index);
+      const candidate = line ? concatText(concatText(line, space), word) : word;
+      if (fits(candidate)) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+
+      // A word wider than the field is broken wherever it has to be
+      line = null;
+      for (const { index, segment } of graphemes.segment(word.text)) {
+        const cluster = sliceText(word, index, index + segment.length);
+        if (line && !fits(concatText(line, cluster))) {
+          lines.push(line);
+          line = null;
+        }
+        line = line ? concatText(line, cluster) : cluster;
+      }
+    }
+    lines.push(line || { text: '', fonts: [] });
+  }
+
+  return lines;
+}
+
+/**
+ * Pieces of a line in drawing order, each in one font and one direction
+ *
+ * BIDI RULES (Unicode bidirectional algorithm):
+ * - Embedding levels come from bidi-js; the line's first strong character sets its direction
+ * - Runs are reordered level by level (rule L2); right-to-left runs get mirrored brackets
+ * - fontkit shapes Arabic, Hebrew and the other right-to-left scripts and reverses them itself;
+ *   right-to-left runs of anything else (spaces, punctuation) are reversed here
+ *
+ * @param {Object} line - { text, fonts }
+ * @returns {Array<Object>} - { text, font } left to right
+ */
+export function getVisualRuns(line) {
+  const { levels } = bidi.getEmbeddingLevels(line.text);
+  const runs = [];
+
+  for (const { index, segment } of graphemes.segment(line.text)) {
+    const level = levels[index];
+    const font = line.fonts[index];
+    const last = runs[runs.length - 1];
+    if (last && last.level === level && last.font === font) {
+      last.text += segment;
+    } else {
+      runs.push({ text: segment, level, font });
+    }
+  }
+
+  const runLevels = runs.map(run => run.level);
+  const lowestOdd = Math.min(...runLevels.filter(level => level % 2 === 1));
+  for (let level = Math.max(0, ...runLevels); level >= lowestOdd; level--) {
+    for (let start = 0; start < runs.length; start++) {
+      if (runs[start].level < level) continue;
+      let end = start;
+      while (end < runs.length && runs[end].level >= level) end++;
+      runs.splice(start, end - start, ...runs.slice(start, end).reverse());
+      start = end;
+    }
+  }
+
+  return runs.map(({ text, level, font }) => {
+    if (level % 2 === 0) return { text, font };
+
+    const mirrored = [...text].map(character => bidi.getMirroredCharacter(character) || character).join('');
+    const fontkitReverses = RTL_SCRIPT.test(text.match(SCRIPT_CHARACTER)?.[0] ?? '');
+    return {
+      text: fontkitReverses
+        ? mirrored
+        : [...graphemes.segment(mirrored)].map(({ segment }) => segment).reverse().join(''),
+      font
+    };
+  });
+}
+
+/**
+ * Draw one line of text, run by run, from its left end
+ *
+ * @param {PDFPage} page - Page to draw on
+ * @param {Object} line - { text, fonts }
+ * @param {Object} options - { x, y, size, color, rotation } (rotation in degrees, as the line runs)
+ * @returns {void}
+ */
+export function drawTextLine(page, line, { x, y, size, color, rotation = 0 }) {
+  const angle = (rotation * Math.PI) / 180;
+  let advance = 0;
+
+  for (const run of getVisualRuns(line)) {
+    page.drawText(run.text, {
+      x: x + advance * Math.cos(angle),
+      y: y + advance * Math.sin(angle),
+      size,
+      font: run.font,
+      color,
+      rotate: degrees(rotation)
+    });
+    advance += run.font.widthOfTextAtSize(run.text, size);
+  }
+}
+
+/**
+ * Choose the font size and line breaks for a text value inside a field box
+ *
+ * LAYOUT RULES:
+ * - style.autoFit: the largest size (in half points) at which every line fits the box
+ * - otherwise style.fontSize, or the field type's default size
+ * - style.multiline wraps at the box width; single-line text keeps one line
+ *
+ * @param {Object} text - { text, fonts } to draw
+ * @param {Object|null} style - Field style
+ * @param {Object} box - { width, height, defaultSize } in points
+ * @returns {Object} - { size, lines }
+ */
+export function layoutText(text, style, { width, height, defaultSize }) {
+  const maxWidth = Math.max(width - TEXT_PADDING * 2, 1);
+  const singleLine = () => {
+    let line = { text: '', fonts: [] };
+    let start = 0;
+    for (const breakMatch of text.text.matchAll(/\s*\n\s*/g)) {
+      line = concatText(line, sliceText(text, start, breakMatch.index));
+      line = concatText(line, { text: ' ', fonts: [text.fonts[breakMatch.index]] });
+      start = breakMatch.index + breakMatch[0].length;
+    }
+    return [concatText(line, sliceText(text, start))];
+  };
+  const linesAt = (size) => (style?.multiline ? wrapText(text, size, maxWidth) : singleLine());
+
+  if (style?.autoFit) {
+    const largest = Math.floor(Math.min(height / LINE_HEIGHT, MAX_AUTO_FONT_SIZE) * 2) / 2;
+    for (let size = largest; size > MIN_FONT_SIZE; size -= 0.5) {
+      const lines = linesAt(size);
+      const fits = lines.length * size * LINE_HEIGHT <= height &&
+        lines.every(line => measureText(line, size) <= maxWidth);
+      if (fits) return { size, lines };
+    }
+    return { size: MIN_FONT_SIZE, lines: linesAt(MIN_FONT_SIZE) };
+  }
+
+  const size = style?.fontSize || defaultSize;
+  return { size, lines: linesAt(size) };
+}
+
+/**
+ * Draw a text value into a converted field box with its style
+ *
+ * DRAWING RULES:
+ * - Lines are centred vertically as a block; a block taller than the box starts at its top
+ * - Each line is aligned left, centre or right inside the padding
+ * - Anything still outside the box is clipped at the field border, as in the editor preview
+ *
+ * @param {PDFPage} page - Page to draw on
+ * @param {Object} text - { text, fonts } to draw (see createFontLoader().assign())
+ * @param {Object} coords - Result of convertCoordinates()
+ * @param {Object|null} style - Field style
+ * @param {number} defaultSize - Size used when the style sets none
+ * @returns {Object} - { size, lines } as drawn
+ */
+export function drawFieldText(page, text, coords, style, defaultSize) {
+  const layout = layoutText(text, style, { width: coords.width, height: coords.height, defaultSize });
+  const { size, lines } = layout;
+  const lineHeight = size * LINE_HEIGHT;
+  const blockHeight = lines.length * lineHeight;
+  const top = blockHeight > coords.height ? coords.height : (coords.height + blockHeight) / 2;
+  const color = parseColor(style?.color);
+
+  const clipBox = rotateRectangle(
+    { ...toPagePoint(coords, 0, 0), width: coords.width, height: coords.height },
+    0,
+    coords.rotation
+  );
+  page.pushOperators(
+    pushGraphicsState(),
+    rectangle(clipBox.x, clipBox.y, clipBox.width, clipBox.height),
+    clip(),
+    endPath()
+  );
+
+  lines.forEach((line, index) => {
+    const lineWidth = measureText(line, size);
+    const offsetX = style?.align === 'center'
+      ? (coords.width - lineWidth) / 2
+      : style?.align === 'right'
+        ? coords.width - TEXT_PADDING - lineWidth
+        : TEXT_PADDING;
+    // The baseline sits a quarter line above the bottom of its line box
+    const offsetY = top - lineHeight * (index + 1) + lineHeight / 4;
+
+    drawTextLine(page, line, {
+      ...toPagePoint(coords, offsetX, offsetY),
+      size,
+      color,
+      rotation: coords.rotation
+    });
+  });
+
+  page.pushOperators(popGraphicsState());
+  return layout;
+}
@@ -0,0 +1,58 @@
+import { calculateHash } from './hashUtils.js';
+import { getObject } from './storageUtils.js';
+import { buildTamperReport } from './tamperUtils.js';
+
+/**
+ * Re-hash a stored PDF and compare it with the hash recorded when it was written
+ * A mismatch comes with a tamper report saying what changed inside the file.
+ *
+ * @param {string} pdfKey - Storage object key
+ * @param {string} storedHash - Recorded SHA-256
+ * @param {Array<Object>} references - Tamper report baselines [{ number, hash, structure }] (default: the stored hash alone)
+ * @returns {Promise<Object>} - { storedHash, calculatedHash, verified, status, tamperReport }
+ */
+export async function verifyStoredPdf(pdfKey, storedHash, references = [{ number: null, hash: storedHash, structure: null }]) {
+  const pdfBytes = await getObject(pdfKey);
+  const calculatedHash = calculateHash(pdfBytes);
+  const verified = calculatedHash === storedHash;
+
+  return {
+    storedHash,
+    calculatedHash,
+    verified,
+    status: verified ? '✅ VERIFIED' : '❌ TAMPERED',
+    tamperReport: verified ? null : await buildTamperReport(pdfBytes, references)
+  };
+}
+
+/**
+ * Tamper report baseline for a signed version
+ *
+ * @param {Object} version - Version subdocument
+ * @returns {Object} - { number, hash, structure }
+ */
+export function versionReference(version) {
+  return { number: version.number, hash: version.signedPdfHash, structure: version.structure };
+}
+
+/**
+ * Shape a signed version for API responses
+ *
+ * @param {Object} version - Version subdocument
+ * @param {boolean} withFields - Include the field snapshot
+ * @returns {Object} - Version summary
+ */
+export function serializeVersion(version, withFields = false) {
+  return {
+    number: version.number,
+    signedPdfHash: version.signedPdfHash,
+    source: version.source,
+    signedBy: version.signedBy,
+    signerId: version.signerId,
+    digitallySigned: version.digitallySigned,
+    outputMode: version.outputMode,
+    createdAt: version.createdAt,
+    fieldCount: version.fields.length,
+    ...(withFields && { fields: version.fields })
+  };
+}
@@ -0,0 +1,332 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import mongoose from 'mongoose';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+
+export const WEBHOOK_EVENTS = [
+  'document.uploaded',
+  'document.viewed',
+  'document.signed',
+  'document.verification_failed',
+  'document.voided',
+  'document.expired'
+];
+
+// Failed deliveries are retried after 30s, 1m, 2m, 4m, ... until MAX_ATTEMPTS is reached
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000;
+
+// How often the dispatcher looks for due retries
+const POLL_INTERVAL_MS = 5 * 1000;
+
+// A delivery being attempted is held this long; if its process dies, it is retried afterwards
+const LEASE_MS = TIMEOUT_MS + 30 * 1000;
+
+// Receivers must be on the public internet: loopback, private, link-local (cloud metadata),
+// shared, multicast and reserved ranges are refused, IPv4-mapped IPv6 included
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['100::', 64], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+let dispatcherRunning = false;
+let pollTimer = null;
+let dispatching = null;
+
+/**
+ * New signing secret for a webhook
+ *
+ * @returns {string} - "whsec_<hex>"
+ */
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * HMAC-SHA256 over "<timestamp>.<body>", as sent in X-Webhook-Signature
+ * Receivers recompute it with their secret and reject stale timestamps.
+ *
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} - Hex signature
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Whether an IP address may receive webhooks
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - False for loopback, private, link-local and reserved addresses
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup() that refuses non-public addresses
+ * Used as the socket's lookup, so the address checked is the address connected to.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a non-public address (${blocked.address})`));
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Check that a webhook URL points at a public host
+ * Deliveries check the resolved address again, since DNS answers can change.
+ *
+ * @param {string} url - Absolute http(s) URL
+ * @returns {Promise<string|null>} - Error message, or null when allowed
+ */
+export async function checkWebhookHost(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+  if (net.isIP(hostname)) {
+    return isPublicAddress(hostname) ? null : 'url must not point at a private or local address';
+  }
+
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    return addresses.every(({ address }) => isPublicAddress(address))
+      ? null
+      : 'url must not point at a private or local address';
+  } catch {
+    return `Could not resolve ${hostname}`;
+  }
+}
+
+/**
+ * POST a JSON body and resolve with the response status
+ * The response body is never read, and redirects are not followed.
+ *
+ * @param {string} url - Webhook URL
+ * @param {Object} headers - Request headers
+ * @param {string} body - Raw JSON body
+ * @returns {Promise<number>} - HTTP status code
+ */
+function postWebhook(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const hostname = target.hostname.replace(/^\[|\]$/g, '');
+    // Literal IP hosts never reach the lookup
+    if (net.isIP(hostname) && !isPublicAddress(hostname)) {
+      return reject(new Error(`${hostname} is not a public address`));
+    }
+
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup
+    }, (response) => {
+      response.destroy();
+      resolve(response.statusCode);
+    });
+
+    const timer = setTimeout(() => {
+      request.destroy(new Error(`No response within ${TIMEOUT_MS} ms`));
+    }, TIMEOUT_MS);
+    request.on('close', () => clearTimeout(timer));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Queue an event for every webhook of the document's workspace that subscribes to it
+ * Never throws: a broken webhook setup must not fail the request that caused the event.
+ *
+ * @param {Document} document - Document the event is about
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event details (JSON-serializable)
+ * @param {Object} options - { minIntervalMs }: skip the event if the same one was queued
+ *   for this document that recently (for events anyone can trigger)
+ * @returns {Promise<number>} - Deliveries queued
+ */
+export async function emitWebhookEvent(document, event, data = {}, { minIntervalMs = 0 } = {}) {
+  try {
+    if (minIntervalMs > 0) {
+      const recent = await WebhookDelivery.exists({
+        documentId: document._id,
+        event,
+        replayOf: null,
+        createdAt: { $gte: new Date(Date.now() - minIntervalMs) }
+      });
+      if (recent) return 0;
+    }
+
+    // Organization documents notify the organization's webhooks, personal ones their owner's
+    const filter = document.organizationId
+      ? { organizationId: document.organizationId }
+      : { organizationId: null, ownerId: document.ownerId };
+    if (!filter.organizationId && !filter.ownerId) return 0;
+
+    const webhooks = (await Webhook.find({ ...filter, active: true }))
+      .filter(webhook => webhook.isSubscribedTo(event));
+    if (webhooks.length === 0) return 0;
+
+    const occurredAt = new Date().toISOString();
+    const deliveries = webhooks.map(webhook => {
+      const _id = new mongoose.Types.ObjectId();
+      return {
+        _id,
+        webhookId: webhook._id,
+        event,
+        documentId: document._id,
+        payload: JSON.stringify({
+          id: _id,
+          event,
+          occurredAt,
+          data: {
+            documentId: document._id,
+            organizationId: document.organizationId ?? null,
+            ...data
+          }
+        })
+      };
+    });
+
+    await WebhookDelivery.insertMany(deliveries);
+    console.log(`🪝 Webhook event ${event} queued for ${deliveries.length} endpoint(s)`);
+    kickDispatcher();
+    return deliveries.length;
+  } catch (error) {
+    console.error(`❌ Could not queue webhook event ${event} for ${document._id}:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Send a delivery again as a new log entry (same payload, new attempts)
+ *
+ * @param {WebhookDelivery} delivery - Delivery to replay
+ * @returns {Promise<WebhookDelivery>} - The new delivery
+ */
+export async function replayWebhookDelivery(delivery) {
+  const replay = await WebhookDelivery.create({
+    webhookId: delivery.webhookId,
+    event: delivery.event,
+    documentId: delivery.documentId,
+    payload: delivery.payload,
+    replayOf: delivery._id
+  });
+  kickDispatcher();
+  return replay;
+}
+
+/**
+ * POST a delivery once and record the outcome
+ *
+ * ATTEMPT RULES:
+ * - Any 2xx response succeeds; redirects are not followed
+ * - Only public addresses are connected to, and only the status code is kept
+ * - Otherwise the next try is scheduled with exponential backoff,
+ *   and the delivery fails for good after MAX_ATTEMPTS
+ *
+ * @param {WebhookDelivery} delivery - Leased delivery
+ * @param {Webhook|null} webhook - Its webhook (null if it was deleted)
+ * @returns {Promise<void>}
+ */
+async function attemptDelivery(delivery, webhook) {
+  const attempt = { attemptedAt: new Date() };
+  const started = Date.now();
+
+  if (!webhook?.active) {
+    attempt.error = webhook ? 'Webhook is disabled' : 'Webhook was deleted';
+  } else {
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      attempt.responseStatus = await postWebhook(webhook.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SignatureInjectionEngine-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Signature': `t=${timestamp},v1=${signWebhookPayload(webhook.secret, timestamp, delivery.payload)}`
+      }, delivery.payload);
+      if (attempt.responseStatus < 200 || attempt.responseStatus > 299) {
+        attempt.error = `HTTP ${attempt.responseStatus}`;
+      }
+    } catch (error) {
+      attempt.error = error.message;
+    }
+  }
+  attempt.durationMs = Date.now() - started;
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+  } else if (!webhook?.active || delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    console.warn(`⚠️  Webhook delivery ${delivery._id} failed: ${attempt.error}`);
+  } else {
+    const delaySeconds = RETRY_BASE_SECONDS * 2 ** (delivery.attempts.length - 1);
+    delivery.nextAttemptAt = new Date(Date.now() + delaySeconds * 1000);
+  }
+
+  await delivery.save();
+}
+
+/**
+ * Work through every delivery that is due, one at a time
+ * Deliveries are leased atomically, so several processes may dispatch side by side.
+ */
+async function dispatchDue() {
+  while (dispatcherRunning) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { nextAttemptAt: new Date(now.getTime() + LEASE_MS) },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+    if (!delivery) return;
+
+    const webhook = await Webhook.findById(delivery.webhookId);
+    await attemptDelivery(delivery, webhook);
+  }
+}
+
+function kickDispatcher() {
+  if (!dispatcherRunning || dispatching) return;
+  dispatching = dispatchDue()
+    .catch(error => console.error('❌ Webhook dispatcher error:', error.message))
+    .finally(() => { dispatching = null; });
+}
+
+/**
+ * Start sending queued webhook deliveries (requires a MongoDB connection)
+ * Deliveries queued by other processes, such as standalone job workers, are picked up too.
+ */
+export function startWebhookDispatcher() {
+  if (dispatcherRunning) return;
+  dispatcherRunning = true;
+
+  pollTimer = setInterval(kickDispatcher, POLL_INTERVAL_MS);
+  pollTimer.unref();
+  kickDispatcher();
+  console.log('🪝 Webhook dispatcher started');
+}
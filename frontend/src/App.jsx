@@ -1,16 +1,27 @@
-import React, { useState, useRef } from 'react';
-import { FileText, Download, Upload } from 'lucide-react';
+import React, { useState, useRef, useEffect } from 'react';
+import { FileText, Download, Upload, LogOut } from 'lucide-react';
 import axios from 'axios';
 import PDFViewer from './components/PDFViewer';
 import FieldToolbox from './components/FieldToolbox';
 import SignatureModal from './components/SignatureModal';
 import PDFUpload from './components/PDFUpload';
+import EnvelopePanel from './components/EnvelopePanel';
+import TemplatePanel from './components/TemplatePanel';
+import TemplatePicker from './components/TemplatePicker';
+import BatchPanel from './components/BatchPanel';
+import DiffViewer from './components/DiffViewer';
+import WorkspaceSwitcher from './components/WorkspaceSwitcher';
+import { getCurrentUser, clearSession } from './auth';
+import { loadFontFaces } from './fieldStyles';
 
 // Get API URL from environment variable
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
 
 console.log('🔗 API URL:', API_URL);
 
+// How often to ask the server about a queued signing job
+const JOB_POLL_INTERVAL_MS = 1500;
+
 const App = () => {
   const [fields, setFields] = useState([]);
   const [pdfData, setPdfData] = useState(null);
@@ -18,16 +29,70 @@ const App = () => {
   const [isProcessing, setIsProcessing] = useState(false);
   const [showSignatureModal, setShowSignatureModal] = useState(false);
   const [activeFieldId, setActiveFieldId] = useState(null);
+  const [signers, setSigners] = useState([]);
+  const [signingOrder, setSigningOrder] = useState('sequential');
+  const [signOptions, setSignOptions] = useState({
+    signerName: '',
+    digitalSignature: false,
+    auditCertificate: false,
+    outputMode: 'flatten',
+    runInBackground: false
+  });
+  const [jobProgress, setJobProgress] = useState(null);
+  const [fonts, setFonts] = useState([]);
+  const currentUser = getCurrentUser();
   const containerRef = useRef(null);
 
   // Handle PDF upload success
   const handleUploadSuccess = (data) => {
     setPdfData(data);
     setDocumentId(data.documentId);
-    setFields([]); // Clear existing fields when new PDF is uploaded
+    // Start from the PDF's own form fields or a template layout, if any
+    setFields((data.initialFields || []).map((field, index) => ({
+      ...field,
+      id: `field-${Date.now()}-${index}`
+    })));
+    setSigners([]);
     console.log('✅ PDF uploaded:', data);
   };
 
+  // Replace the layout with a template's fields
+  const applyTemplateFields = (templateFields) => {
+    setFields(templateFields.map((field, index) => ({
+      ...field,
+      id: `field-${Date.now()}-${index}`
+    })));
+  };
+
+  // Fonts uploaded to this workspace, for text and date field styles
+  useEffect(() => {
+    axios.get(`${API_URL}/api/fonts`)
+      .then((response) => loadFontFaces(response.data.fonts))
+      .then(setFonts)
+      .catch((error) => console.error('❌ Failed to load fonts:', error));
+  }, []);
+
+  // Upload a TTF/OTF font from a field's style editor
+  const handleUploadFont = async (file) => {
+    try {
+      const formData = new FormData();
+      formData.append('font', file);
+      const response = await axios.post(`${API_URL}/api/fonts`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        }
+      });
+      const [font] = await loadFontFaces([response.data.font]);
+      setFonts((current) => [...current, font]);
+      console.log('✅ Font uploaded:', font.name);
+      return font;
+    } catch (error) {
+      console.error('❌ Font upload error:', error);
+      alert(`❌ Font upload failed: ${error.response?.data?.error || error.message}`);
+      return null;
+    }
+  };
+
   // Add new field to PDF
   const addField = (field) => {
     setFields([...fields, field]);
@@ -64,6 +129,28 @@ const App = () => {
     setActiveFieldId(null);
   };
 
+  // Queue the signing job, wait for the worker, then fetch the signed PDF
+  const signInBackground = async (payload) => {
+    const { data } = await axios.post(`${API_URL}/api/sign-pdf`, { ...payload, async: true });
+    setJobProgress(0);
+
+    let job;
+    do {
+      await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+      job = (await axios.get(`${API_URL}${data.statusUrl}`)).data.job;
+      setJobProgress(job.progress);
+    } while (job.status === 'queued' || job.status === 'running');
+
+    if (job.status === 'failed') {
+      throw new Error(job.error || 'Signing job failed');
+    }
+
+    const response = await axios.get(`${API_URL}${job.downloadUrl}`, {
+      responseType: 'blob'
+    });
+    return response.data;
+  };
+
   // Generate and download signed PDF
   const handleGeneratePDF = async () => {
     // Validation
@@ -77,12 +164,22 @@ const App = () => {
       return;
     }
 
-    // Check for empty required fields
+    // Fillable output is meant to be completed later in a PDF reader
+    const missingRequired = fields.filter(f => f.required && !f.value);
+    if (missingRequired.length > 0 && signOptions.outputMode === 'flatten') {
+      alert(
+        `⚠️ Please fill all required field(s):\n\n` +
+        missingRequired.map(f => `- ${f.label || f.type} (page ${(f.page || 0) + 1})`).join('\n')
+      );
+      return;
+    }
+
+    // Check for empty optional fields
     const emptyFields = fields.filter(f => !f.value && f.type !== 'radio');
-    if (emptyFields.length > 0) {
+    if (emptyFields.length > 0 && signOptions.outputMode === 'flatten') {
       const proceed = window.confirm(
         `⚠️ You have ${emptyFields.length} empty field(s):\n\n` +
-        emptyFields.map(f => `- ${f.type} field`).join('\n') +
+        emptyFields.map(f => `- ${f.type} field (page ${(f.page || 0) + 1})`).join('\n') +
         '\n\nDo you want to continue anyway?'
       );
       if (!proceed) return;
@@ -96,27 +193,42 @@ const App = () => {
         documentId: documentId,
         fields: fields.map(f => ({
           type: f.type,
+          page: f.page || 0,
           x: f.x,
           y: f.y,
           width: f.width,
           height: f.height,
           value: f.value,
-          options: f.options
-        }))
+          options: f.options,
+          label: f.label,
+          required: f.required,
+          style: f.style,
+          formFieldName: f.formFieldName
+        })),
+        signer: signOptions.signerName ? { name: signOptions.signerName } : undefined,
+        digitalSignature: signOptions.digitalSignature,
+        auditCertificate: signOptions.auditCertificate,
+        outputMode: signOptions.outputMode
       };
 
       console.log('📤 Sending to backend:', payload);
       console.log('🔗 API Endpoint:', `${API_URL}/api/sign-pdf`);
 
       // Call backend API
-      const response = await axios.post(`${API_URL}/api/sign-pdf`, payload, {
-        responseType: 'blob' // Important for file download
-      });
+      let pdfBytes;
+      if (signOptions.runInBackground) {
+        pdfBytes = await signInBackground(payload);
+      } else {
+        const response = await axios.post(`${API_URL}/api/sign-pdf`, payload, {
+          responseType: 'blob' // Important for file download
+        });
+        pdfBytes = response.data;
+      }
 
       console.log('✅ Response received');
 
       // Create download link
-      const blob = new Blob([response.data], { type: 'application/pdf' });
+      const blob = new Blob([pdfBytes], { type: 'application/pdf' });
       const downloadUrl = window.URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = downloadUrl;
@@ -160,6 +272,7 @@ const App = () => {
       alert(`❌ Error: ${errorMessage}`);
     } finally {
       setIsProcessing(false);
+      setJobProgress(null);
     }
   };
 
@@ -175,6 +288,12 @@ const App = () => {
     setPdfData(null);
     setDocumentId(null);
     setFields([]);
+    setSigners([]);
+  };
+
+  const handleLogout = () => {
+    clearSession();
+    window.location.reload();
   };
 
   return (
@@ -193,18 +312,35 @@ const App = () => {
               <p className="text-gray-600">
                 Upload PDF → Drag fields → Edit → Sign → Download signed PDF
               </p>
+              <a href="/verify" className="text-sm text-blue-600 hover:underline">
+                Verify a signed PDF →
+              </a>
             </div>
 
-            {/* Upload New PDF Button (when PDF is already uploaded) */}
-            {pdfData && (
-              <button
-                onClick={handleUploadNew}
-                className="bg-gray-500 hover:bg-gray-600 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition-colors"
-              >
-                <Upload size={20} />
-                Upload New PDF
-              </button>
-            )}
+            <div className="flex items-center gap-3">
+              {/* Upload New PDF Button (when PDF is already uploaded) */}
+              {pdfData && (
+                <button
+                  onClick={handleUploadNew}
+                  className="bg-gray-500 hover:bg-gray-600 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition-colors"
+                >
+                  <Upload size={20} />
+                  Upload New PDF
+                </button>
+              )}
+
+              <div className="text-right">
+                <WorkspaceSwitcher />
+                <p className="text-sm text-gray-700">{currentUser?.name || currentUser?.email}</p>
+                <button
+                  onClick={handleLogout}
+                  className="text-xs text-gray-500 hover:text-gray-700 flex items-center gap-1 ml-auto"
+                >
+                  <LogOut size={12} />
+                  Log out
+                </button>
+              </div>
+            </div>
           </div>
 
           {/* Current PDF Info */}
@@ -234,7 +370,10 @@ const App = () => {
 
         {/* PDF Upload Area */}
         {!pdfData && (
-          <PDFUpload onUploadSuccess={handleUploadSuccess} />
+          <>
+            <PDFUpload onUploadSuccess={handleUploadSuccess} />
+            <TemplatePicker onStart={handleUploadSuccess} />
+          </>
         )}
 
         {/* Main Content - Only show if PDF is uploaded */}
@@ -246,7 +385,41 @@ const App = () => {
                 fields={fields}
                 onGeneratePDF={handleGeneratePDF}
                 isProcessing={isProcessing}
+                signOptions={signOptions}
+                onSignOptionsChange={setSignOptions}
+                jobProgress={jobProgress}
               />
+              <div className="mt-4">
+                <EnvelopePanel
+                  documentId={documentId}
+                  fields={fields}
+                  signers={signers}
+                  onSignersChange={setSigners}
+                  signingOrder={signingOrder}
+                  onSigningOrderChange={setSigningOrder}
+                />
+              </div>
+              <div className="mt-4">
+                <TemplatePanel
+                  documentId={documentId}
+                  pdfHash={pdfData.hash}
+                  fields={fields}
+                  onApply={applyTemplateFields}
+                />
+              </div>
+              <div className="mt-4">
+                <BatchPanel
+                  documentId={documentId}
+                  fields={fields}
+                  signOptions={signOptions}
+                />
+              </div>
+              <div className="mt-4">
+                <DiffViewer
+                  documentId={documentId}
+                  pageCount={pdfData.pageCount}
+                />
+              </div>
             </div>
 
             {/* PDF Viewer */}
@@ -259,6 +432,9 @@ const App = () => {
                 onDeleteField={deleteField}
                 onFieldClick={handleFieldClick}
                 containerRef={containerRef}
+                signerRoles={signers.map(s => s.role)}
+                fonts={fonts}
+                onUploadFont={handleUploadFont}
               />
             </div>
           </div>
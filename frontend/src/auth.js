@@ -0,0 +1,62 @@
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Session from /api/auth/login or /api/auth/register, kept across reloads
+const TOKEN_KEY = 'sie.authToken';
+const USER_KEY = 'sie.user';
+// Organization workspace picked in the header; none means the personal workspace
+const ORGANIZATION_KEY = 'sie.organizationId';
+
+export const getAuthToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const getCurrentUser = () => JSON.parse(localStorage.getItem(USER_KEY) || 'null');
+
+export const getActiveOrganizationId = () => localStorage.getItem(ORGANIZATION_KEY);
+
+export const setActiveOrganizationId = (organizationId) => {
+  if (organizationId) localStorage.setItem(ORGANIZATION_KEY, organizationId);
+  else localStorage.removeItem(ORGANIZATION_KEY);
+};
+
+export const saveSession = ({ token, user }) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(USER_KEY, JSON.stringify(user));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+  localStorage.removeItem(ORGANIZATION_KEY);
+};
+
+/**
+ * Send the bearer token and active workspace with every axios call to our API
+ * (never to storage links), and drop the session when the API no longer accepts it,
+ * or just the workspace when the user is no longer a member of its organization.
+ */
+export const installAuthInterceptors = (onSessionChanged) => {
+  axios.interceptors.request.use((config) => {
+    const token = getAuthToken();
+    if (token && config.url?.startsWith(API_URL)) {
+      config.headers.Authorization = `Bearer ${token}`;
+      const organizationId = getActiveOrganizationId();
+      if (organizationId) config.headers['X-Organization-Id'] = organizationId;
+    }
+    return config;
+  });
+
+  axios.interceptors.response.use(
+    (response) => response,
+    (error) => {
+      if (error.response?.status === 401 && getAuthToken()) {
+        clearSession();
+        onSessionChanged();
+      } else if (error.response?.data?.code === 'not_organization_member' && getActiveOrganizationId()) {
+        setActiveOrganizationId(null);
+        onSessionChanged();
+      }
+      return Promise.reject(error);
+    }
+  );
+};
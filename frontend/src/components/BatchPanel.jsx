@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react';
+import { Layers, Play, Download } from 'lucide-react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// How often to ask the server for batch progress
+const POLL_INTERVAL_MS = 1500;
+
+/**
+ * Bulk send: fill the current layout once per CSV/JSON row.
+ * Columns are matched to field labels (or field1, field2, ... for unlabeled fields);
+ * values already placed in the editor are shared by every row.
+ */
+const BatchPanel = ({ documentId, fields, signOptions }) => {
+  const [dataFile, setDataFile] = useState(null);
+  const [batch, setBatch] = useState(null);
+  const [isStarting, setIsStarting] = useState(false);
+
+  const isRunning = batch && (batch.status === 'pending' || batch.status === 'processing');
+
+  useEffect(() => {
+    if (!isRunning) return;
+
+    const timer = setInterval(async () => {
+      try {
+        const response = await axios.get(`${API_URL}/api/batches/${batch.id}`);
+        setBatch(response.data.batch);
+      } catch (error) {
+        console.error('❌ Failed to load batch progress:', error);
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+  }, [isRunning, batch?.id]);
+
+  const handleStart = async () => {
+    if (!dataFile) {
+      alert('⚠️ Choose a CSV or JSON file first');
+      return;
+    }
+
+    setIsStarting(true);
+    try {
+      const formData = new FormData();
+      formData.append('data', dataFile);
+      formData.append('documentId', documentId);
+      formData.append('fields', JSON.stringify(fields.map(f => ({
+        type: f.type,
+        page: f.page || 0,
+        x: f.x,
+        y: f.y,
+        width: f.width,
+        height: f.height,
+        value: f.value,
+        options: f.options,
+        label: f.label,
+        required: f.required,
+        style: f.style,
+        formFieldName: f.formFieldName
+      }))));
+      formData.append('outputMode', signOptions.outputMode);
+      formData.append('auditCertificate', JSON.stringify(signOptions.auditCertificate));
+      formData.append('digitalSignature', JSON.stringify(signOptions.digitalSignature));
+      if (signOptions.signerName) formData.append('signerName', signOptions.signerName);
+
+      const response = await axios.post(`${API_URL}/api/batches`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        }
+      });
+      setBatch(response.data.batch);
+    } catch (error) {
+      const data = error.response?.data;
+      const hint = data?.fieldKeys ? `\n\nField keys: ${data.fieldKeys.join(', ')}\nColumns: ${data.columns.join(', ')}` : '';
+      alert(`❌ Failed to start batch: ${data?.error || error.message}${hint}`);
+    } finally {
+      setIsStarting(false);
+    }
+  };
+
+  // Fetched through axios so the request carries the session token
+  const handleDownload = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/batches/${batch.id}/download`, {
+        responseType: 'blob'
+      });
+      const downloadUrl = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = downloadUrl;
+      link.download = `batch-${batch.id}.zip`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(downloadUrl);
+    } catch (error) {
+      alert(`❌ Download failed: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4">
+      <h2 className="text-xl font-bold mb-2 flex items-center gap-2">
+        <Layers size={20} className="text-orange-600" />
+        Bulk Send
+      </h2>
+      <p className="text-sm text-gray-600 mb-3">
+        One signed copy per row; name columns after field labels
+      </p>
+
+      <input
+        type="file"
+        accept=".csv,.json"
+        onChange={(e) => setDataFile(e.target.files?.[0] || null)}
+        className="w-full text-xs mb-2"
+      />
+
+      <button
+        onClick={handleStart}
+        disabled={!dataFile || fields.length === 0 || isStarting || isRunning}
+        className="w-full bg-orange-500 text-white py-2 rounded-lg hover:bg-orange-600 disabled:bg-gray-300 disabled:cursor-not-allowed flex items-center justify-center gap-2 font-semibold transition-colors"
+      >
+        <Play size={16} />
+        {isStarting ? 'Starting...' : 'Generate Copies'}
+      </button>
+
+      {batch && (
+        <div className="mt-4 pt-4 border-t border-gray-200 text-sm">
+          <div className="flex items-center justify-between mb-1">
+            <span className="capitalize font-semibold text-gray-700">{batch.status}</span>
+            <span className="text-xs text-gray-500">{batch.processed}/{batch.total}</span>
+          </div>
+          <div className="w-full h-2 bg-gray-200 rounded overflow-hidden mb-2">
+            <div className="h-full bg-orange-500 transition-all" style={{ width: `${batch.progress}%` }} />
+          </div>
+          <p className="text-xs text-gray-600">
+            ✅ {batch.succeeded} signed · ❌ {batch.failed} failed
+          </p>
+          {batch.error && <p className="text-xs text-red-600 mt-1">{batch.error}</p>}
+
+          {!isRunning && batch.succeeded > 0 && (
+            <button
+              onClick={handleDownload}
+              className="mt-2 w-full bg-gray-700 hover:bg-gray-800 text-white py-2 rounded-lg flex items-center justify-center gap-2 text-sm font-semibold"
+            >
+              <Download size={14} />
+              Download ZIP
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BatchPanel;
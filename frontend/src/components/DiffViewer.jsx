@@ -0,0 +1,239 @@
+import React, { useState } from 'react';
+import { FileDiff, X, AlertTriangle, CheckCircle } from 'lucide-react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const VIEW_MODES = [
+  { id: 'overlay', label: 'Overlay' },
+  { id: 'diff', label: 'Diff' },
+  { id: 'original', label: 'Original' },
+  { id: 'signed', label: 'Signed' }
+];
+
+/**
+ * Compare a page of the original PDF with a signed version.
+ * The server rasterizes both; changes outside the declared field boxes are flagged as suspicious.
+ */
+const DiffViewer = ({ documentId, pageCount = 1 }) => {
+  const [versions, setVersions] = useState(null);
+  const [versionNumber, setVersionNumber] = useState(null);
+  const [page, setPage] = useState(0);
+  const [diff, setDiff] = useState(null);
+  const [mode, setMode] = useState('overlay');
+  const [opacity, setOpacity] = useState(0.6);
+  const [highlighted, setHighlighted] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const loadVersions = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/document/${documentId}/versions`);
+      setVersions(response.data.versions);
+      if (response.data.versions.length > 0) {
+        setVersionNumber(response.data.versions[response.data.versions.length - 1].number);
+      }
+    } catch (error) {
+      alert(`❌ Failed to load versions: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const compare = async () => {
+    setIsLoading(true);
+    try {
+      const response = await axios.get(`${API_URL}/api/document/${documentId}/versions/${versionNumber}/diff`, {
+        params: { page }
+      });
+      setDiff(response.data);
+      setHighlighted(null);
+    } catch (error) {
+      alert(`❌ Diff failed: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const suspiciousCount = diff?.regions.filter(region => region.suspicious).length || 0;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4">
+      <h2 className="text-xl font-bold mb-2 flex items-center gap-2">
+        <FileDiff size={20} className="text-teal-600" />
+        Changes
+      </h2>
+      <p className="text-sm text-gray-600 mb-3">
+        See exactly what signing added to a page
+      </p>
+
+      {!versions ? (
+        <button
+          onClick={loadVersions}
+          className="w-full bg-teal-500 text-white py-2 rounded-lg hover:bg-teal-600 font-semibold transition-colors"
+        >
+          Load signed versions
+        </button>
+      ) : versions.length === 0 ? (
+        <p className="text-sm text-gray-500">Not signed yet</p>
+      ) : (
+        <div className="space-y-2 text-sm">
+          <label className="flex items-center justify-between text-gray-700">
+            Version
+            <select
+              value={versionNumber}
+              onChange={(e) => setVersionNumber(Number(e.target.value))}
+              className="border border-gray-300 rounded px-1 py-0.5"
+            >
+              {versions.map(version => (
+                <option key={version.number} value={version.number}>
+                  {version.number} · {version.signedBy || version.source}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center justify-between text-gray-700">
+            Page
+            <select
+              value={page}
+              onChange={(e) => setPage(Number(e.target.value))}
+              className="border border-gray-300 rounded px-1 py-0.5"
+            >
+              {Array.from({ length: pageCount }, (_, index) => (
+                <option key={index} value={index}>{index + 1}</option>
+              ))}
+            </select>
+          </label>
+          <button
+            onClick={compare}
+            disabled={isLoading}
+            className="w-full bg-teal-500 text-white py-2 rounded-lg hover:bg-teal-600 disabled:bg-gray-300 font-semibold transition-colors"
+          >
+            {isLoading ? 'Comparing...' : 'Compare with original'}
+          </button>
+        </div>
+      )}
+
+      {diff && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-6xl max-h-full overflow-hidden flex flex-col">
+            <div className="flex items-center justify-between p-4 border-b border-gray-200">
+              <div>
+                <h3 className="text-lg font-bold">
+                  Version {diff.version}, page {diff.page + 1}
+                </h3>
+                <p className={`text-sm flex items-center gap-1 ${diff.suspicious ? 'text-red-700' : 'text-green-700'}`}>
+                  {diff.suspicious ? <AlertTriangle size={14} /> : <CheckCircle size={14} />}
+                  {diff.suspicious
+                    ? `${suspiciousCount} change(s) outside the declared fields`
+                    : 'All changes are inside the declared fields'}
+                </p>
+              </div>
+              <div className="flex items-center gap-3">
+                <div className="flex rounded border border-gray-300 overflow-hidden text-sm">
+                  {VIEW_MODES.map(viewMode => (
+                    <button
+                      key={viewMode.id}
+                      onClick={() => setMode(viewMode.id)}
+                      className={`px-3 py-1 ${mode === viewMode.id ? 'bg-teal-500 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+                    >
+                      {viewMode.label}
+                    </button>
+                  ))}
+                </div>
+                {mode === 'overlay' && (
+                  <input
+                    type="range"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={opacity}
+                    onChange={(e) => setOpacity(Number(e.target.value))}
+                    title="Diff opacity"
+                  />
+                )}
+                <button onClick={() => setDiff(null)} className="text-gray-500 hover:text-gray-700">
+                  <X size={20} />
+                </button>
+              </div>
+            </div>
+
+            <div className="flex flex-1 overflow-hidden">
+              <div className="flex-1 overflow-auto bg-gray-100 p-4">
+                <div className="relative mx-auto shadow" style={{ width: diff.width / diff.scale, maxWidth: '100%' }}>
+                  <img
+                    src={mode === 'original' ? diff.images.original : mode === 'diff' ? diff.images.diff : diff.images.signed}
+                    alt="Page"
+                    className="block w-full"
+                  />
+                  {mode === 'overlay' && (
+                    <img
+                      src={diff.images.diff}
+                      alt="Changes"
+                      className="absolute inset-0 w-full h-full"
+                      style={{ opacity }}
+                    />
+                  )}
+                  {diff.regions.map((region, index) => (
+                    <div
+                      key={index}
+                      className={`absolute border-2 pointer-events-none ${
+                        region.suspicious ? 'border-red-500' : 'border-green-500'
+                      } ${highlighted === index ? 'bg-yellow-300 bg-opacity-40' : ''}`}
+                      style={{
+                        left: `${region.x}%`,
+                        top: `${region.y}%`,
+                        width: `${region.width}%`,
+                        height: `${region.height}%`
+                      }}
+                    />
+                  ))}
+                </div>
+              </div>
+
+              <div className="w-72 border-l border-gray-200 overflow-auto p-3 text-xs">
+                <h4 className="font-semibold text-gray-700 mb-2">
+                  Changed regions ({diff.regions.length}{diff.truncated ? '+' : ''})
+                </h4>
+                {diff.regions.length === 0 && (
+                  <p className="text-gray-500">No visible changes on this page</p>
+                )}
+                <ul className="space-y-1">
+                  {diff.regions.map((region, index) => (
+                    <li
+                      key={index}
+                      onMouseEnter={() => setHighlighted(index)}
+                      onMouseLeave={() => setHighlighted(null)}
+                      className={`p-2 rounded border cursor-default ${
+                        region.suspicious ? 'bg-red-50 border-red-200' : 'bg-green-50 border-green-200'
+                      }`}
+                    >
+                      <div className="font-semibold">
+                        {region.suspicious ? '⚠️ Outside fields' : '✅ Inside field'}
+                        {region.reason === 'page_size_changed' && ' · page size changed'}
+                      </div>
+                      <div className="text-gray-600">
+                        at {region.x}%, {region.y}% · {region.width}% × {region.height}%
+                      </div>
+                      <div className="text-gray-600">
+                        {region.pixelCount} px changed
+                        {region.suspicious && region.reason === 'content' && `, ${region.outsidePixelCount} outside`}
+                      </div>
+                      {region.fields.length > 0 && (
+                        <div className="text-gray-600">
+                          Fields: {region.fields.map(id => {
+                            const field = diff.fields.find(f => f.id === id);
+                            return field?.label || field?.type;
+                          }).join(', ')}
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DiffViewer;
@@ -1,10 +1,16 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { X, Edit2 } from 'lucide-react';
+import { X, Edit2, Type } from 'lucide-react';
+import FieldStyleEditor from './FieldStyleEditor';
+import { getCssFont, layoutFieldText, LINE_HEIGHT, TEXT_PADDING } from '../fieldStyles';
 
-const DraggableField = ({ field, containerDimensions, onUpdate, onDelete, onClick }) => {
+// Size used when a style sets none, as the backend picks it: 60% of the box height, capped
+const DEFAULT_FONT_SIZES = { text: 12, date: 10 };
+
+const DraggableField = ({ field, containerDimensions, pointScale, fonts = [], onUpdate, onDelete, onClick, onUploadFont, signerRoles = [], locked = false }) => {
   const [isDragging, setIsDragging] = useState(false);
   const [isResizing, setIsResizing] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
+  const [isStyling, setIsStyling] = useState(false);
   const [editValue, setEditValue] = useState(field.value || '');
   const [dragStart, setDragStart] = useState({ x: 0, y: 0 });
   const [initialPos, setInitialPos] = useState({ x: 0, y: 0 });
@@ -12,10 +18,13 @@ const DraggableField = ({ field, containerDimensions, onUpdate, onDelete, onClic
 
   
   const handleMouseDown = (e) => {
+    // Recipients fill values but cannot move fields
+    if (locked) return;
   
     if (e.target.classList.contains('resize-handle') || 
         e.target.classList.contains('delete-btn') ||
         e.target.classList.contains('edit-btn') ||
+        e.target.classList.contains('style-btn') ||
         e.target.tagName === 'INPUT' ||
         e.target.tagName === 'SELECT' ||
         e.target.tagName === 'BUTTON') {
@@ -156,6 +165,7 @@ const DraggableField = ({ field, containerDimensions, onUpdate, onDelete, onClic
     
     if (e.target.classList.contains('delete-btn') || 
         e.target.classList.contains('edit-btn') ||
+        e.target.classList.contains('style-btn') ||
         e.target.classList.contains('resize-handle')) {
       return;
     }
@@ -192,6 +202,37 @@ const DraggableField = ({ field, containerDimensions, onUpdate, onDelete, onClic
     onUpdate(field.id, { value: e.target.value });
   };
 
+  // Text and date values laid out in their style at the page's scale, like the burned output
+  const renderStyledText = (text) => {
+    if (!pointScale || !containerDimensions?.width) {
+      return <span className="text-xs truncate w-full px-2">{text}</span>;
+    }
+
+    const width = (field.width / 100) * containerDimensions.width / pointScale;
+    const height = (field.height / 100) * containerDimensions.height / pointScale;
+    const defaultSize = Math.min(height * 0.6, DEFAULT_FONT_SIZES[field.type]);
+    const { size, lines } = layoutFieldText(text, field.style, { width, height, defaultSize });
+
+    return (
+      <div
+        className="w-full h-full flex flex-col overflow-hidden"
+        style={{
+          ...getCssFont(field.style),
+          fontSize: `${size * pointScale}px`,
+          lineHeight: LINE_HEIGHT,
+          color: field.style?.color || '#000000',
+          textAlign: field.style?.align || 'left',
+          padding: `0 ${TEXT_PADDING * pointScale}px`,
+          justifyContent: 'safe center'
+        }}
+      >
+        {lines.map((line, index) => (
+          <div key={index} className="whitespace-pre" dir="auto">{line || '\u00a0'}</div>
+        ))}
+      </div>
+    );
+  };
+
   const handleImageUpload = (e) => {
     e.stopPropagation();
     const file = e.target.files[0];
@@ -211,16 +252,19 @@ const DraggableField = ({ field, containerDimensions, onUpdate, onDelete, onClic
 
   const renderFieldContent = () => {
     if (isEditing && field.type === 'text') {
+      // Wrapping fields take line breaks; Ctrl+Enter saves them
+      const EditInput = field.style?.multiline ? 'textarea' : 'input';
       return (
         <div className="flex flex-col gap-1 p-1 w-full" onClick={(e) => e.stopPropagation()}>
-          <input
+          <EditInput
             type="text"
             value={editValue}
             onChange={(e) => setEditValue(e.target.value)}
-            className="w-full px-1 py-0.5 text-xs border border-gray-300 rounded"
+            className="w-full px-1 py-0.5 text-xs border border-gray-300 rounded resize-none"
+            rows={field.style?.multiline ? 3 : undefined}
             autoFocus
             onKeyDown={(e) => {
-              if (e.key === 'Enter') handleSaveEdit();
+              if (e.key === 'Enter' && (!field.style?.multiline || e.ctrlKey || e.metaKey)) handleSaveEdit();
               if (e.key === 'Escape') handleCancelEdit();
             }}
           />
@@ -258,9 +302,7 @@ const DraggableField = ({ field, containerDimensions, onUpdate, onDelete, onClic
 
       case 'text':
         return field.value ? (
-          <div className="flex items-center justify-between w-full px-2">
-            <span className="text-xs truncate flex-1">{field.value}</span>
-          </div>
+          renderStyledText(field.value)
         ) : (
           <span className="text-xs font-semibold text-center">
             {getFieldIcon()} Text Field
@@ -289,13 +331,24 @@ const DraggableField = ({ field, containerDimensions, onUpdate, onDelete, onClic
         );
 
       case 'date':
+        // The styled value shows through an invisible picker
         return (
-          <input
-            type="date"
-            value={field.value || ''}
-            onChange={handleDateChange}
-            className="w-full h-full px-1 text-xs border-0 bg-transparent cursor-pointer"
-          />
+          <div className="relative w-full h-full flex items-center justify-center">
+            {field.value ? (
+              renderStyledText(field.value)
+            ) : (
+              <span className="text-xs font-semibold text-center">
+                {getFieldIcon()} Pick a Date
+              </span>
+            )}
+            <input
+              type="date"
+              value={field.value || ''}
+              onChange={handleDateChange}
+              onClick={(e) => e.target.showPicker?.()}
+              className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
+            />
+          </div>
         );
 
       case 'radio':
@@ -306,7 +359,7 @@ const DraggableField = ({ field, containerDimensions, onUpdate, onDelete, onClic
               onChange={handleRadioChange}
               className="flex-1 text-xs border-0 bg-transparent cursor-pointer outline-none"
             >
-              {(field.options || ['Option 1', 'Option 2', 'Option 3']).map((opt, idx) => (
+              {(field.options?.length ? field.options : ['Option 1', 'Option 2', 'Option 3']).map((opt, idx) => (
                 <option key={idx} value={`option${idx + 1}`}>
                   {opt}
                 </option>
@@ -324,7 +377,7 @@ const DraggableField = ({ field, containerDimensions, onUpdate, onDelete, onClic
     <div
       ref={fieldRef}
       className={`absolute border-2 ${getFieldColor()} ${
-        isDragging ? 'opacity-70 z-50 cursor-grabbing' : 'opacity-80 z-10 cursor-grab'
+        isDragging ? 'opacity-70 z-50 cursor-grabbing' : `opacity-80 z-10 ${locked ? 'cursor-pointer' : 'cursor-grab'}`
       } hover:opacity-90 transition-opacity group select-none`}
       style={{
         left: `${field.x}%`,
@@ -337,15 +390,17 @@ const DraggableField = ({ field, containerDimensions, onUpdate, onDelete, onClic
       onClick={handleClick}
     >
       {/* Delete Button */}
-      <button
-        className="delete-btn absolute -top-2 -right-2 bg-red-500 text-white rounded-full w-5 h-5 flex items-center justify-center opacity-0 group-hover:opacity-100 transition-opacity hover:bg-red-600 z-10"
-        onClick={(e) => {
-          e.stopPropagation();
-          onDelete(field.id);
-        }}
-      >
-        <X size={12} />
-      </button>
+      {!locked && (
+        <button
+          className="delete-btn absolute -top-2 -right-2 bg-red-500 text-white rounded-full w-5 h-5 flex items-center justify-center opacity-0 group-hover:opacity-100 transition-opacity hover:bg-red-600 z-10"
+          onClick={(e) => {
+            e.stopPropagation();
+            onDelete(field.id);
+          }}
+        >
+          <X size={12} />
+        </button>
+      )}
 
       {/* Edit Button (for text and radio fields) */}
       {(field.type === 'text' || field.type === 'radio') && !isEditing && (
@@ -357,6 +412,80 @@ const DraggableField = ({ field, containerDimensions, onUpdate, onDelete, onClic
         </button>
       )}
 
+      {/* Style Button (for text and date fields) */}
+      {(field.type === 'text' || field.type === 'date') && !locked && !isEditing && (
+        <button
+          className={`style-btn absolute -top-2 ${field.type === 'text' ? '-right-14' : '-right-8'} bg-gray-700 text-white rounded-full w-5 h-5 flex items-center justify-center opacity-0 group-hover:opacity-100 transition-opacity hover:bg-gray-900 z-10`}
+          onClick={(e) => {
+            e.stopPropagation();
+            setIsStyling(!isStyling);
+          }}
+          title="Text style"
+        >
+          <Type size={12} />
+        </button>
+      )}
+
+      {isStyling && (
+        <FieldStyleEditor
+          style={field.style}
+          fonts={fonts}
+          onChange={(style) => onUpdate(field.id, { style })}
+          onUploadFont={onUploadFont}
+          onClose={() => setIsStyling(false)}
+        />
+      )}
+
+      {/* Label and required flag */}
+      {locked ? (
+        (field.label || field.required) && (
+          <span className="absolute -top-5 left-0 text-[10px] leading-tight bg-white/90 border border-gray-300 rounded px-0.5 z-20">
+            {field.label || field.type}{field.required && <span className="text-red-600"> *</span>}
+          </span>
+        )
+      ) : (
+        <div className="absolute -top-5 left-0 flex items-center gap-0.5 z-20 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+          <input
+            type="text"
+            value={field.label || ''}
+            placeholder="Label"
+            onChange={(e) => onUpdate(field.id, { label: e.target.value || null })}
+            onClick={(e) => e.stopPropagation()}
+            className="w-20 text-[10px] leading-tight border border-gray-300 rounded px-0.5 bg-white"
+          />
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onUpdate(field.id, { required: !field.required });
+            }}
+            className={`text-[10px] leading-tight border rounded px-1 ${
+              field.required ? 'bg-red-100 border-red-400 text-red-700' : 'bg-white border-gray-300 text-gray-500'
+            }`}
+            title="Required"
+          >
+            *
+          </button>
+        </div>
+      )}
+
+      {/* Signer Role (envelopes only) */}
+      {signerRoles.length > 0 && (
+        <select
+          value={field.signerRole || ''}
+          onChange={(e) => onUpdate(field.id, { signerRole: e.target.value || null })}
+          onClick={(e) => e.stopPropagation()}
+          className={`absolute -bottom-5 left-0 text-[10px] leading-tight border rounded px-0.5 z-20 ${
+            field.signerRole ? 'bg-indigo-100 border-indigo-400' : 'bg-red-100 border-red-400'
+          }`}
+          title="Signer role"
+        >
+          <option value="">Assign signer…</option>
+          {signerRoles.map((role) => (
+            <option key={role} value={role}>{role}</option>
+          ))}
+        </select>
+      )}
+
       {/* Field Content */}
       <div className="flex items-center justify-center h-full w-full overflow-hidden pointer-events-none">
         <div className="pointer-events-auto w-full h-full flex items-center justify-center">
@@ -365,10 +494,12 @@ const DraggableField = ({ field, containerDimensions, onUpdate, onDelete, onClic
       </div>
       
       {/* Resize Handle */}
-      <div
-        className="resize-handle absolute bottom-0 right-0 w-3 h-3 bg-gray-700 cursor-se-resize hover:bg-gray-900 transition-colors z-20"
-        onMouseDown={handleResize}
-      />
+      {!locked && (
+        <div
+          className="resize-handle absolute bottom-0 right-0 w-3 h-3 bg-gray-700 cursor-se-resize hover:bg-gray-900 transition-colors z-20"
+          onMouseDown={handleResize}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,320 @@
+import React, { useState } from 'react';
+import { Users, Plus, X, Send, RefreshCw, Link, Ban, Mail, CalendarClock, XCircle } from 'lucide-react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const statusColors = {
+  pending: 'bg-gray-100 text-gray-700',
+  signed: 'bg-green-100 text-green-700'
+};
+
+const documentStatusColors = {
+  draft: 'bg-gray-100 text-gray-700',
+  sent: 'bg-blue-100 text-blue-700',
+  partially_signed: 'bg-amber-100 text-amber-700',
+  completed: 'bg-green-100 text-green-700',
+  voided: 'bg-red-100 text-red-700',
+  expired: 'bg-orange-100 text-orange-700'
+};
+
+// Documents that can still be signed, voided or given a new expiry date
+const openStatuses = ['draft', 'sent', 'partially_signed'];
+
+const EnvelopePanel = ({ documentId, fields, signers, onSignersChange, signingOrder, onSigningOrderChange }) => {
+  const [draft, setDraft] = useState({ name: '', email: '', role: '' });
+  const [envelope, setEnvelope] = useState(null);
+  const [isSending, setIsSending] = useState(false);
+  const [signingLinks, setSigningLinks] = useState({});
+
+  const addSigner = () => {
+    const role = draft.role.trim();
+    if (!draft.name.trim() || !role) {
+      alert('⚠️ Signer name and role are required');
+      return;
+    }
+    if (signers.some(s => s.role === role)) {
+      alert(`⚠️ Role "${role}" is already used`);
+      return;
+    }
+
+    onSignersChange([...signers, { name: draft.name.trim(), email: draft.email.trim(), role }]);
+    setDraft({ name: '', email: '', role: '' });
+  };
+
+  const removeSigner = (role) => {
+    onSignersChange(signers.filter(s => s.role !== role));
+  };
+
+  const refreshStatus = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/document/${documentId}/signers`);
+      setEnvelope(response.data.envelope);
+    } catch (error) {
+      alert(`❌ Failed to load signer status: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const createLink = async (signerId) => {
+    try {
+      const response = await axios.post(`${API_URL}/api/document/${documentId}/signers/${signerId}/link`);
+      setSigningLinks({ ...signingLinks, [signerId]: response.data.url });
+      await navigator.clipboard?.writeText(response.data.url).catch(() => {});
+      await refreshStatus();
+    } catch (error) {
+      alert(`❌ Failed to create link: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const sendInvitation = async (signer) => {
+    // Blank = invitation only
+    const hours = window.prompt(`Email ${signer.email} a signing link. Remind every how many hours? (blank for no reminders)`, '24');
+    if (hours === null) return;
+
+    try {
+      const response = await axios.post(`${API_URL}/api/document/${documentId}/signers/${signer.id}/invite`, {
+        remindEveryHours: hours.trim() ? Number(hours) : null
+      });
+      setEnvelope(response.data.envelope);
+      if (response.data.waitingForEarlierSigners) {
+        alert(`📧 ${signer.name} will be emailed once the earlier signers have signed`);
+      }
+    } catch (error) {
+      alert(`❌ Failed to send invitation: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const revokeLink = async (signerId) => {
+    try {
+      await axios.delete(`${API_URL}/api/document/${documentId}/signers/${signerId}/link`);
+      const { [signerId]: _revoked, ...remaining } = signingLinks;
+      setSigningLinks(remaining);
+      await refreshStatus();
+    } catch (error) {
+      alert(`❌ Failed to revoke link: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const setExpiry = async () => {
+    // Blank = never expires
+    const days = window.prompt('Expire the document if still unsigned after how many days? (blank for never)', '14');
+    if (days === null) return;
+
+    try {
+      await axios.put(`${API_URL}/api/document/${documentId}/expiry`, {
+        expiresAt: days.trim() ? new Date(Date.now() + Number(days) * 24 * 60 * 60 * 1000).toISOString() : null
+      });
+      await refreshStatus();
+    } catch (error) {
+      alert(`❌ Failed to set expiry: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const voidDocument = async () => {
+    const reason = window.prompt('Void this document? Signing links stop working. Reason:');
+    if (!reason?.trim()) return;
+
+    try {
+      await axios.post(`${API_URL}/api/document/${documentId}/void`, { reason });
+      await refreshStatus();
+    } catch (error) {
+      alert(`❌ Failed to void: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const handleSend = async () => {
+    const unassigned = fields.filter(f => !f.signerRole);
+    if (unassigned.length > 0) {
+      alert(`⚠️ ${unassigned.length} field(s) have no signer assigned`);
+      return;
+    }
+
+    const idle = signers.filter(signer => !fields.some(f => f.signerRole === signer.role));
+    if (idle.length > 0) {
+      alert(`⚠️ No fields assigned to: ${idle.map(signer => signer.name || signer.role).join(', ')}`);
+      return;
+    }
+
+    setIsSending(true);
+    try {
+      const response = await axios.post(`${API_URL}/api/document/${documentId}/envelope`, {
+        signingOrder,
+        signers: signers.map((signer, index) => ({ ...signer, order: index })),
+        fields: fields.map(f => ({
+          type: f.type,
+          page: f.page || 0,
+          x: f.x,
+          y: f.y,
+          width: f.width,
+          height: f.height,
+          options: f.options,
+          label: f.label,
+          required: f.required,
+          style: f.style,
+          signerRole: f.signerRole,
+          formFieldName: f.formFieldName
+        }))
+      });
+
+      setEnvelope(response.data.envelope);
+      console.log('✅ Envelope created:', response.data.envelope);
+    } catch (error) {
+      alert(`❌ Failed to send: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4">
+      <h2 className="text-xl font-bold mb-2 flex items-center gap-2">
+        <Users size={20} className="text-indigo-600" />
+        Signers
+      </h2>
+      <p className="text-sm text-gray-600 mb-3">
+        Add signers, then assign each field to a role
+      </p>
+
+      <div className="space-y-2 mb-3">
+        {signers.map((signer, index) => (
+          <div key={signer.role} className="flex items-center justify-between text-sm bg-gray-50 border border-gray-200 rounded px-2 py-1">
+            <span>
+              <strong>{index + 1}.</strong> {signer.name} <span className="text-gray-500">({signer.role})</span>
+            </span>
+            <button onClick={() => removeSigner(signer.role)} className="text-red-500 hover:text-red-700">
+              <X size={14} />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="space-y-1 mb-3">
+        <input
+          type="text"
+          placeholder="Name"
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          className="w-full px-2 py-1 text-sm border border-gray-300 rounded"
+        />
+        <input
+          type="email"
+          placeholder="Email (optional)"
+          value={draft.email}
+          onChange={(e) => setDraft({ ...draft, email: e.target.value })}
+          className="w-full px-2 py-1 text-sm border border-gray-300 rounded"
+        />
+        <div className="flex gap-1">
+          <input
+            type="text"
+            placeholder="Role (e.g. manager)"
+            value={draft.role}
+            onChange={(e) => setDraft({ ...draft, role: e.target.value })}
+            className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded"
+          />
+          <button
+            onClick={addSigner}
+            className="bg-indigo-500 hover:bg-indigo-600 text-white px-2 rounded"
+            title="Add signer"
+          >
+            <Plus size={16} />
+          </button>
+        </div>
+      </div>
+
+      <label className="flex items-center justify-between text-sm text-gray-700 mb-3">
+        Signing order
+        <select
+          value={signingOrder}
+          onChange={(e) => onSigningOrderChange(e.target.value)}
+          className="border border-gray-300 rounded px-1 py-0.5"
+        >
+          <option value="sequential">Sequential</option>
+          <option value="parallel">Parallel</option>
+        </select>
+      </label>
+
+      <button
+        onClick={handleSend}
+        disabled={signers.length === 0 || fields.length === 0 || isSending}
+        className="w-full bg-indigo-500 text-white py-2 rounded-lg hover:bg-indigo-600 disabled:bg-gray-300 disabled:cursor-not-allowed flex items-center justify-center gap-2 font-semibold transition-colors"
+      >
+        <Send size={16} />
+        {isSending ? 'Sending...' : 'Send for Signing'}
+      </button>
+
+      {envelope && (
+        <div className="mt-4 pt-4 border-t border-gray-200">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="font-semibold text-gray-700">
+              Status: <span className="capitalize">{envelope.status.replace('_', ' ')}</span>
+            </h3>
+            <button onClick={refreshStatus} className="text-gray-500 hover:text-gray-700" title="Refresh">
+              <RefreshCw size={14} />
+            </button>
+          </div>
+          <div className="flex items-center justify-between text-xs mb-2">
+            <span className={`px-2 py-0.5 rounded capitalize ${documentStatusColors[envelope.documentStatus]}`}>
+              {envelope.documentStatus.replace('_', ' ')}
+            </span>
+            <span className="flex items-center gap-2 text-gray-500">
+              {envelope.expiresAt && `Expires ${new Date(envelope.expiresAt).toLocaleDateString()}`}
+              {openStatuses.includes(envelope.documentStatus) && (
+                <>
+                  <button onClick={setExpiry} className="text-indigo-500 hover:text-indigo-700" title="Set expiry date">
+                    <CalendarClock size={14} />
+                  </button>
+                  <button onClick={voidDocument} className="text-red-500 hover:text-red-700" title="Void document">
+                    <XCircle size={14} />
+                  </button>
+                </>
+              )}
+            </span>
+          </div>
+          <ul className="space-y-1 text-xs">
+            {envelope.signers.map(signer => (
+              <li key={signer.id}>
+                <div className="flex items-center justify-between">
+                  <span>{signer.name} ({signer.role})</span>
+                  <span className="flex items-center gap-1">
+                    <span className={`px-2 py-0.5 rounded ${statusColors[signer.status]}`}>
+                      {signer.status}{signer.status === 'pending' && signer.canSignNow ? ' · can sign' : ''}
+                    </span>
+                    {signer.status === 'pending' && signer.email && openStatuses.includes(envelope.documentStatus) && (
+                      <button
+                        onClick={() => sendInvitation(signer)}
+                        className="text-indigo-500 hover:text-indigo-700"
+                        title={signer.invitation?.sentAt ? `Invited (${signer.invitation.reminderCount} reminder(s)); invite again` : 'Email invitation'}
+                      >
+                        <Mail size={14} />
+                      </button>
+                    )}
+                    {signer.status === 'pending' && openStatuses.includes(envelope.documentStatus) && (
+                      <button onClick={() => createLink(signer.id)} className="text-indigo-500 hover:text-indigo-700" title="Create signing link">
+                        <Link size={14} />
+                      </button>
+                    )}
+                    {signer.status === 'pending' && signer.link && !signer.link.revoked && (
+                      <button onClick={() => revokeLink(signer.id)} className="text-red-500 hover:text-red-700" title="Revoke signing link">
+                        <Ban size={14} />
+                      </button>
+                    )}
+                  </span>
+                </div>
+                {signingLinks[signer.id] && (
+                  <input
+                    readOnly
+                    value={signingLinks[signer.id]}
+                    onFocus={(e) => e.target.select()}
+                    className="w-full mt-1 px-1 py-0.5 font-mono text-[10px] bg-gray-50 border border-gray-200 rounded"
+                  />
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EnvelopePanel;
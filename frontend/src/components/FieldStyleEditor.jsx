@@ -0,0 +1,156 @@
+import React, { useRef } from 'react';
+import { AlignLeft, AlignCenter, AlignRight, Bold, Italic, WrapText } from 'lucide-react';
+import { STANDARD_FONTS, STYLED_FAMILIES, MIN_FONT_SIZE, MAX_FONT_SIZE } from '../fieldStyles';
+
+const ALIGNMENTS = [
+  { value: 'left', icon: AlignLeft },
+  { value: 'center', icon: AlignCenter },
+  { value: 'right', icon: AlignRight }
+];
+
+/**
+ * Popover for a text or date field's style: font, size (or auto-fit), colour,
+ * bold/italic, alignment and wrapping. Sizes are in PDF points.
+ */
+const FieldStyleEditor = ({ style, fonts = [], onChange, onUploadFont, onClose }) => {
+  const fileInputRef = useRef(null);
+  const fontFamily = style?.fontFamily || 'Helvetica';
+  const hasFaces = !style?.fontId && STYLED_FAMILIES.includes(fontFamily);
+
+  const update = (updates) => onChange({ ...style, ...updates });
+
+  const handleFontChange = (e) => {
+    const value = e.target.value;
+    if (value === 'upload') {
+      fileInputRef.current.click();
+    } else if (value.startsWith('font:')) {
+      update({ fontId: value.slice(5) });
+    } else {
+      update({ fontFamily: value, fontId: null });
+    }
+  };
+
+  const handleFontFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const font = await onUploadFont(file);
+    if (font) update({ fontId: font.id });
+  };
+
+  const toggleClass = (active) => `p-1 border rounded ${
+    active ? 'bg-blue-100 border-blue-400 text-blue-700' : 'bg-white border-gray-300 text-gray-600'
+  } disabled:opacity-40 disabled:cursor-not-allowed`;
+
+  return (
+    <div
+      className="absolute top-full left-0 mt-6 w-56 bg-white border border-gray-300 rounded shadow-lg p-2 z-40 flex flex-col gap-2 text-xs cursor-default"
+      onMouseDown={(e) => e.stopPropagation()}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <select
+        value={style?.fontId ? `font:${style.fontId}` : fontFamily}
+        onChange={handleFontChange}
+        className="w-full border border-gray-300 rounded px-1 py-0.5"
+        title="Font"
+      >
+        {Object.keys(STANDARD_FONTS).map((family) => (
+          <option key={family} value={family}>{family}</option>
+        ))}
+        {fonts.length > 0 && (
+          <optgroup label="Uploaded fonts">
+            {fonts.map((font) => (
+              <option key={font.id} value={`font:${font.id}`}>{font.name}</option>
+            ))}
+          </optgroup>
+        )}
+        {onUploadFont && <option value="upload">Upload TTF/OTF…</option>}
+      </select>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".ttf,.otf"
+        onChange={handleFontFile}
+        className="hidden"
+      />
+
+      <div className="flex items-center gap-2">
+        <input
+          type="number"
+          min={MIN_FONT_SIZE}
+          max={MAX_FONT_SIZE}
+          step="0.5"
+          value={style?.fontSize ?? ''}
+          placeholder="Size"
+          disabled={style?.autoFit}
+          onChange={(e) => update({ fontSize: e.target.value ? Number(e.target.value) : null })}
+          className="w-16 border border-gray-300 rounded px-1 py-0.5 disabled:bg-gray-100"
+          title="Font size (pt)"
+        />
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={Boolean(style?.autoFit)}
+            onChange={(e) => update({ autoFit: e.target.checked })}
+          />
+          Auto-fit
+        </label>
+        <input
+          type="color"
+          value={style?.color || '#000000'}
+          onChange={(e) => update({ color: e.target.value })}
+          className="ml-auto w-7 h-6 border border-gray-300 rounded cursor-pointer"
+          title="Colour"
+        />
+      </div>
+
+      <div className="flex items-center gap-1">
+        <button
+          onClick={() => update({ bold: !style?.bold })}
+          disabled={!hasFaces}
+          className={toggleClass(hasFaces && style?.bold)}
+          title="Bold"
+        >
+          <Bold size={14} />
+        </button>
+        <button
+          onClick={() => update({ italic: !style?.italic })}
+          disabled={!hasFaces}
+          className={toggleClass(hasFaces && style?.italic)}
+          title="Italic"
+        >
+          <Italic size={14} />
+        </button>
+        <span className="w-2" />
+        {ALIGNMENTS.map(({ value, icon: Icon }) => (
+          <button
+            key={value}
+            onClick={() => update({ align: value })}
+            className={toggleClass((style?.align || 'left') === value)}
+            title={`Align ${value}`}
+          >
+            <Icon size={14} />
+          </button>
+        ))}
+        <span className="w-2" />
+        <button
+          onClick={() => update({ multiline: !style?.multiline })}
+          className={toggleClass(style?.multiline)}
+          title="Wrap onto several lines"
+        >
+          <WrapText size={14} />
+        </button>
+      </div>
+
+      <button
+        onClick={onClose}
+        className="self-end text-blue-600 hover:underline"
+      >
+        Done
+      </button>
+    </div>
+  );
+};
+
+export default FieldStyleEditor;
@@ -1,7 +1,7 @@
 import React from 'react';
 import { Type, Image, Calendar, Circle, Download } from 'lucide-react';
 
-const FieldToolbox = ({ fields, onGeneratePDF, isProcessing }) => {
+const FieldToolbox = ({ fields, onGeneratePDF, isProcessing, signOptions, onSignOptionsChange, jobProgress }) => {
   const fieldTypes = [
     { type: 'signature', icon: <Type size={20} />, label: 'Signature', color: 'bg-blue-500' },
     { type: 'text', icon: <Type size={20} />, label: 'Text Box', color: 'bg-green-500' },
@@ -48,6 +48,7 @@ const FieldToolbox = ({ fields, onGeneratePDF, isProcessing }) => {
             <div className="text-xs bg-gray-50 p-3 rounded border border-gray-200">
               <div className="font-semibold mb-1 text-gray-600">Last Field Position:</div>
               <div className="font-mono text-gray-700 space-y-1">
+                <div>Page: {(coordinateInfo.page || 0) + 1}</div>
                 <div>X: {coordinateInfo.x.toFixed(2)}%</div>
                 <div>Y: {coordinateInfo.y.toFixed(2)}%</div>
                 <div>W: {coordinateInfo.width.toFixed(2)}%</div>
@@ -57,15 +58,57 @@ const FieldToolbox = ({ fields, onGeneratePDF, isProcessing }) => {
           )}
         </div>
 
+        <div className="mt-4 space-y-2">
+          <input
+            type="text"
+            placeholder="Your name (for the audit trail)"
+            value={signOptions.signerName}
+            onChange={(e) => onSignOptionsChange({ ...signOptions, signerName: e.target.value })}
+            className="w-full px-2 py-1 text-sm border border-gray-300 rounded"
+          />
+          <select
+            value={signOptions.outputMode}
+            onChange={(e) => onSignOptionsChange({ ...signOptions, outputMode: e.target.value })}
+            className="w-full px-2 py-1 text-sm border border-gray-300 rounded"
+          >
+            <option value="flatten">🖨️ Flattened PDF (values drawn in)</option>
+            <option value="interactive">📝 Fillable form (AcroForm fields)</option>
+          </select>
+          <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={signOptions.auditCertificate}
+              onChange={(e) => onSignOptionsChange({ ...signOptions, auditCertificate: e.target.checked })}
+            />
+            📋 Append certificate of completion
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={signOptions.digitalSignature}
+              onChange={(e) => onSignOptionsChange({ ...signOptions, digitalSignature: e.target.checked })}
+            />
+            🔏 Apply digital signature (PAdES)
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={signOptions.runInBackground}
+              onChange={(e) => onSignOptionsChange({ ...signOptions, runInBackground: e.target.checked })}
+            />
+            ⏳ Sign in background (large documents)
+          </label>
+        </div>
+
         <button
           onClick={onGeneratePDF}
           disabled={fields.length === 0 || isProcessing}
-          className="w-full mt-4 bg-green-500 text-white py-3 rounded-lg hover:bg-green-600 disabled:bg-gray-300 disabled:cursor-not-allowed flex items-center justify-center gap-2 font-semibold transition-colors"
+          className="w-full mt-2 bg-green-500 text-white py-3 rounded-lg hover:bg-green-600 disabled:bg-gray-300 disabled:cursor-not-allowed flex items-center justify-center gap-2 font-semibold transition-colors"
         >
           {isProcessing ? (
             <>
               <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
-              Processing...
+              {jobProgress === null || jobProgress === undefined ? 'Processing...' : `Processing... ${jobProgress}%`}
             </>
           ) : (
             <>
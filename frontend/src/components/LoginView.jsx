@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { FileText, LogIn } from 'lucide-react';
+import axios from 'axios';
+import { saveSession } from '../auth';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+/**
+ * Log in or create an account; documents, templates and batches belong to the account.
+ */
+const LoginView = ({ onLogin }) => {
+  const [mode, setMode] = useState('login');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isRegister = mode === 'register';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await axios.post(`${API_URL}/api/auth/${mode}`, {
+        email,
+        password,
+        ...(isRegister && { name })
+      });
+      saveSession(response.data);
+      onLogin(response.data.user);
+    } catch (error) {
+      setError(error.response?.data?.error || error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-md mx-auto p-4 pt-16">
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="flex items-center gap-3 mb-2">
+            <FileText className="text-blue-600" size={32} />
+            <h1 className="text-2xl font-bold text-gray-800">Signature Injection Engine</h1>
+          </div>
+          <p className="text-gray-600 mb-6">
+            {isRegister ? 'Create an account to upload and sign documents' : 'Log in to your documents'}
+          </p>
+
+          <form onSubmit={handleSubmit} className="space-y-3">
+            {isRegister && (
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Full name"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+            )}
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Email"
+              required
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder={isRegister ? 'Password (8+ characters)' : 'Password'}
+              minLength={isRegister ? 8 : undefined}
+              required
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+
+            {error && <p className="text-sm text-red-600">{error}</p>}
+
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="w-full bg-blue-500 text-white py-2 rounded-lg hover:bg-blue-600 disabled:bg-gray-300 flex items-center justify-center gap-2 font-semibold transition-colors"
+            >
+              <LogIn size={16} />
+              {isSubmitting ? 'Please wait...' : isRegister ? 'Create Account' : 'Log In'}
+            </button>
+          </form>
+
+          <button
+            onClick={() => {
+              setMode(isRegister ? 'login' : 'register');
+              setError(null);
+            }}
+            className="mt-4 text-sm text-blue-600 hover:underline"
+          >
+            {isRegister ? 'Already have an account? Log in' : 'No account yet? Register'}
+          </button>
+
+          <div className="mt-6 pt-4 border-t border-gray-200">
+            <a href="/verify" className="text-sm text-blue-600 hover:underline">
+              Verify a signed PDF without an account →
+            </a>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LoginView;
@@ -65,13 +65,20 @@ const PDFUpload = ({ onUploadSuccess }) => {
 
       onUploadSuccess({
         documentId: response.data.documentId,
-        pdfUrl: `${API_URL}${response.data.pdfUrl}`,
+        // Local storage links are relative to the API; S3 links are absolute
+        pdfUrl: new URL(response.data.pdfUrl, API_URL).href,
         fileName: file.name,
         hash: response.data.hash,
-        dimensions: response.data.dimensions
+        pages: response.data.pages,
+        pageCount: response.data.pageCount || 1,
+        initialFields: response.data.formFields || []
       });
 
-      alert(`✅ PDF uploaded successfully!\n\nDocument ID: ${response.data.documentId}\nHash: ${response.data.hash.substring(0, 16)}...`);
+      const formFieldCount = response.data.formFields?.length || 0;
+      alert(
+        `✅ PDF uploaded successfully!\n\nDocument ID: ${response.data.documentId}\nHash: ${response.data.hash.substring(0, 16)}...` +
+        (formFieldCount > 0 ? `\n\n📝 Imported ${formFieldCount} existing form field(s)` : '')
+      );
 
     } catch (error) {
       console.error('❌ Upload error:', error);
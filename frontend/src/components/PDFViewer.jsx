@@ -1,22 +1,113 @@
 import React, { useState, useRef, useEffect } from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import * as pdfjsLib from 'pdfjs-dist';
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
 import DraggableField from './DraggableField';
 
-const PDFViewer = ({ pdfFile, fields, onAddField, onUpdateField, onDeleteField, onFieldClick }) => {
+pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+const PDFViewer = ({ pdfFile, fields, onAddField, onUpdateField, onDeleteField, onFieldClick, signerRoles = [], fonts = [], onUploadFont, readOnly = false }) => {
   const [dimensions, setDimensions] = useState({ width: 0, height: 0 });
+  const [currentPage, setCurrentPage] = useState(0);
+  const [pdfDocument, setPdfDocument] = useState(null);
+  const [pageAspect, setPageAspect] = useState(null);
+  const [pageWidth, setPageWidth] = useState(null);
+  const [loadError, setLoadError] = useState(null);
   const viewerRef = useRef(null);
+  const canvasRef = useRef(null);
+
+  const pageCount = pdfDocument?.numPages || pdfFile?.pageCount || 1;
+
+  // Height/width of the visible page; the upload response knows it before PDF.js does
+  const uploadedPage = pdfFile?.pages?.[currentPage];
+  const aspectRatio = uploadedPage
+    ? uploadedPage.height / uploadedPage.width
+    : pageAspect || 1.414;
+
+  // Screen pixels per PDF point, so field previews use the sizes the backend burns
+  const pointScale = dimensions.width / (uploadedPage?.width || pageWidth || dimensions.width);
+
+  // Only fields placed on the visible page are overlaid
+  const pageFields = fields.filter((field) => (field.page || 0) === currentPage);
+
+  // Reset to the first page whenever a new PDF is loaded
+  useEffect(() => {
+    setCurrentPage(0);
+  }, [pdfFile?.documentId]);
 
+  // Load the PDF with PDF.js
   useEffect(() => {
-    const updateDimensions = () => {
-      if (viewerRef.current) {
-        const rect = viewerRef.current.getBoundingClientRect();
-        setDimensions({ width: rect.width, height: rect.height });
-      }
+    if (!pdfFile?.pdfUrl) return;
+
+    let cancelled = false;
+    const loadingTask = pdfjsLib.getDocument(pdfFile.pdfUrl);
+    setLoadError(null);
+
+    loadingTask.promise
+      .then((doc) => {
+        if (!cancelled) setPdfDocument(doc);
+      })
+      .catch((error) => {
+        console.error('❌ PDF load error:', error);
+        if (!cancelled) setLoadError(error.message);
+      });
+
+    return () => {
+      cancelled = true;
+      setPdfDocument(null);
+      loadingTask.destroy();
     };
+  }, [pdfFile?.pdfUrl]);
+
+  // Track the overlay width so the page is re-rendered on resize
+  useEffect(() => {
+    if (!viewerRef.current) return;
+
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect;
+      setDimensions({ width, height });
+    });
+
+    observer.observe(viewerRef.current);
+    return () => observer.disconnect();
+  }, [pdfFile?.pdfUrl]);
+
+  // Render the current page to the canvas at the viewer's width.
+  // PDF.js applies the CropBox and /Rotate, matching the box the backend converts against.
+  useEffect(() => {
+    if (!pdfDocument || !canvasRef.current || !dimensions.width) return;
+
+    let renderTask = null;
+    let cancelled = false;
+
+    pdfDocument.getPage(currentPage + 1).then((page) => {
+      if (cancelled) return;
+
+      const baseViewport = page.getViewport({ scale: 1 });
+      setPageAspect(baseViewport.height / baseViewport.width);
+      setPageWidth(baseViewport.width);
 
-    updateDimensions();
-    window.addEventListener('resize', updateDimensions);
-    return () => window.removeEventListener('resize', updateDimensions);
-  }, []);
+      const pixelRatio = window.devicePixelRatio || 1;
+      const scale = dimensions.width / baseViewport.width;
+      const viewport = page.getViewport({ scale: scale * pixelRatio });
+
+      const canvas = canvasRef.current;
+      canvas.width = Math.floor(viewport.width);
+      canvas.height = Math.floor(viewport.height);
+
+      renderTask = page.render({ canvasContext: canvas.getContext('2d'), viewport });
+      renderTask.promise.catch((error) => {
+        if (error.name !== 'RenderingCancelledException') {
+          console.error('❌ PDF render error:', error);
+        }
+      });
+    });
+
+    return () => {
+      cancelled = true;
+      if (renderTask) renderTask.cancel();
+    };
+  }, [pdfDocument, currentPage, dimensions.width]);
 
   const handleDrop = (e, fieldType) => {
     e.preventDefault();
@@ -37,11 +128,13 @@ const PDFViewer = ({ pdfFile, fields, onAddField, onUpdateField, onDeleteField,
     onAddField({
       id: `field-${Date.now()}`,
       type: fieldType,
+      page: currentPage,
       x: Math.min(x, 100 - size.width),
       y: Math.min(y, 100 - size.height),
       width: size.width,
       height: size.height,
       value: fieldType === 'radio' ? 'option1' : null,
+      signerRole: signerRoles.length === 1 ? signerRoles[0] : null,
       options: fieldType === 'radio' ? ['Option 1', 'Option 2', 'Option 3'] : null
     });
   };
@@ -50,46 +143,74 @@ const PDFViewer = ({ pdfFile, fields, onAddField, onUpdateField, onDeleteField,
     <div className="bg-white rounded-lg shadow-md p-4">
       <div className="flex justify-between items-center mb-4">
         <h2 className="text-xl font-bold">Document Preview</h2>
-        <div className="text-sm text-gray-600">
-          📱 Responsive: Try resizing your browser
+        <div className="flex items-center gap-2 text-sm text-gray-600">
+          <button
+            onClick={() => setCurrentPage((page) => Math.max(0, page - 1))}
+            disabled={currentPage === 0}
+            className="p-1 rounded hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed"
+            title="Previous page"
+          >
+            <ChevronLeft size={18} />
+          </button>
+          <span>
+            Page {currentPage + 1} of {pageCount}
+          </span>
+          <button
+            onClick={() => setCurrentPage((page) => Math.min(pageCount - 1, page + 1))}
+            disabled={currentPage >= pageCount - 1}
+            className="p-1 rounded hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed"
+            title="Next page"
+          >
+            <ChevronRight size={18} />
+          </button>
         </div>
       </div>
       
-      <div
-        ref={viewerRef}
-        className="relative bg-gray-100 border-2 border-gray-300 overflow-hidden"
-        style={{ width: '100%', height: '600px' }}
-        onDrop={(e) => {
-          const fieldType = e.dataTransfer.getData('fieldType');
-          if (fieldType) handleDrop(e, fieldType);
-        }}
-        onDragOver={(e) => e.preventDefault()}
-      >
+      <div className="bg-gray-100 border-2 border-gray-300 p-2">
         {pdfFile && pdfFile.pdfUrl ? (
-          <div className="absolute inset-0">
-            <iframe
-              src={pdfFile.pdfUrl}
-              className="w-full h-full border-0 pointer-events-none"
-              title="PDF Preview"
+          <div
+            ref={viewerRef}
+            className="relative bg-white shadow w-full overflow-hidden"
+            style={{ aspectRatio: `1 / ${aspectRatio}` }}
+            onDrop={(e) => {
+              const fieldType = e.dataTransfer.getData('fieldType');
+              if (fieldType && !readOnly) handleDrop(e, fieldType);
+            }}
+            onDragOver={(e) => e.preventDefault()}
+          >
+            <canvas
+              ref={canvasRef}
+              className="absolute inset-0 w-full h-full pointer-events-none"
             />
+
+            {loadError && (
+              <div className="absolute inset-0 flex items-center justify-center">
+                <p className="text-red-500">❌ Failed to render PDF: {loadError}</p>
+              </div>
+            )}
             
             {/* Fields Overlay */}
             <div className="absolute inset-0 pointer-events-none">
-              {fields.map((field) => (
+              {pageFields.map((field) => (
                 <div key={field.id} className="pointer-events-auto">
                   <DraggableField
                     field={field}
                     containerDimensions={dimensions}
+                    pointScale={pointScale}
+                    fonts={fonts}
+                    onUploadFont={onUploadFont}
                     onUpdate={onUpdateField}
                     onDelete={onDeleteField}
                     onClick={onFieldClick}
+                    signerRoles={signerRoles}
+                    locked={readOnly}
                   />
                 </div>
               ))}
             </div>
           </div>
         ) : (
-          <div className="flex items-center justify-center h-full">
+          <div className="flex items-center justify-center" style={{ height: '600px' }}>
             <div className="text-center p-8">
               <p className="text-gray-500 text-xl mb-2">📄 No PDF Uploaded</p>
               <p className="text-gray-400">Upload a PDF to get started</p>
@@ -99,10 +220,12 @@ const PDFViewer = ({ pdfFile, fields, onAddField, onUpdateField, onDeleteField,
       </div>
 
       <div className="mt-3 flex justify-between items-center text-sm text-gray-600">
-        <span>📌 Drag fields from the left panel onto the PDF</span>
+        <span>
+          {readOnly ? '✍️ Fill in the highlighted fields' : '📌 Drag fields from the left panel onto the PDF'}
+        </span>
         <div className="flex gap-4">
           {pdfFile && <span>📄 {pdfFile.fileName}</span>}
-          <span>✨ Fields: {fields.length}</span>
+          <span>✨ Fields on page: {pageFields.length} / {fields.length}</span>
         </div>
       </div>
     </div>
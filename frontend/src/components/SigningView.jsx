@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react';
+import { FileText, PenTool } from 'lucide-react';
+import axios from 'axios';
+import PDFViewer from './PDFViewer';
+import SignatureModal from './SignatureModal';
+import { loadFontFaces } from '../fieldStyles';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+/**
+ * Recipient-facing signing page, opened from a tokenized link.
+ * Shows only the fields assigned to this recipient; they can fill but not move or add fields.
+ */
+const SigningView = ({ token }) => {
+  const [session, setSession] = useState(null);
+  const [fields, setFields] = useState([]);
+  const [loadError, setLoadError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isComplete, setIsComplete] = useState(false);
+  const [activeFieldId, setActiveFieldId] = useState(null);
+  const [fonts, setFonts] = useState([]);
+
+  useEffect(() => {
+    axios.get(`${API_URL}/api/signing/${token}`)
+      .then((response) => {
+        setSession(response.data);
+        setFields(response.data.fields);
+        loadFontFaces(response.data.fonts || []).then(setFonts);
+      })
+      .catch((error) => {
+        setLoadError(error.response?.data?.error || error.message);
+      });
+  }, [token]);
+
+  const updateField = (fieldId, updates) => {
+    setFields(fields.map(f => f.id === fieldId ? { ...f, ...updates } : f));
+  };
+
+  const handleFieldClick = (fieldId) => {
+    const field = fields.find(f => f.id === fieldId);
+    if (field && field.type === 'signature' && !field.value) {
+      setActiveFieldId(fieldId);
+    }
+  };
+
+  const handleSaveSignature = (signatureData) => {
+    updateField(activeFieldId, { value: signatureData });
+    setActiveFieldId(null);
+  };
+
+  const handleSubmit = async () => {
+    const emptyFields = fields.filter(f => !f.value && f.type !== 'radio');
+    if (emptyFields.length > 0) {
+      alert(`⚠️ Please fill all ${emptyFields.length} remaining field(s)`);
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await axios.post(`${API_URL}/api/signing/${token}`, {
+        fields: fields.map(f => ({ id: f.id, value: f.value }))
+      }, {
+        responseType: 'blob'
+      });
+
+      const blob = new Blob([response.data], { type: 'application/pdf' });
+      const downloadUrl = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = downloadUrl;
+      link.download = 'signed-document.pdf';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(downloadUrl);
+
+      setIsComplete(true);
+    } catch (error) {
+      let errorMessage = 'Failed to sign document';
+      if (error.response?.data instanceof Blob) {
+        const text = await error.response.data.text();
+        try {
+          errorMessage = JSON.parse(text).error || errorMessage;
+        } catch {
+          errorMessage = text || errorMessage;
+        }
+      } else {
+        errorMessage = error.message;
+      }
+      alert(`❌ Error: ${errorMessage}`);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (loadError || isComplete) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-lg shadow-md p-8 text-center max-w-md">
+          <p className="text-2xl mb-2">{isComplete ? '✅' : '⚠️'}</p>
+          <p className="text-gray-700">
+            {isComplete
+              ? 'Thank you! Your signature has been recorded and the signed PDF downloaded.'
+              : loadError}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!session) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-4 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-5xl mx-auto p-4">
+        <div className="bg-white rounded-lg shadow-md p-6 mb-4 flex items-center justify-between">
+          <div>
+            <div className="flex items-center gap-3 mb-1">
+              <FileText className="text-blue-600" size={28} />
+              <h1 className="text-2xl font-bold text-gray-800">Signature Requested</h1>
+            </div>
+            <p className="text-gray-600 text-sm">
+              Signing as <strong>{session.signer.name}</strong> ({session.signer.role}) ·
+              link expires {new Date(session.expiresAt).toLocaleString()}
+            </p>
+          </div>
+
+          <button
+            onClick={handleSubmit}
+            disabled={!session.signer.canSignNow || isSubmitting}
+            className="bg-green-500 text-white px-6 py-3 rounded-lg hover:bg-green-600 disabled:bg-gray-300 disabled:cursor-not-allowed flex items-center gap-2 font-semibold transition-colors"
+          >
+            <PenTool size={18} />
+            {isSubmitting ? 'Signing...' : 'Finish Signing'}
+          </button>
+        </div>
+
+        {!session.signer.canSignNow && (
+          <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded text-sm text-yellow-800">
+            ⏳ Earlier signers have not finished yet. You can review the document but cannot sign until it is your turn.
+          </div>
+        )}
+
+        <PDFViewer
+          pdfFile={{
+            documentId: session.documentId,
+            pdfUrl: new URL(session.pdfUrl, API_URL).href,
+            pages: session.pages,
+            pageCount: session.pageCount
+          }}
+          fields={fields}
+          onUpdateField={updateField}
+          onDeleteField={() => {}}
+          onFieldClick={handleFieldClick}
+          fonts={fonts}
+          readOnly
+        />
+      </div>
+
+      {activeFieldId && (
+        <SignatureModal
+          onClose={() => setActiveFieldId(null)}
+          onSave={handleSaveSignature}
+        />
+      )}
+    </div>
+  );
+};
+
+export default SigningView;
@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { LayoutTemplate, Save, Download } from 'lucide-react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+/**
+ * Save the current field layout as a template, or apply a saved one.
+ * Only templates made for this exact PDF (same hash) are offered.
+ */
+const TemplatePanel = ({ documentId, pdfHash, fields, onApply }) => {
+  const [name, setName] = useState('');
+  const [templates, setTemplates] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadTemplates = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/templates`, { params: { hash: pdfHash } });
+      setTemplates(response.data.templates);
+    } catch (error) {
+      console.error('❌ Failed to load templates:', error);
+    }
+  }, [pdfHash]);
+
+  useEffect(() => {
+    if (pdfHash) loadTemplates();
+  }, [pdfHash, loadTemplates]);
+
+  const handleSave = async () => {
+    if (!name.trim()) {
+      alert('⚠️ Template name is required');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const response = await axios.post(`${API_URL}/api/templates`, {
+        documentId,
+        name: name.trim(),
+        fields: fields.map(f => ({
+          type: f.type,
+          page: f.page || 0,
+          x: f.x,
+          y: f.y,
+          width: f.width,
+          height: f.height,
+          options: f.options,
+          label: f.label,
+          required: f.required,
+          style: f.style,
+          signerRole: f.signerRole,
+          formFieldName: f.formFieldName
+        }))
+      });
+
+      const { template } = response.data;
+      alert(`✅ Saved template "${template.name}" (version ${template.version})`);
+      setName('');
+      await loadTemplates();
+    } catch (error) {
+      alert(`❌ Failed to save template: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleApply = async (template) => {
+    if (fields.length > 0 && !window.confirm(`Replace the ${fields.length} placed field(s) with "${template.name}"?`)) {
+      return;
+    }
+
+    try {
+      const response = await axios.post(`${API_URL}/api/templates/${template.id}/documents`, { documentId });
+      onApply(response.data.fields);
+    } catch (error) {
+      alert(`❌ Failed to apply template: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4">
+      <h2 className="text-xl font-bold mb-2 flex items-center gap-2">
+        <LayoutTemplate size={20} className="text-teal-600" />
+        Templates
+      </h2>
+
+      <div className="flex gap-1 mb-3">
+        <input
+          type="text"
+          placeholder="Template name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded"
+        />
+        <button
+          onClick={handleSave}
+          disabled={fields.length === 0 || isSaving}
+          className="bg-teal-500 hover:bg-teal-600 disabled:bg-gray-300 text-white px-2 rounded"
+          title="Save layout as template (saving an existing name adds a version)"
+        >
+          <Save size={16} />
+        </button>
+      </div>
+
+      {templates.length === 0 ? (
+        <p className="text-xs text-gray-500">No templates for this PDF yet</p>
+      ) : (
+        <ul className="space-y-1 text-sm">
+          {templates.map(template => (
+            <li key={template.id} className="flex items-center justify-between bg-gray-50 border border-gray-200 rounded px-2 py-1">
+              <span>
+                {template.name}{' '}
+                <span className="text-xs text-gray-500">
+                  v{template.version} · {template.fieldCount} fields
+                </span>
+              </span>
+              <button
+                onClick={() => handleApply(template)}
+                className="text-teal-600 hover:text-teal-800"
+                title="Apply this layout"
+              >
+                <Download size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TemplatePanel;
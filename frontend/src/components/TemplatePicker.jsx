@@ -0,0 +1,74 @@
+import React, { useState, useEffect } from 'react';
+import { LayoutTemplate, Play } from 'lucide-react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+/**
+ * Start a new signing session from a saved template instead of uploading a PDF.
+ */
+const TemplatePicker = ({ onStart }) => {
+  const [templates, setTemplates] = useState([]);
+  const [startingId, setStartingId] = useState(null);
+
+  useEffect(() => {
+    axios.get(`${API_URL}/api/templates`)
+      .then((response) => setTemplates(response.data.templates))
+      .catch((error) => console.error('❌ Failed to load templates:', error));
+  }, []);
+
+  const handleStart = async (template) => {
+    setStartingId(template.id);
+    try {
+      const response = await axios.post(`${API_URL}/api/templates/${template.id}/documents`);
+
+      onStart({
+        documentId: response.data.documentId,
+        pdfUrl: new URL(response.data.pdfUrl, API_URL).href,
+        fileName: `${template.name} (v${template.version})`,
+        hash: response.data.hash,
+        pages: response.data.pages,
+        pageCount: response.data.pageCount || 1,
+        initialFields: response.data.fields
+      });
+    } catch (error) {
+      alert(`❌ Failed to start from template: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setStartingId(null);
+    }
+  };
+
+  if (templates.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-4">
+      <h2 className="text-xl font-bold mb-4 flex items-center gap-2">
+        <LayoutTemplate className="text-teal-600" size={24} />
+        Start from a Template
+      </h2>
+
+      <ul className="divide-y divide-gray-200">
+        {templates.map(template => (
+          <li key={template.id} className="flex items-center justify-between py-2">
+            <div>
+              <p className="font-semibold text-gray-800">{template.name}</p>
+              <p className="text-xs text-gray-500">
+                v{template.version} · {template.versionCount} version(s) · {template.fieldCount} fields · {template.pageCount} page(s)
+              </p>
+            </div>
+            <button
+              onClick={() => handleStart(template)}
+              disabled={startingId !== null}
+              className="bg-teal-500 hover:bg-teal-600 disabled:bg-gray-300 text-white px-4 py-2 rounded-lg flex items-center gap-2 text-sm font-semibold transition-colors"
+            >
+              <Play size={14} />
+              {startingId === template.id ? 'Starting...' : 'Start'}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default TemplatePicker;
@@ -0,0 +1,207 @@
+import React, { useState } from 'react';
+import { ShieldCheck, Upload } from 'lucide-react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const STATUS_STYLES = {
+  VERIFIED: {
+    icon: '✅',
+    title: 'Authentic document',
+    className: 'bg-green-50 border-green-200 text-green-800'
+  },
+  TAMPERED: {
+    icon: '❌',
+    title: 'Modified after signing',
+    className: 'bg-red-50 border-red-200 text-red-800'
+  },
+  UNKNOWN: {
+    icon: '❔',
+    title: 'Not found in the registry',
+    className: 'bg-gray-50 border-gray-200 text-gray-700'
+  }
+};
+
+const VERSION_LABELS = {
+  original: 'Original upload (before signing)',
+  signed: 'Final signed version',
+  signer: 'Intermediate envelope version',
+  earlier: 'Earlier signed version'
+};
+
+/**
+ * Public verification page: drop any PDF to check it against the document registry.
+ * The file is hashed server-side and never stored.
+ */
+const VerifyView = () => {
+  const [verifying, setVerifying] = useState(false);
+  const [dragActive, setDragActive] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const handleDrag = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.type === "dragenter" || e.type === "dragover") {
+      setDragActive(true);
+    } else if (e.type === "dragleave") {
+      setDragActive(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDragActive(false);
+
+    if (e.dataTransfer.files && e.dataTransfer.files[0]) {
+      handleFile(e.dataTransfer.files[0]);
+    }
+  };
+
+  const handleChange = (e) => {
+    e.preventDefault();
+    if (e.target.files && e.target.files[0]) {
+      handleFile(e.target.files[0]);
+    }
+  };
+
+  const handleFile = async (file) => {
+    if (file.type !== 'application/pdf') {
+      alert('⚠️ Please upload a PDF file');
+      return;
+    }
+
+    setVerifying(true);
+    setResult(null);
+
+    try {
+      const formData = new FormData();
+      formData.append('pdf', file);
+
+      const response = await axios.post(`${API_URL}/api/verify-upload`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        }
+      });
+
+      setResult(response.data.verification);
+    } catch (error) {
+      console.error('❌ Verification error:', error);
+      alert(`❌ Verification failed: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const style = result && STATUS_STYLES[result.status];
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-3xl mx-auto p-4">
+        <div className="bg-white rounded-lg shadow-md p-6 mb-4">
+          <div className="flex items-center gap-3 mb-2">
+            <ShieldCheck className="text-blue-600" size={32} />
+            <h1 className="text-3xl font-bold text-gray-800">Verify a PDF</h1>
+          </div>
+          <p className="text-gray-600">
+            Check whether a PDF was produced by this system and has not been modified since.
+          </p>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 mb-4">
+          <div
+            className={`border-2 border-dashed rounded-lg p-12 text-center transition-all duration-200 ${
+              dragActive
+                ? 'border-blue-500 bg-blue-50'
+                : 'border-gray-300 hover:border-gray-400 bg-gray-50'
+            }`}
+            onDragEnter={handleDrag}
+            onDragLeave={handleDrag}
+            onDragOver={handleDrag}
+            onDrop={handleDrop}
+          >
+            {verifying ? (
+              <div className="flex flex-col items-center gap-4">
+                <div className="animate-spin rounded-full h-16 w-16 border-b-4 border-blue-500"></div>
+                <p className="text-lg text-gray-700 font-medium">Verifying PDF...</p>
+              </div>
+            ) : (
+              <div className="flex flex-col items-center gap-4">
+                <Upload size={64} className="text-gray-400" />
+                <p className="text-xl font-semibold text-gray-700">
+                  Drop a PDF to verify
+                </p>
+                <label className="cursor-pointer bg-blue-500 hover:bg-blue-600 text-white px-8 py-3 rounded-lg transition-colors font-semibold shadow-md">
+                  Choose PDF File
+                  <input
+                    type="file"
+                    accept="application/pdf"
+                    onChange={handleChange}
+                    className="hidden"
+                  />
+                </label>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {result && (
+          <div className={`rounded-lg border p-6 ${style.className}`}>
+            <p className="text-xl font-bold mb-2">
+              {style.icon} {style.title}
+            </p>
+            <p className="text-sm mb-1">
+              <strong>File:</strong> {result.fileName}
+            </p>
+            <p className="text-xs font-mono break-all mb-3">
+              SHA-256: {result.hash}
+            </p>
+
+            {result.match && (
+              <p className="text-sm mb-1">
+                <strong>Matches:</strong> {VERSION_LABELS[result.match.version]}
+                {result.match.number && ` (version ${result.match.number})`}
+                {result.match.signer && ` signed by ${result.match.signer.name} (${result.match.signer.role})`}
+                {result.match.signedAt && ` on ${new Date(result.match.signedAt).toLocaleString()}`}
+              </p>
+            )}
+
+            {result.status === 'TAMPERED' && (
+              <p className="text-sm mb-1">
+                This file claims to be a document from this system, but its contents do not match any recorded version.
+              </p>
+            )}
+
+            {result.tamperReport?.findings.length > 0 && (
+              <div className="text-sm mt-3">
+                <strong>
+                  What changed
+                  {result.tamperReport.reference ? ` since version ${result.tamperReport.reference}` : ''}:
+                </strong>
+                <ul className="list-disc list-inside mt-1">
+                  {result.tamperReport.findings.map((finding, index) => (
+                    <li key={index}>{finding.message}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {result.document && (
+              <p className="text-xs mt-3">
+                Document ID: {result.document.id} · Uploaded {new Date(result.document.createdAt).toLocaleString()}
+              </p>
+            )}
+          </div>
+        )}
+
+        <div className="mt-4 text-center">
+          <a href="/" className="text-sm text-blue-600 hover:underline">
+            ← Back to the editor
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyView;
@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+import { Building2, Plus, UserPlus } from 'lucide-react';
+import axios from 'axios';
+import { getActiveOrganizationId, setActiveOrganizationId } from '../auth';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const ROLES = ['admin', 'sender', 'signer', 'auditor', 'viewer'];
+
+/**
+ * Pick the workspace (personal or an organization) the API calls act in.
+ * Switching reloads the app so every panel refetches with the new workspace.
+ */
+const WorkspaceSwitcher = () => {
+  const [organizations, setOrganizations] = useState([]);
+  const activeId = getActiveOrganizationId();
+  const active = organizations.find(org => org.id === activeId);
+
+  const switchTo = (organizationId) => {
+    setActiveOrganizationId(organizationId);
+    window.location.reload();
+  };
+
+  useEffect(() => {
+    axios.get(`${API_URL}/api/organizations`)
+      .then((response) => {
+        setOrganizations(response.data.organizations);
+        // Removed from the organization since it was picked
+        if (activeId && !response.data.organizations.some(org => org.id === activeId)) {
+          switchTo(null);
+        }
+      })
+      .catch((error) => console.error('❌ Failed to load organizations:', error));
+  }, []);
+
+  const handleCreate = async () => {
+    const name = window.prompt('Organization name');
+    if (!name?.trim()) return;
+
+    try {
+      const response = await axios.post(`${API_URL}/api/organizations`, { name });
+      switchTo(response.data.organization.id);
+    } catch (error) {
+      alert(`❌ Failed to create organization: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const handleAddMember = async () => {
+    const email = window.prompt('Email of the account to add');
+    if (!email?.trim()) return;
+    const role = window.prompt(`Role (${ROLES.join(', ')})`, 'sender');
+    if (!role) return;
+
+    try {
+      await axios.post(`${API_URL}/api/organizations/${active.id}/members`, { email, role: role.trim() });
+      alert(`✅ ${email} added as ${role.trim()}`);
+    } catch (error) {
+      alert(`❌ Failed to add member: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2 text-sm">
+      <Building2 size={16} className="text-gray-500" />
+      <select
+        value={active ? active.id : ''}
+        onChange={(e) => switchTo(e.target.value || null)}
+        className="border border-gray-300 rounded px-2 py-1"
+      >
+        <option value="">Personal</option>
+        {organizations.map(org => (
+          <option key={org.id} value={org.id}>{org.name} ({org.role})</option>
+        ))}
+      </select>
+      <button
+        onClick={handleCreate}
+        title="New organization"
+        className="text-gray-500 hover:text-gray-700"
+      >
+        <Plus size={16} />
+      </button>
+      {active?.role === 'admin' && (
+        <button
+          onClick={handleAddMember}
+          title="Add member"
+          className="text-gray-500 hover:text-gray-700"
+        >
+          <UserPlus size={16} />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default WorkspaceSwitcher;
@@ -0,0 +1,116 @@
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Browser stand-ins for the PDF standard fonts the backend burns text in
+export const STANDARD_FONTS = {
+  Helvetica: 'Helvetica, Arial, sans-serif',
+  Times: '"Times New Roman", Times, serif',
+  Courier: '"Courier New", Courier, monospace',
+  Symbol: 'Symbol, serif',
+  ZapfDingbats: '"Zapf Dingbats", serif'
+};
+
+// Only the Helvetica, Times and Courier families have bold and italic faces
+export const STYLED_FAMILIES = ['Helvetica', 'Times', 'Courier'];
+
+// Same layout constants as backend/utils/textUtils.js, in points
+export const TEXT_PADDING = 4;
+export const LINE_HEIGHT = 1.2;
+export const MIN_FONT_SIZE = 4;
+export const MAX_FONT_SIZE = 144;
+const MAX_AUTO_FONT_SIZE = 72;
+
+const loadedFaces = new Map();
+let measureContext = null;
+
+export const fontFaceName = (fontId) => `sie-font-${fontId}`;
+
+/**
+ * Register uploaded fonts with the browser so previews can use them.
+ * Resolves with the same list once every face has loaded (or failed to).
+ */
+export const loadFontFaces = async (fonts) => {
+  await Promise.all(fonts.map((font) => {
+    if (!loadedFaces.has(font.id)) {
+      const face = new FontFace(fontFaceName(font.id), `url(${new URL(font.url, API_URL).href})`);
+      loadedFaces.set(font.id, face.load()
+        .then(() => document.fonts.add(face))
+        .catch((error) => console.error(`❌ Failed to load font ${font.name}:`, error)));
+    }
+    return loadedFaces.get(font.id);
+  }));
+  return fonts;
+};
+
+/**
+ * CSS font properties for a field style; uploaded fonts fall back to their standard family
+ */
+export const getCssFont = (style) => {
+  const standard = STANDARD_FONTS[style?.fontFamily] || STANDARD_FONTS.Helvetica;
+  const faces = !style?.fontId && STYLED_FAMILIES.includes(style?.fontFamily || 'Helvetica');
+  return {
+    fontFamily: style?.fontId ? `"${fontFaceName(style.fontId)}", ${standard}` : standard,
+    fontWeight: faces && style?.bold ? 'bold' : 'normal',
+    fontStyle: faces && style?.italic ? 'italic' : 'normal'
+  };
+};
+
+const measureWidth = (text, style, size) => {
+  measureContext = measureContext || document.createElement('canvas').getContext('2d');
+  const { fontFamily, fontWeight, fontStyle } = getCssFont(style);
+  measureContext.font = `${fontStyle} ${fontWeight} ${size}px ${fontFamily}`;
+  return measureContext.measureText(text).width;
+};
+
+const wrapText = (text, style, size, maxWidth) => {
+  const fits = (value) => measureWidth(value, style, size) <= maxWidth;
+  const lines = [];
+
+  for (const paragraph of String(text).split(/\r?\n/)) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (fits(candidate)) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+
+      line = '';
+      for (const character of word) {
+        if (line && !fits(line + character)) {
+          lines.push(line);
+          line = '';
+        }
+        line += character;
+      }
+    }
+    lines.push(line);
+  }
+
+  return lines;
+};
+
+/**
+ * Font size and line breaks for a value in a field box, as layoutText() in the backend
+ * computes them. The box and sizes are in points.
+ */
+export const layoutFieldText = (text, style, { width, height, defaultSize }) => {
+  const maxWidth = Math.max(width - TEXT_PADDING * 2, 1);
+  const linesAt = (size) => (style?.multiline
+    ? wrapText(text, style, size, maxWidth)
+    : [String(text).replace(/\s*\r?\n\s*/g, ' ')]);
+
+  if (style?.autoFit) {
+    const largest = Math.floor(Math.min(height / LINE_HEIGHT, MAX_AUTO_FONT_SIZE) * 2) / 2;
+    for (let size = largest; size > MIN_FONT_SIZE; size -= 0.5) {
+      const lines = linesAt(size);
+      const fits = lines.length * size * LINE_HEIGHT <= height &&
+        lines.every(line => measureWidth(line, style, size) <= maxWidth);
+      if (fits) return { size, lines };
+    }
+    return { size: MIN_FONT_SIZE, lines: linesAt(MIN_FONT_SIZE) };
+  }
+
+  const size = style?.fontSize || defaultSize;
+  return { size, lines: linesAt(size) };
+};
@@ -1,10 +1,28 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import SigningView from './components/SigningView.jsx'
+import VerifyView from './components/VerifyView.jsx'
+import LoginView from './components/LoginView.jsx'
+import { getAuthToken, installAuthInterceptors } from './auth.js'
 import './index.css'
 
+// Recipients arrive on /sign/<token> from their signing link
+const signingMatch = window.location.pathname.match(/^\/sign\/([^/]+)\/?$/)
+const isVerifyPage = /^\/verify\/?$/.test(window.location.pathname)
+
+// An expired session reloads into the login screen, a lost organization into the personal workspace
+installAuthInterceptors(() => window.location.reload())
+
+const renderPage = () => {
+  if (signingMatch) return <SigningView token={signingMatch[1]} />
+  if (isVerifyPage) return <VerifyView />
+  if (!getAuthToken()) return <LoginView onLogin={() => window.location.reload()} />
+  return <App />
+}
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    {renderPage()}
   </React.StrictMode>,
 )
\ No newline at end of file